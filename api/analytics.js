@@ -1,11 +1,65 @@
 // api/analytics.js
 // Analytics and reporting API
 
+const fs = require('fs');
 const express = require('express');
 const router = express.Router();
-const { query, validationResult } = require('express-validator');
-const { requireAuth, requirePermission } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, optionalAuth, logActivity } = require('../middleware/auth');
 const db = require('../lib/database');
+const { EVENT_TYPES, ingestEvents } = require('../lib/analytics-ingest');
+const { DATASETS, runExport, exportFilename, exportPath } = require('../lib/analytics-export');
+const { EXPORT_FORMATS } = require('../lib/export-formats');
+const AnalyticsExport = require('../models/analytics-export');
+const { DEFAULT_BUCKET_SECONDS, buildRetentionFromRows } = require('../lib/retention');
+const RSSManager = require('../lib/rss-utility');
+const realtime = require('../lib/realtime');
+const config = require('../config/app.config');
+
+// How often open realtime streams get a fresh snapshot
+const REALTIME_SNAPSHOT_INTERVAL = 5000;
+
+// Ingest is open to anyone, so it is limited per address. The player sends a
+// batch every 30 seconds; the headroom covers several listeners behind one NAT.
+const ingestLimit = rateLimit({
+    windowMs: 60 * 1000,
+    limit: 60,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { error: 'Too many analytics requests, please try again later' }
+});
+
+// POST /api/analytics - Ingest listener events from the web player.
+// Takes one event, an array, or { events: [...] }; events that fail
+// validation are reported back by index and the rest are stored.
+// With analytics turned off, events are accepted and dropped.
+router.post('/', ingestLimit, optionalAuth, async (req, res) => {
+    if (!config.analytics.enabled) {
+        return res.status(204).end();
+    }
+
+    try {
+        const { accepted, rejected } = await ingestEvents(req, req.body);
+
+        if (accepted === 0) {
+            return res.status(400).json({ error: 'No valid events', rejected });
+        }
+
+        res.status(202).json({
+            success: true,
+            accepted,
+            rejected
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid batch')) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Analytics ingest error:', error);
+        res.status(500).json({ error: 'Failed to record analytics events' });
+    }
+});
 
 // GET /api/analytics/dashboard - Dashboard overview stats
 router.get('/dashboard', requireAuth, requirePermission('view_analytics'), async (req, res) => {
@@ -30,7 +84,16 @@ router.get('/dashboard', requireAuth, requirePermission('view_analytics'), async
     }
 });
 
-// GET /api/analytics/episodes - Episode performance
+// Windows cover the last N days including today. Listener counts come from
+// daily rows, so someone listening on three days counts three times.
+const ROLLUP_SUMS = `
+    COALESCE(SUM(r.plays), 0) as plays,
+    COALESCE(SUM(r.downloads), 0) as downloads,
+    COALESCE(SUM(r.unique_listeners), 0) as listeners,
+    COALESCE(SUM(r.listen_seconds), 0) as listen_seconds
+`;
+
+// GET /api/analytics/episodes - Episode performance over the last N days
 router.get('/episodes', [
     query('show_id').optional().isInt({ min: 1 }),
     query('days').optional().isInt({ min: 1, max: 365 }),
@@ -47,25 +110,27 @@ router.get('/episodes', [
         let sql = `
             SELECT e.id, e.title, e.play_count, e.download_count, e.publish_date,
                    s.name as show_name, s.color as show_color,
-                   (e.play_count + e.download_count) as total_engagement
+                   ${ROLLUP_SUMS},
+                   COALESCE(SUM(r.plays + r.downloads), 0) as total_engagement
             FROM episodes e
             LEFT JOIN shows s ON e.show_id = s.id
+            LEFT JOIN analytics_daily r ON r.episode_id = e.id
+                AND r.bucket_date > CURDATE() - INTERVAL ? DAY
             WHERE e.is_published = TRUE
         `;
         
-        const params = [];
+        const params = [parseInt(days)];
         
         if (show_id) {
             sql += ' AND e.show_id = ?';
             params.push(show_id);
         }
         
-        if (days) {
-            sql += ' AND e.publish_date >= DATE_SUB(NOW(), INTERVAL ? DAY)';
-            params.push(days);
-        }
-        
-        sql += ' ORDER BY total_engagement DESC, e.publish_date DESC LIMIT ?';
+        sql += `
+            GROUP BY e.id, s.id
+            ORDER BY total_engagement DESC, e.publish_date DESC
+            LIMIT ?
+        `;
         params.push(parseInt(limit));
         
         const episodes = await db.query(sql, params);
@@ -81,7 +146,87 @@ router.get('/episodes', [
     }
 });
 
-// GET /api/analytics/shows - Show performance
+// GET /api/analytics/episodes/:id/retention - Listener retention curve,
+// average consumption, drop-off hot spots and most-skipped regions.
+// Events older than the retention period are purged, so days stops there.
+router.get('/episodes/:id/retention', [
+    param('id').isInt({ min: 1 }).toInt(),
+    query('days').optional().isInt({ min: 1, max: config.analytics.retentionDays }).toInt(),
+    query('bucket').optional().isInt({ min: 5, max: 600 }).toInt()
+], requireAuth, requirePermission('view_analytics'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { days = config.analytics.retentionDays, bucket = DEFAULT_BUCKET_SECONDS } = req.query;
+
+        const [episode] = await db.query(
+            'SELECT id, title, duration, duration_seconds FROM episodes WHERE id = ?',
+            [req.params.id]
+        );
+        if (!episode) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const eventFilter = `
+            WHERE episode_id = ?
+            AND event_type IN ('play', 'pause', 'heartbeat', 'skip', 'complete')
+            AND timestamp > NOW() - INTERVAL ? DAY
+        `;
+
+        let duration = episode.duration_seconds || RSSManager.toSeconds(episode.duration);
+        if (!duration) {
+            const [furthest] = await db.query(
+                `SELECT MAX(position) as position FROM analytics_events ${eventFilter}`,
+                [episode.id, days]
+            );
+            duration = Number(furthest.position) || 0;
+        }
+
+        if (!duration) {
+            return res.status(400).json({ error: 'Episode duration is unknown' });
+        }
+
+        // Popular episodes have far too many events to load at once, so they
+        // are streamed in listener order and replayed one listener at a time.
+        // One listener is a signed-in user, else a player session, else an IP address.
+        await db.connect();
+        const connection = await db.pool.getConnection();
+        let retention;
+
+        try {
+            const rows = connection.connection.query(`
+                SELECT COALESCE(CONCAT('u', user_id), CONCAT('s', session_id), CONCAT('i', ip_address)) as listener,
+                       event_type, position,
+                       JSON_EXTRACT(metadata, '$.fromPosition') as from_position
+                FROM analytics_events
+                ${eventFilter}
+                ORDER BY listener, timestamp, id
+            `, [episode.id, days]).stream();
+
+            retention = await buildRetentionFromRows(rows, { duration, bucketSize: bucket });
+            connection.release();
+        } catch (error) {
+            // The query may still be sending rows; the connection can't be reused
+            connection.destroy();
+            throw error;
+        }
+
+        res.json({
+            success: true,
+            episode: { id: episode.id, title: episode.title },
+            period_days: days,
+            retention
+        });
+    } catch (error) {
+        console.error('Retention analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch retention analytics' });
+    }
+});
+
+// GET /api/analytics/shows - Show performance over the last N days
 router.get('/shows', [
     query('days').optional().isInt({ min: 1, max: 365 })
 ], requireAuth, requirePermission('view_analytics'), async (req, res) => {
@@ -95,21 +240,34 @@ router.get('/shows', [
         
         const sql = `
             SELECT s.id, s.name, s.color, s.episode_count,
-                   COUNT(DISTINCT e.id) as published_episodes,
-                   SUM(e.play_count) as total_plays,
-                   SUM(e.download_count) as total_downloads,
-                   AVG(e.play_count) as avg_plays_per_episode,
-                   MAX(e.publish_date) as latest_episode
+                   COALESCE(p.published_episodes, 0) as published_episodes,
+                   p.latest_episode,
+                   COALESCE(t.plays, 0) as total_plays,
+                   COALESCE(t.downloads, 0) as total_downloads,
+                   COALESCE(t.listeners, 0) as total_listeners,
+                   COALESCE(t.listen_seconds, 0) as total_listen_seconds,
+                   COALESCE(t.plays / t.episodes_played, 0) as avg_plays_per_episode
             FROM shows s
-            LEFT JOIN episodes e ON s.id = e.show_id 
-                AND e.is_published = TRUE
-                AND e.publish_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
+            LEFT JOIN (
+                SELECT r.show_id, ${ROLLUP_SUMS},
+                       COUNT(DISTINCT CASE WHEN r.plays > 0 THEN r.episode_id END) as episodes_played
+                FROM analytics_daily r
+                WHERE r.bucket_date > CURDATE() - INTERVAL ? DAY
+                GROUP BY r.show_id
+            ) t ON t.show_id = s.id
+            LEFT JOIN (
+                SELECT show_id,
+                       COUNT(CASE WHEN publish_date > NOW() - INTERVAL ? DAY THEN 1 END) as published_episodes,
+                       MAX(publish_date) as latest_episode
+                FROM episodes
+                WHERE is_published = TRUE
+                GROUP BY show_id
+            ) p ON p.show_id = s.id
             WHERE s.is_active = TRUE
-            GROUP BY s.id
             ORDER BY total_plays DESC, total_downloads DESC
         `;
         
-        const shows = await db.query(sql, [days]);
+        const shows = await db.query(sql, [parseInt(days), parseInt(days)]);
         
         res.json({
             success: true,
@@ -122,11 +280,36 @@ router.get('/shows', [
     }
 });
 
+// Bucket size for each trend period: hours from the hourly rollup, days or
+// ISO weeks from the daily one
+const TREND_PERIODS = {
+    '24h': { interval: 'hour', table: 'analytics_hourly', column: 'bucket_start', window: 'NOW() - INTERVAL 24 HOUR' },
+    '7d': { interval: 'day', table: 'analytics_daily', column: 'bucket_date', window: 'CURDATE() - INTERVAL 7 DAY' },
+    '30d': { interval: 'day', table: 'analytics_daily', column: 'bucket_date', window: 'CURDATE() - INTERVAL 30 DAY' },
+    '90d': { interval: 'week', table: 'analytics_daily', column: 'bucket_date', window: 'CURDATE() - INTERVAL 90 DAY' },
+    '1y': { interval: 'week', table: 'analytics_daily', column: 'bucket_date', window: 'CURDATE() - INTERVAL 365 DAY' }
+};
+
+const TREND_METRICS = {
+    plays: 'SUM(r.plays)',
+    downloads: 'SUM(r.downloads)',
+    listeners: 'SUM(r.unique_listeners)',
+    listen_seconds: 'SUM(r.listen_seconds)'
+};
+
+// Expression naming the bucket a timestamp or date falls into
+function trendBucket(interval, column) {
+    if (interval === 'hour') return `DATE_FORMAT(${column}, '%Y-%m-%d %H:00:00')`;
+    if (interval === 'week') return `DATE_SUB(DATE(${column}), INTERVAL WEEKDAY(${column}) DAY)`;
+    return `DATE(${column})`;
+}
+
 // GET /api/analytics/trends - Time-based trends
 router.get('/trends', [
-    query('metric').isIn(['plays', 'downloads', 'episodes']),
-    query('period').isIn(['7d', '30d', '90d', '1y']),
-    query('show_id').optional().isInt({ min: 1 })
+    query('metric').isIn([...Object.keys(TREND_METRICS), 'episodes']),
+    query('period').isIn(Object.keys(TREND_PERIODS)),
+    query('show_id').optional().isInt({ min: 1 }),
+    query('episode_id').optional().isInt({ min: 1 })
 ], requireAuth, requirePermission('view_analytics'), async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -134,38 +317,41 @@ router.get('/trends', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const { metric, period, show_id } = req.query;
+        const { metric, period, show_id, episode_id } = req.query;
+        const { interval, table, column, window } = TREND_PERIODS[period];
         
-        const periodDays = {
-            '7d': 7,
-            '30d': 30,
-            '90d': 90,
-            '1y': 365
-        };
-        
-        const days = periodDays[period];
-        const groupBy = days <= 7 ? 'DAY' : days <= 30 ? 'DAY' : 'WEEK';
-        
-        let sql = `
-            SELECT 
-                DATE(e.publish_date) as date,
-                ${metric === 'plays' ? 'SUM(e.play_count)' : 
-                  metric === 'downloads' ? 'SUM(e.download_count)' : 
-                  'COUNT(*)'}
-                as value
-            FROM episodes e
-            WHERE e.is_published = TRUE
-            AND e.publish_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
-        `;
+        // Episodes published is the one metric that is about publish dates
+        let sql;
+        if (metric === 'episodes') {
+            const bucket = trendBucket(interval, 'r.publish_date');
+            sql = `
+                SELECT ${bucket} as date, COUNT(*) as value
+                FROM episodes r
+                WHERE r.is_published = TRUE
+                AND r.publish_date > ${window} AND r.publish_date <= NOW()
+            `;
+        } else {
+            const bucket = trendBucket(interval, `r.${column}`);
+            sql = `
+                SELECT ${bucket} as date, ${TREND_METRICS[metric]} as value
+                FROM ${table} r
+                WHERE r.${column} > ${window}
+            `;
+        }
         
-        const params = [days];
+        const params = [];
         
         if (show_id) {
-            sql += ' AND e.show_id = ?';
+            sql += ' AND r.show_id = ?';
             params.push(show_id);
         }
         
-        sql += ` GROUP BY DATE(e.publish_date) ORDER BY date ASC`;
+        if (episode_id) {
+            sql += ` AND r.${metric === 'episodes' ? 'id' : 'episode_id'} = ?`;
+            params.push(episode_id);
+        }
+        
+        sql += ' GROUP BY date ORDER BY date ASC';
         
         const trends = await db.query(sql, params);
         
@@ -173,6 +359,7 @@ router.get('/trends', [
             success: true,
             metric,
             period,
+            interval,
             trends
         });
     } catch (error) {
@@ -181,6 +368,354 @@ router.get('/trends', [
     }
 });
 
+// GET /api/analytics/demographics - Plays, downloads and listeners per
+// country over a period, from the GeoIP country stored at ingest
+router.get('/demographics', [
+    query('period').optional().isIn(Object.keys(TREND_PERIODS)),
+    query('show_id').optional().isInt({ min: 1 })
+], requireAuth, requirePermission('view_analytics'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { period = '30d', show_id } = req.query;
+        const { table, column, window } = TREND_PERIODS[period];
+
+        let sql = `
+            SELECT NULLIF(r.country, '') as country, ${ROLLUP_SUMS}
+            FROM ${table} r
+            WHERE r.${column} > ${window}
+        `;
+
+        const params = [];
+
+        if (show_id) {
+            sql += ' AND r.show_id = ?';
+            params.push(show_id);
+        }
+
+        sql += ' GROUP BY r.country ORDER BY SUM(r.plays + r.downloads) DESC';
+
+        const countries = await db.query(sql, params);
+
+        res.json({
+            success: true,
+            period,
+            countries
+        });
+    } catch (error) {
+        console.error('Demographics analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch demographics' });
+    }
+});
+
+// Breakdowns of the platforms rollup, each keyed by the column it groups on
+const PLATFORM_BREAKDOWNS = {
+    apps: 'app',
+    devices: 'device_type',
+    operating_systems: 'os'
+};
+
+// GET /api/analytics/platforms - Plays, downloads and listeners per podcast
+// app, device type and operating system over a period. Bots are left out.
+router.get('/platforms', [
+    query('period').optional().isIn(Object.keys(TREND_PERIODS).filter(period => period !== '24h')),
+    query('show_id').optional().isInt({ min: 1 }),
+    query('episode_id').optional().isInt({ min: 1 })
+], requireAuth, requirePermission('view_analytics'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { period = '30d', show_id, episode_id } = req.query;
+        const { window } = TREND_PERIODS[period];
+
+        let where = `WHERE r.bucket_date > ${window}`;
+        const params = [];
+
+        if (show_id) {
+            where += ' AND r.show_id = ?';
+            params.push(show_id);
+        }
+
+        if (episode_id) {
+            where += ' AND r.episode_id = ?';
+            params.push(episode_id);
+        }
+
+        const breakdowns = await Promise.all(Object.values(PLATFORM_BREAKDOWNS).map(column => db.query(`
+            SELECT NULLIF(r.${column}, '') as ${column}, ${ROLLUP_SUMS}
+            FROM analytics_platforms_daily r
+            ${where}
+            GROUP BY r.${column}
+            ORDER BY SUM(r.plays + r.downloads) DESC
+        `, params)));
+
+        const response = { success: true, period };
+        Object.keys(PLATFORM_BREAKDOWNS).forEach((name, i) => {
+            response[name] = breakdowns[i];
+        });
+
+        res.json(response);
+    } catch (error) {
+        console.error('Platforms analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch platforms' });
+    }
+});
+
+// Exports cover the last 30 days unless given a range. Direct downloads are
+// limited to 31 days; longer ranges go through a background export job.
+const DEFAULT_EXPORT_DAYS = 30;
+const MAX_DIRECT_EXPORT_DAYS = 31;
+
+function isIdList(value) {
+    const ids = Array.isArray(value) ? value : String(value).split(',');
+    if (!ids.every(id => /^\d+$/.test(String(id).trim()) && Number(id) > 0)) {
+        throw new Error('Must be a list of ids');
+    }
+    return true;
+}
+
+function isEventTypeList(value) {
+    const types = Array.isArray(value) ? value : String(value).split(',');
+    if (!types.every(type => EVENT_TYPES.includes(String(type).trim()))) {
+        throw new Error(`Event types must be among: ${EVENT_TYPES.join(', ')}`);
+    }
+    return true;
+}
+
+// Validators for export options, read from the query string or a JSON body
+function exportValidation(location) {
+    return [
+        location('dataset').optional().isIn(Object.keys(DATASETS)),
+        location('format').optional().isIn(Object.keys(EXPORT_FORMATS)),
+        location('from').optional().isISO8601(),
+        location('to').optional().isISO8601(),
+        location('show_ids').optional().custom(isIdList),
+        location('episode_ids').optional().custom(isIdList),
+        location('event_types').optional().custom(isEventTypeList)
+    ];
+}
+
+function listOf(value, map = item => item) {
+    if (value === undefined || value === null || value === '') return [];
+    return (Array.isArray(value) ? value : String(value).split(',')).map(item => map(String(item).trim()));
+}
+
+function exportOptions(source) {
+    const to = source.to ? new Date(source.to) : new Date();
+    const from = source.from ? new Date(source.from) : new Date(to.getTime() - DEFAULT_EXPORT_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from >= to) {
+        throw new Error('Invalid range: from must be before to');
+    }
+
+    return {
+        dataset: source.dataset || 'events',
+        format: source.format || 'csv',
+        filters: {
+            from: from.toISOString(),
+            to: to.toISOString(),
+            showIds: listOf(source.show_ids, Number),
+            episodeIds: listOf(source.episode_ids, Number),
+            eventTypes: listOf(source.event_types)
+        }
+    };
+}
+
+function describeExport(exportJob) {
+    return {
+        ...exportJob,
+        download_url: exportJob.status === 'completed'
+            ? `/api/analytics/export/jobs/${exportJob.id}/download`
+            : null
+    };
+}
+
+// GET /api/analytics/export - Download an export directly, streamed as it is
+// read. dataset: events, downloads, hourly or daily; format: csv, ndjson or
+// parquet; from/to, show_ids, episode_ids and event_types narrow it down.
+router.get('/export', exportValidation(query), requireAuth, requirePermission('export_analytics'), logActivity('analytics_export'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const options = exportOptions(req.query);
+        const { from, to } = options.filters;
+
+        if (new Date(to) - new Date(from) > MAX_DIRECT_EXPORT_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
+                error: `Direct exports cover at most ${MAX_DIRECT_EXPORT_DAYS} days; queue an export job for longer ranges`
+            });
+        }
+
+        const { extension, contentType } = EXPORT_FORMATS[options.format];
+        res.set({
+            'Content-Type': contentType,
+            'Cache-Control': 'no-store',
+            'X-Accel-Buffering': 'no'
+        });
+        res.attachment(`analytics-${options.dataset}-${from.substring(0, 10)}-to-${to.substring(0, 10)}.${extension}`);
+
+        await runExport(res, options);
+    } catch (error) {
+        if (res.headersSent) {
+            // Nothing to report to a client that already left
+            if (!res.destroyed) {
+                console.error('Analytics export error:', error);
+                res.destroy(error);
+            }
+            return;
+        }
+
+        if (error.message.startsWith('Invalid range')) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Analytics export error:', error);
+        res.status(500).json({ error: 'Failed to export analytics' });
+    }
+});
+
+// POST /api/analytics/export/jobs - Queue an export to run in the background.
+// Takes the same options as a direct export, without the range limit.
+router.post('/export/jobs', exportValidation(body), requireAuth, requirePermission('export_analytics'), logActivity('analytics_export_queued'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const options = exportOptions(req.body);
+        const exportJob = await AnalyticsExport.create({ userId: req.user.id, ...options });
+
+        res.status(202).json({
+            success: true,
+            message: 'Export queued',
+            export: describeExport(exportJob)
+        });
+    } catch (error) {
+        if (error.message.startsWith('Invalid range')) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Queue analytics export error:', error);
+        res.status(500).json({ error: 'Failed to queue analytics export' });
+    }
+});
+
+// GET /api/analytics/export/jobs - The current user's exports, newest first
+router.get('/export/jobs', requireAuth, requirePermission('export_analytics'), async (req, res) => {
+    try {
+        const exports = await AnalyticsExport.findByUser(req.user.id);
+
+        res.json({
+            success: true,
+            exports: exports.map(describeExport)
+        });
+    } catch (error) {
+        console.error('List analytics exports error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics exports' });
+    }
+});
+
+// GET /api/analytics/export/jobs/:id - One export's status
+router.get('/export/jobs/:id', [
+    param('id').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('export_analytics'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const exportJob = await AnalyticsExport.findById(req.params.id);
+        if (!exportJob || exportJob.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        res.json({
+            success: true,
+            export: describeExport(exportJob)
+        });
+    } catch (error) {
+        console.error('Get analytics export error:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics export' });
+    }
+});
+
+// GET /api/analytics/export/jobs/:id/download - The file of a completed export
+router.get('/export/jobs/:id/download', [
+    param('id').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('export_analytics'), logActivity('analytics_export_download'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const exportJob = await AnalyticsExport.findById(req.params.id);
+        if (!exportJob || exportJob.user_id !== req.user.id) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        if (exportJob.status !== 'completed') {
+            return res.status(409).json({ error: `Export is ${exportJob.status}` });
+        }
+
+        const filePath = exportPath(exportJob);
+        if (!fs.existsSync(filePath)) {
+            return res.status(404).json({ error: 'Export file not found' });
+        }
+
+        res.set('Content-Type', EXPORT_FORMATS[exportJob.format].contentType);
+        res.download(filePath, exportFilename(exportJob), error => {
+            if (error && !res.headersSent) {
+                console.error('Analytics export download error:', error);
+                res.status(500).json({ error: 'Failed to download analytics export' });
+            }
+        });
+    } catch (error) {
+        console.error('Analytics export download error:', error);
+        res.status(500).json({ error: 'Failed to download analytics export' });
+    }
+});
+
+// GET /api/analytics/realtime/stream - Server-Sent Events: a "snapshot" of
+// listeners per episode and the top episodes of the last five minutes every
+// few seconds, and a "tick" for each event as it is ingested
+router.get('/realtime/stream', requireAuth, requirePermission('view_analytics'), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Keep nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const onTick = tick => send('tick', tick);
+    const timer = setInterval(() => send('snapshot', realtime.snapshot()), REALTIME_SNAPSHOT_INTERVAL);
+
+    res.write(`retry: ${REALTIME_SNAPSHOT_INTERVAL}\n\n`);
+    send('snapshot', realtime.snapshot());
+    realtime.on('tick', onTick);
+
+    req.on('close', () => {
+        clearInterval(timer);
+        realtime.off('tick', onTick);
+    });
+});
+
 // GET /api/analytics/activity - User activity logs
 router.get('/activity', [
     query('limit').optional().isInt({ min: 1, max: 100 }),
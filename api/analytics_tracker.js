@@ -9,10 +9,6 @@ class PodcastAnalytics {
     this.startTime = null;
     this.lastPosition = 0;
     this.heartbeatInterval = null;
-    this.userLocation = null;
-    
-    // Get user location (with permission)
-    this.getUserLocation();
   }
 
   // Generate or retrieve session ID
@@ -29,27 +25,6 @@ class PodcastAnalytics {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  // Get user location for analytics (with consent)
-  async getUserLocation() {
-    try {
-      // Try to get location from IP (privacy-friendly)
-      const response = await fetch('https://ipapi.co/json/');
-      const data = await response.json();
-      this.userLocation = {
-        country: data.country_name || 'Unknown',
-        city: data.city || 'Unknown',
-        region: data.region || 'Unknown'
-      };
-    } catch (error) {
-      console.log('Location detection failed:', error);
-      this.userLocation = {
-        country: 'Unknown',
-        city: 'Unknown',
-        region: 'Unknown'
-      };
-    }
-  }
-
   // Track any analytics event
   async trackEvent(eventType, data = {}) {
     const eventData = {
@@ -58,7 +33,6 @@ class PodcastAnalytics {
       timestamp: new Date().toISOString(),
       url: window.location.href,
       referrer: document.referrer,
-      ...this.userLocation,
       ...data
     };
 
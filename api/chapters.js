@@ -0,0 +1,167 @@
+// api/chapters.js
+// Chapter markers for an episode, mounted at /api/episodes/:episodeId/chapters
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
+const Chapter = require('../models/chapter');
+
+// Times are seconds or HH:MM:SS strings; the model checks them against the episode duration
+const chapterValidation = (optional = false) => [
+    optional
+        ? body('start_time').optional().notEmpty().withMessage('Start time cannot be empty')
+        : body('start_time').exists({ checkNull: true }).withMessage('Start time is required'),
+    body('end_time').optional({ nullable: true }),
+    optional
+        ? body('title').optional().trim().notEmpty().isLength({ max: 255 }).withMessage('Title must be 1-255 characters')
+        : body('title').trim().notEmpty().isLength({ max: 255 }).withMessage('Title must be 1-255 characters'),
+    body('img').optional({ checkFalsy: true }).isURL().withMessage('Image must be a valid URL'),
+    body('url').optional({ checkFalsy: true }).isURL().withMessage('URL must be valid'),
+    body('toc').optional().isBoolean().toBoolean()
+];
+
+const idValidation = [
+    param('episodeId').isInt({ min: 1 }).toInt()
+];
+
+function pickChapter(source) {
+    const { start_time, end_time, title, img, url, toc } = source;
+    return { start_time, end_time, title, img, url, toc };
+}
+
+function handleChapterError(res, error, logMessage, clientMessage) {
+    if (error.message === 'Episode not found' || error.message === 'Chapter not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Invalid chapter')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({ error: clientMessage });
+}
+
+// GET /api/episodes/:episodeId/chapters - List chapters in start-time order
+router.get('/', idValidation, requireAuth, requirePermission('view_episodes'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const chapters = await Chapter.findByEpisode(req.params.episodeId);
+
+        res.json({
+            success: true,
+            episode_id: req.params.episodeId,
+            chapters
+        });
+    } catch (error) {
+        handleChapterError(res, error, 'Get chapters error:', 'Failed to fetch chapters');
+    }
+});
+
+// PUT /api/episodes/:episodeId/chapters - Replace the whole chapter list
+router.put('/', [
+    ...idValidation,
+    body('chapters').isArray().withMessage('Chapters must be an array'),
+    body('chapters.*.start_time').exists({ checkNull: true }).withMessage('Start time is required'),
+    body('chapters.*.title').trim().notEmpty().isLength({ max: 255 }).withMessage('Title must be 1-255 characters'),
+    body('chapters.*.img').optional({ checkFalsy: true }).isURL().withMessage('Image must be a valid URL'),
+    body('chapters.*.url').optional({ checkFalsy: true }).isURL().withMessage('URL must be valid'),
+    body('chapters.*.toc').optional().isBoolean().toBoolean()
+], requireAuth, requirePermission('edit_episodes'), logActivity('chapters_replace'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const chapters = await Chapter.replaceAll(req.params.episodeId, req.body.chapters.map(pickChapter), req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Chapters saved successfully',
+            chapters
+        });
+    } catch (error) {
+        handleChapterError(res, error, 'Replace chapters error:', 'Failed to save chapters');
+    }
+});
+
+// POST /api/episodes/:episodeId/chapters - Add a chapter
+router.post('/', [...idValidation, ...chapterValidation()], requireAuth, requirePermission('edit_episodes'), logActivity('chapter_create'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { chapter, chapters } = await Chapter.create(req.params.episodeId, pickChapter(req.body), req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Chapter created successfully',
+            chapter,
+            chapters
+        });
+    } catch (error) {
+        handleChapterError(res, error, 'Create chapter error:', 'Failed to create chapter');
+    }
+});
+
+// PUT /api/episodes/:episodeId/chapters/:chapterId - Update a chapter
+router.put('/:chapterId', [
+    ...idValidation,
+    param('chapterId').isInt({ min: 1 }).toInt(),
+    ...chapterValidation(true)
+], requireAuth, requirePermission('edit_episodes'), logActivity('chapter_update'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { chapter, chapters } = await Chapter.update(
+            req.params.episodeId,
+            req.params.chapterId,
+            pickChapter(req.body),
+            req.user.id
+        );
+
+        res.json({
+            success: true,
+            message: 'Chapter updated successfully',
+            chapter,
+            chapters
+        });
+    } catch (error) {
+        handleChapterError(res, error, 'Update chapter error:', 'Failed to update chapter');
+    }
+});
+
+// DELETE /api/episodes/:episodeId/chapters/:chapterId - Remove a chapter
+router.delete('/:chapterId', [
+    ...idValidation,
+    param('chapterId').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('edit_episodes'), logActivity('chapter_delete'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const chapters = await Chapter.delete(req.params.episodeId, req.params.chapterId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Chapter deleted successfully',
+            chapters
+        });
+    } catch (error) {
+        handleChapterError(res, error, 'Delete chapter error:', 'Failed to delete chapter');
+    }
+});
+
+module.exports = router;
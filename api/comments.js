@@ -0,0 +1,136 @@
+// api/comments.js
+// Public comment threads for an episode, mounted at /api/episodes/:episodeId/comments
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { storedIp } = require('../lib/analytics-privacy');
+const Comment = require('../models/comment');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Posting is open to guests, so it is limited per address
+const postLimit = rateLimit({
+    windowMs: 10 * 60 * 1000,
+    limit: 10,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    message: { error: 'Too many comments, please try again later' }
+});
+
+const idValidation = [
+    param('episodeId').isInt({ min: 1 }).toInt()
+];
+
+// Accounts post under their own name; API keys carry none, so fall back to
+// the name given
+function accountName(user) {
+    return user ? [user.first_name, user.last_name].filter(Boolean).join(' ') : '';
+}
+
+function canModerate(user) {
+    return Boolean(user) && (user.role === 'super_admin' || (user.permissions || []).includes('moderate_comments'));
+}
+
+function handleCommentError(res, error, logMessage, clientMessage) {
+    if (error.message === 'Episode not found' || error.message === 'Parent comment not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'Comments are disabled for this show') {
+        return res.status(403).json({ error: error.message });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({ error: clientMessage });
+}
+
+// GET /api/episodes/:episodeId/comments - Approved comments as threads
+// ?sort=oldest|newest&limit=&offset=, paginated by top-level comment
+router.get('/', [
+    ...idValidation,
+    query('sort').optional().isIn(['oldest', 'newest']),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { sort = 'oldest', limit = 20, offset = 0 } = req.query;
+        const episode = await Comment.findEpisode(req.params.episodeId);
+
+        // Comments turned off for the show are hidden, not just closed
+        const { threads, total } = episode.settings.enabled
+            ? await Comment.findThreads(episode.id, { sort, limit, offset })
+            : { threads: [], total: 0 };
+
+        res.json({
+            success: true,
+            episode_id: episode.id,
+            comments_enabled: episode.settings.enabled,
+            comments: threads,
+            pagination: { limit, offset, total }
+        });
+    } catch (error) {
+        handleCommentError(res, error, 'Get comments error:', 'Failed to fetch comments');
+    }
+});
+
+// POST /api/episodes/:episodeId/comments - Post a comment or a reply.
+// Guests give a name and email; signed-in users post under their account.
+router.post('/', postLimit, optionalAuth, [
+    ...idValidation,
+    body('content').trim().isLength({ min: 1, max: MAX_COMMENT_LENGTH })
+        .withMessage(`Comment must be 1-${MAX_COMMENT_LENGTH} characters`),
+    body('parent_id').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('author_name').if((value, { req }) => !accountName(req.user))
+        .trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('author_email').if((value, { req }) => !req.user)
+        .isEmail().withMessage('A valid email address is required')
+        .isLength({ max: 255 }).withMessage('Email must not exceed 255 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const episode = await Comment.findEpisode(req.params.episodeId);
+        const user = req.user;
+
+        const comment = await Comment.create(episode, {
+            parentId: req.body.parent_id,
+            authorName: accountName(user) || req.body.author_name,
+            authorEmail: user ? user.email : req.body.author_email,
+            content: req.body.content
+        }, {
+            userId: user ? user.id : null,
+            isModerator: canModerate(user),
+            ipAddress: await storedIp(req.ip),
+            userAgent: req.get('User-Agent') || null
+        });
+
+        const approved = comment.status === 'approved';
+
+        res.status(approved ? 201 : 202).json({
+            success: true,
+            message: approved ? 'Comment posted' : 'Comment submitted for moderation',
+            comment: {
+                id: comment.id,
+                parent_id: comment.parent_id,
+                author_name: comment.author_name,
+                content: comment.content,
+                status: comment.status,
+                created_at: comment.created_at
+            }
+        });
+    } catch (error) {
+        handleCommentError(res, error, 'Create comment error:', 'Failed to post comment');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// api/downloads.js
+// Download tracking redirect placed in front of feed enclosures
+
+const express = require('express');
+const router = express.Router();
+const { param, query, validationResult } = require('express-validator');
+const Download = require('../models/download');
+const Subscription = require('../models/subscription');
+
+// GET /api/downloads/:episodeId/:filename - Log the request and redirect to
+// the audio file. The filename is only there so podcast apps see a proper
+// file extension. Premium and early-access episodes need the feed token of
+// the private feed that linked them.
+router.get('/:episodeId/:filename?', [
+    param('episodeId').isInt({ min: 1 }).toInt(),
+    query('token').optional().isLength({ min: 64, max: 64 }).isHexadecimal()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const episode = await Download.findEpisode(req.params.episodeId);
+        if (!episode || !episode.audio_url) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        if (!episode.is_public) {
+            const subscription = req.query.token ? await Subscription.findByFeedToken(req.query.token) : null;
+            if (!subscription || subscription.show_id !== episode.show_id) {
+                return res.status(404).json({ error: 'Episode not found' });
+            }
+        }
+
+        // A failed log entry must never cost a listener their download
+        Download.recordRequest(episode, req).catch(error => {
+            console.warn('Download logging failed:', error.message);
+        });
+
+        res.set('Cache-Control', 'private, no-cache');
+        res.redirect(302, episode.audio_url);
+    } catch (error) {
+        console.error('Download redirect error:', error);
+        res.status(500).json({ error: 'Failed to fetch episode' });
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,15 @@
 // api/episodes.js - MySQL version for episodes management
 import { query } from '../lib/mysql.js';
 import { verifyAdmin } from './auth.js';
+import { EPISODE_STATUSES, resolvePublishState, resolvePublishUpdate } from '../lib/publish-schedule.js';
+import { normalizeTagNames, assignEpisodeTags, getEpisodeTags, refreshTagUsage } from '../lib/episode-tags.js';
+
+// Thrown by publish-schedule for bad status/publish_date input
+const PUBLISH_ERRORS = [
+  'Invalid episode status',
+  'Invalid publish date',
+  'Scheduled episodes need a future publish date'
+];
 
 export default async function handler(req, res) {
   // Set CORS headers
@@ -33,7 +42,7 @@ export default async function handler(req, res) {
 
 // GET /api/episodes - Get episodes
 async function handleGetEpisodes(req, res) {
-  const { show, limit = 50, search, published = 'true' } = req.query;
+  const { show, limit = 50, search, published = 'true', status } = req.query;
   
   let sql = `
     SELECT 
@@ -47,6 +56,7 @@ async function handleGetEpisodes(req, res) {
       e.season,
       e.episode_number,
       e.publish_date,
+      e.status,
       e.is_published,
       e.play_count,
       e.download_count,
@@ -62,8 +72,14 @@ async function handleGetEpisodes(req, res) {
   
   const params = [];
 
-  // Filter by published status
-  if (published === 'true') {
+  // Filter by status (draft, scheduled, published), or by published flag
+  if (status) {
+    if (!EPISODE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: 'Invalid episode status' });
+    }
+    sql += ' AND e.status = ?';
+    params.push(status);
+  } else if (published === 'true') {
     sql += ' AND e.is_published = TRUE';
   }
 
@@ -73,10 +89,12 @@ async function handleGetEpisodes(req, res) {
     params.push(show);
   }
 
-  // Search functionality
+  // Search functionality, including spoken content from transcripts
   if (search) {
-    sql += ' AND (e.title LIKE ? OR e.description LIKE ?)';
-    params.push(`%${search}%`, `%${search}%`);
+    sql += ` AND (e.title LIKE ? OR e.description LIKE ? OR e.id IN (
+      SELECT episode_id FROM episode_transcripts WHERE MATCH(body_text) AGAINST (? IN NATURAL LANGUAGE MODE)
+    ))`;
+    params.push(`%${search}%`, `%${search}%`, search);
   }
 
   sql += ' ORDER BY e.publish_date DESC LIMIT ?';
@@ -106,7 +124,10 @@ async function handleCreateEpisode(req, res) {
     duration, 
     season, 
     episode_number,
-    is_published = false 
+    is_published = false,
+    status,
+    publish_date,
+    tags
   } = req.body;
   
   if (!title || !show_id || !audio_url) {
@@ -117,11 +138,16 @@ async function handleCreateEpisode(req, res) {
 
   try {
     // Check if show exists
-    const shows = await query('SELECT id FROM shows WHERE id = ?', [show_id]);
+    const shows = await query('SELECT id, timezone FROM shows WHERE id = ?', [show_id]);
     if (shows.length === 0) {
       return res.status(404).json({ error: 'Show not found' });
     }
 
+    // A future publish_date schedules the episode instead of publishing it
+    const publishState = resolvePublishState({ status, is_published, publish_date }, shows[0].timezone || 'UTC');
+
+    if (tags !== undefined) normalizeTagNames(tags);
+
     // Generate slug from title
     const slug = title.toLowerCase()
       .replace(/[^\w\s-]/g, '')
@@ -143,13 +169,18 @@ async function handleCreateEpisode(req, res) {
     const insertResult = await query(`
       INSERT INTO episodes (
         title, slug, show_id, description, audio_url, image_url, 
-        duration, season, episode_number, is_published, created_by
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        duration, season, episode_number, status, is_published, publish_date, created_by
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       title, finalSlug, show_id, description, audio_url, image_url,
-      duration, season, episode_number, is_published, adminCheck.user.id
+      duration, season, episode_number,
+      publishState.status, publishState.is_published, publishState.publish_date, adminCheck.user.id
     ]);
 
+    const assignedTags = tags !== undefined
+      ? await assignEpisodeTags(query, insertResult.insertId, tags)
+      : [];
+
     // Get the created episode with show details
     const episodes = await query(`
       SELECT 
@@ -171,10 +202,14 @@ async function handleCreateEpisode(req, res) {
     return res.status(201).json({ 
       success: true,
       message: 'Episode created successfully',
-      episode: episodes[0] 
+      episode: { ...episodes[0], tags: assignedTags }
     });
 
   } catch (error) {
+    if (PUBLISH_ERRORS.includes(error.message) || error.message.startsWith('Invalid tags')) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Create episode error:', error);
     return res.status(500).json({ error: 'Failed to create episode' });
   }
@@ -196,7 +231,12 @@ async function handleUpdateEpisode(req, res) {
 
   try {
     // Check if episode exists
-    const episodes = await query('SELECT * FROM episodes WHERE id = ?', [parseInt(id)]);
+    const episodes = await query(`
+      SELECT e.*, s.timezone
+      FROM episodes e
+      LEFT JOIN shows s ON e.show_id = s.id
+      WHERE e.id = ?
+    `, [parseInt(id)]);
     if (episodes.length === 0) {
       return res.status(404).json({ error: 'Episode not found' });
     }
@@ -206,12 +246,19 @@ async function handleUpdateEpisode(req, res) {
     // Build dynamic update query
     const allowedFields = [
       'title', 'description', 'audio_url', 'image_url', 
-      'duration', 'season', 'episode_number', 'is_published'
+      'duration', 'season', 'episode_number'
     ];
     
     const updateFields = [];
     const values = [];
 
+    // status, is_published and publish_date are resolved together
+    const publishState = resolvePublishUpdate(episode, updates, episode.timezone || 'UTC');
+    if (publishState) {
+      updateFields.push('status = ?', 'is_published = ?', 'publish_date = ?');
+      values.push(publishState.status, publishState.is_published, publishState.publish_date);
+    }
+
     for (const [key, value] of Object.entries(updates)) {
       if (allowedFields.includes(key) && value !== undefined) {
         updateFields.push(`${key} = ?`);
@@ -219,10 +266,14 @@ async function handleUpdateEpisode(req, res) {
       }
     }
 
-    if (updateFields.length === 0) {
+    if (updateFields.length === 0 && updates.tags === undefined) {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
 
+    if (updates.tags !== undefined) {
+      await assignEpisodeTags(query, parseInt(id), updates.tags);
+    }
+
     // Update slug if title changed
     if (updates.title && updates.title !== episode.title) {
       const newSlug = updates.title.toLowerCase()
@@ -253,7 +304,7 @@ async function handleUpdateEpisode(req, res) {
     `, [parseInt(id)]);
 
     // Update show episode count if published status changed
-    if (updates.is_published !== undefined) {
+    if (publishState) {
       await query(
         'UPDATE shows SET episode_count = (SELECT COUNT(*) FROM episodes WHERE show_id = ? AND is_published = TRUE) WHERE id = ?',
         [episode.show_id, episode.show_id]
@@ -263,10 +314,14 @@ async function handleUpdateEpisode(req, res) {
     return res.status(200).json({ 
       success: true,
       message: 'Episode updated successfully',
-      episode: updatedEpisodes[0] 
+      episode: { ...updatedEpisodes[0], tags: await getEpisodeTags(query, parseInt(id)) }
     });
 
   } catch (error) {
+    if (PUBLISH_ERRORS.includes(error.message) || error.message.startsWith('Invalid tags')) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Update episode error:', error);
     return res.status(500).json({ error: 'Failed to update episode' });
   }
@@ -293,10 +348,14 @@ async function handleDeleteEpisode(req, res) {
     }
 
     const showId = episodes[0].show_id;
+    const tags = await getEpisodeTags(query, parseInt(id));
 
     // Delete episode
     await query('DELETE FROM episodes WHERE id = ?', [parseInt(id)]);
 
+    // Its tag links cascade away with it
+    await refreshTagUsage(query, tags.map(tag => tag.id));
+
     // Update show episode count
     await query(
       'UPDATE shows SET episode_count = (SELECT COUNT(*) FROM episodes WHERE show_id = ? AND is_published = TRUE) WHERE id = ?',
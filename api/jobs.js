@@ -0,0 +1,118 @@
+// api/jobs.js
+// Background job schedules, run history and manual triggers
+
+const express = require('express');
+const router = express.Router();
+const { body, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
+const scheduler = require('../lib/jobs');
+
+// GET /api/jobs - List jobs with their schedule and last outcome
+router.get('/', requireAuth, requirePermission('manage_settings'), async (req, res) => {
+    try {
+        const jobs = await scheduler.getJobs();
+
+        res.json({
+            success: true,
+            instanceId: scheduler.instanceId,
+            jobs: jobs.map(job => ({
+                ...job,
+                running: Boolean(job.locked_until && new Date(job.locked_until) > new Date())
+            }))
+        });
+    } catch (error) {
+        console.error('Get jobs error:', error);
+        res.status(500).json({ error: 'Failed to fetch jobs' });
+    }
+});
+
+// GET /api/jobs/:name/runs - Run history for a job, newest first
+router.get('/:name/runs', [
+    query('status').optional().isIn(['running', 'succeeded', 'failed']),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], requireAuth, requirePermission('manage_settings'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const job = await scheduler.getJob(req.params.name);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const { status, limit = 50, offset = 0 } = req.query;
+        const runs = await scheduler.getRuns(job.name, { status, limit, offset });
+
+        res.json({
+            success: true,
+            job,
+            runs,
+            pagination: { limit, offset }
+        });
+    } catch (error) {
+        console.error('Get job runs error:', error);
+        res.status(500).json({ error: 'Failed to fetch job runs' });
+    }
+});
+
+// POST /api/jobs/:name/run - Trigger a job now. It runs in the background;
+// poll the returned run for its outcome.
+router.post('/:name/run', requireAuth, requirePermission('manage_settings'), logActivity('job_triggered'), async (req, res) => {
+    try {
+        const run = await scheduler.runNow(req.params.name, { triggeredBy: req.user.id });
+
+        res.status(202).json({
+            success: true,
+            message: 'Job started',
+            run
+        });
+    } catch (error) {
+        if (error.message === 'Job not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Job is already running') {
+            return res.status(409).json({ error: error.message });
+        }
+
+        console.error('Trigger job error:', error);
+        res.status(500).json({ error: 'Failed to trigger job' });
+    }
+});
+
+// PUT /api/jobs/:name - Change a job's schedule or enable/disable it
+router.put('/:name', [
+    body('cronExpression').optional().isString().trim().notEmpty(),
+    body('isEnabled').optional().isBoolean().toBoolean()
+], requireAuth, requirePermission('manage_settings'), logActivity('job_update'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const job = await scheduler.updateJob(req.params.name, {
+            cronExpression: req.body.cronExpression,
+            isEnabled: req.body.isEnabled
+        });
+
+        res.json({
+            success: true,
+            job
+        });
+    } catch (error) {
+        if (error.message === 'Job not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message === 'Invalid cron expression') {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Update job error:', error);
+        res.status(500).json({ error: 'Failed to update job' });
+    }
+});
+
+module.exports = router;
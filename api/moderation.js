@@ -0,0 +1,129 @@
+// api/moderation.js
+// Comment moderation queue
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
+const { COMMENT_STATUSES } = require('../lib/comments');
+const Comment = require('../models/comment');
+
+// Statuses a moderator can move a comment to
+const MODERATION_STATUSES = ['approved', 'rejected', 'spam'];
+
+const MAX_BULK_COMMENTS = 500;
+
+function handleModerationError(res, error, logMessage, clientMessage) {
+    if (error.message === 'Comment not found') {
+        return res.status(404).json({ error: error.message });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({ error: clientMessage });
+}
+
+// GET /api/moderation/comments - Comments awaiting moderation, oldest first
+// ?status=pending|approved|spam|rejected&show_id=&episode_id=&limit=&offset=
+router.get('/comments', [
+    query('status').optional().isIn(COMMENT_STATUSES),
+    query('show_id').optional().isInt({ min: 1 }).toInt(),
+    query('episode_id').optional().isInt({ min: 1 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], requireAuth, requirePermission('moderate_comments'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { status = 'pending', show_id, episode_id, limit = 50, offset = 0 } = req.query;
+        const { comments, total } = await Comment.findForModeration({
+            status,
+            showId: show_id,
+            episodeId: episode_id,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            status,
+            comments,
+            pagination: { limit, offset, total }
+        });
+    } catch (error) {
+        handleModerationError(res, error, 'Get moderation queue error:', 'Failed to fetch comments');
+    }
+});
+
+// POST /api/moderation/comments/bulk - Approve, reject or mark many comments as spam
+router.post('/comments/bulk', [
+    body('ids').isArray({ min: 1, max: MAX_BULK_COMMENTS }).withMessage(`Ids must be a list of 1-${MAX_BULK_COMMENTS} comment ids`),
+    body('ids.*').isInt({ min: 1 }).toInt(),
+    body('status').isIn(MODERATION_STATUSES).withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`)
+], requireAuth, requirePermission('moderate_comments'), logActivity('comments_bulk_moderate'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const result = await Comment.setStatus(req.body.ids, req.body.status, req.user.id);
+
+        res.json({
+            success: true,
+            message: `${result.updated.length} comment(s) ${req.body.status === 'spam' ? 'marked as spam' : req.body.status}`,
+            status: req.body.status,
+            ...result
+        });
+    } catch (error) {
+        handleModerationError(res, error, 'Bulk moderate comments error:', 'Failed to moderate comments');
+    }
+});
+
+// PATCH /api/moderation/comments/:id - Approve, reject or mark one comment as spam
+router.patch('/comments/:id', [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('status').isIn(MODERATION_STATUSES).withMessage(`Status must be one of: ${MODERATION_STATUSES.join(', ')}`)
+], requireAuth, requirePermission('moderate_comments'), logActivity('comment_moderate'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await Comment.setStatus([req.params.id], req.body.status, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Comment updated successfully',
+            comment: await Comment.findById(req.params.id)
+        });
+    } catch (error) {
+        handleModerationError(res, error, 'Moderate comment error:', 'Failed to moderate comment');
+    }
+});
+
+// DELETE /api/moderation/comments/:id - Delete a comment and its replies
+router.delete('/comments/:id', [
+    param('id').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('moderate_comments'), logActivity('comment_delete'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await Comment.delete(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        handleModerationError(res, error, 'Delete comment error:', 'Failed to delete comment');
+    }
+});
+
+module.exports = router;
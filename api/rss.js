@@ -3,15 +3,22 @@
 
 const express = require('express');
 const router = express.Router();
-const RSS = require('rss');
-const { param, validationResult } = require('express-validator');
+const { param, query, validationResult } = require('express-validator');
 const Show = require('../models/Show');
 const Episode = require('../models/Episode');
+const Subscription = require('../models/subscription');
+const Transcript = require('../models/transcript');
+const RSSManager = require('../lib/rss-utility');
+const feedCache = require('../lib/feed-cache');
+const { FeedCache } = feedCache;
+const { isValidCategory } = require('../lib/itunes-categories');
+const { TRANSCRIPT_FORMATS, renderTranscript } = require('../lib/transcript');
 const config = require('../config/app.config');
 
-// GET /api/rss/:showSlug - Generate RSS feed for show
+// GET /api/rss/:showSlug - Generate RSS feed for show (?page=N for older episodes)
 router.get('/:showSlug', [
-    param('showSlug').notEmpty().trim()
+    param('showSlug').notEmpty().trim(),
+    query('page').optional().isInt({ min: 1 }).toInt()
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -20,98 +27,34 @@ router.get('/:showSlug', [
         }
 
         const { showSlug } = req.params;
-        
-        // Find show by slug
-        const show = await Show.findBySlug(showSlug);
-        if (!show || !show.is_active) {
+        const page = req.query.page || 1;
+
+        // Rendered feeds are cached until an episode or the show changes,
+        // here or on another instance
+        const current = await Show.getFeedVersion(showSlug);
+        if (!current || !current.is_active) {
             return res.status(404).json({ error: 'Show not found' });
         }
 
-        // Get published episodes
-        const episodes = await Episode.getEpisodesByShow(show.id, true);
+        let cached = feedCache.getBySlug(showSlug, page, current.version);
 
-        // Generate RSS feed
-        const feed = new RSS({
-            title: show.name,
-            description: show.description || `Podcast episodes from ${show.name}`,
-            feed_url: `${config.app.url}/api/rss/${showSlug}`,
-            site_url: config.app.url,
-            image_url: show.image_url,
-            managingEditor: config.app.adminEmail,
-            webMaster: config.app.adminEmail,
-            copyright: `© ${new Date().getFullYear()} ${show.name}`,
-            language: 'en-us',
-            categories: ['Technology', 'Education'],
-            pubDate: episodes[0]?.publish_date || new Date(),
-            ttl: 60,
-            custom_namespaces: {
-                'itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
-                'content': 'http://purl.org/rss/1.0/modules/content/',
-                'podcast': 'https://podcastindex.org/namespace/1.0'
-            },
-            custom_elements: [
-                {'itunes:subtitle': show.description || ''},
-                {'itunes:author': show.name},
-                {'itunes:summary': show.description || ''},
-                {'itunes:owner': [
-                    {'itunes:name': show.name},
-                    {'itunes:email': config.app.adminEmail}
-                ]},
-                {'itunes:image': {
-                    _attr: {
-                        href: show.image_url || `${config.app.url}/default-podcast-image.jpg`
-                    }
-                }},
-                {'itunes:category': [
-                    {_attr: {text: 'Technology'}},
-                    {'itunes:category': {_attr: {text: 'Podcasting'}}}
-                ]},
-                {'itunes:explicit': 'false'},
-                {'itunes:type': 'episodic'},
-                {'language': 'en-us'}
-            ]
-        });
+        if (!cached) {
+            // Find show by slug
+            const show = await Show.findBySlug(showSlug);
+            if (!show || !show.is_active) {
+                return res.status(404).json({ error: 'Show not found' });
+            }
 
-        // Add episodes to feed
-        episodes.forEach(episode => {
-            const episodeUrl = `${config.app.url}/episode/${show.slug}/${episode.slug}`;
-            
-            feed.item({
-                title: episode.title,
-                description: episode.description || '',
-                url: episodeUrl,
-                guid: `${config.app.url}/episode/${episode.id}`,
-                date: episode.publish_date,
-                enclosure: {
-                    url: episode.audio_url,
-                    type: 'audio/mpeg'
-                },
-                custom_elements: [
-                    {'itunes:title': episode.title},
-                    {'itunes:subtitle': episode.description ? episode.description.substring(0, 255) : ''},
-                    {'itunes:summary': episode.description || ''},
-                    {'itunes:duration': episode.duration || '00:00:00'},
-                    {'itunes:image': {
-                        _attr: {
-                            href: episode.image_url || show.image_url || `${config.app.url}/default-episode-image.jpg`
-                        }
-                    }},
-                    {'itunes:explicit': 'false'},
-                    {'itunes:episodeType': 'full'},
-                    ...(episode.season && [{'itunes:season': episode.season}]),
-                    ...(episode.episode_number && [{'itunes:episode': episode.episode_number}])
-                ]
-            });
-        });
+            const rendered = await renderFeedPage(show, page, { feedUrl: RSSManager.getFeedUrl(show) });
+            if (!rendered) {
+                return res.status(404).json({ error: 'Feed page not found' });
+            }
 
-        // Set proper headers
-        res.set({
-            'Content-Type': 'application/rss+xml; charset=utf-8',
-            'Cache-Control': 'public, max-age=3600', // Cache for 1 hour
-            'Last-Modified': new Date(show.updated_at).toUTCString()
-        });
+            cached = feedCache.set(show.id, showSlug, page, rendered.xml,
+                FeedCache.latestChange(show, rendered.episodes), current.version);
+        }
 
-        res.send(feed.xml({ indent: true }));
+        sendFeed(req, res, cached, 'public, max-age=3600'); // Cache for 1 hour
     } catch (error) {
         console.error('RSS generation error:', error);
         res.status(500).json({ error: 'Failed to generate RSS feed' });
@@ -162,6 +105,13 @@ router.get('/:showSlug/validate', [
             validation.warnings.push('Show artwork is required for iTunes/Apple Podcasts');
         }
 
+        if (!show.category) {
+            validation.warnings.push('Show category is not set, feed falls back to the default category');
+        } else if (!isValidCategory(show.category)) {
+            validation.errors.push(`Show category "${show.category}" is not an Apple Podcasts category`);
+            validation.valid = false;
+        }
+
         // Validate episodes
         episodes.forEach((episode, index) => {
             if (!episode.audio_url) {
@@ -189,6 +139,129 @@ router.get('/:showSlug/validate', [
     }
 });
 
+// GET /api/rss/:showSlug/:episodeSlug/chapters.json - Podcasting 2.0 JSON chapters.
+// Premium and early-access episodes need the token of the private feed.
+router.get('/:showSlug/:episodeSlug/chapters.json', [
+    param('showSlug').notEmpty().trim(),
+    param('episodeSlug').notEmpty().trim(),
+    query('token').optional().isLength({ min: 64, max: 64 }).isHexadecimal()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { showSlug, episodeSlug } = req.params;
+
+        const show = await Show.findBySlug(showSlug);
+        if (!show || !show.is_active) {
+            return res.status(404).json({ error: 'Show not found' });
+        }
+
+        const episode = await findListedEpisode(show, episodeSlug, req.query.token);
+        if (!episode) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        res.set({
+            'Content-Type': 'application/json+chapters; charset=utf-8',
+            'Cache-Control': episode.is_public ? 'public, max-age=3600' : 'private, no-cache'
+        });
+
+        res.send(JSON.stringify(RSSManager.toJsonChapters(episode.chapter_marks)));
+    } catch (error) {
+        console.error('Chapters generation error:', error);
+        res.status(500).json({ error: 'Failed to generate chapters' });
+    }
+});
+
+// GET /api/rss/:showSlug/:episodeSlug/transcript.(srt|vtt|json) - Hosted transcript in the requested format.
+// Gated like the chapters: the transcript of a paid episode is paid content.
+router.get('/:showSlug/:episodeSlug/transcript.:format', [
+    param('showSlug').notEmpty().trim(),
+    param('episodeSlug').notEmpty().trim(),
+    param('format').isIn(Object.keys(TRANSCRIPT_FORMATS)),
+    query('token').optional().isLength({ min: 64, max: 64 }).isHexadecimal()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { showSlug, episodeSlug, format } = req.params;
+
+        const show = await Show.findBySlug(showSlug);
+        if (!show || !show.is_active) {
+            return res.status(404).json({ error: 'Show not found' });
+        }
+
+        const episode = await findListedEpisode(show, episodeSlug, req.query.token);
+        if (!episode) {
+            return res.status(404).json({ error: 'Episode not found' });
+        }
+
+        const transcript = await Transcript.findByEpisode(episode.id);
+        if (!transcript) {
+            return res.status(404).json({ error: 'Transcript not found' });
+        }
+
+        res.set({
+            'Content-Type': `${TRANSCRIPT_FORMATS[format].mimeType}; charset=utf-8`,
+            'Cache-Control': episode.is_public ? 'public, max-age=3600' : 'private, no-cache',
+            'Last-Modified': new Date(transcript.updated_at).toUTCString()
+        });
+
+        res.send(renderTranscript(transcript.segments, format));
+    } catch (error) {
+        console.error('Transcript generation error:', error);
+        res.status(500).json({ error: 'Failed to generate transcript' });
+    }
+});
+
+// GET /api/rss/:showSlug/private/:token - Subscriber feed including premium and early-access episodes
+router.get('/:showSlug/private/:token', [
+    param('showSlug').notEmpty().trim(),
+    param('token').isLength({ min: 64, max: 64 }).isHexadecimal(),
+    query('page').optional().isInt({ min: 1 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { showSlug, token } = req.params;
+        const page = req.query.page || 1;
+
+        const show = await Show.findBySlug(showSlug);
+        const subscription = await Subscription.findByFeedToken(token);
+
+        // Revoked tokens and tokens for another show look the same as unknown ones
+        if (!show || !show.is_active || !subscription || subscription.show_id !== show.id) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+
+        const rendered = await renderFeedPage(show, page, {
+            feedUrl: RSSManager.getPrivateFeedUrl(show, token),
+            includePrivate: true,
+            feedToken: token
+        });
+        if (!rendered) {
+            return res.status(404).json({ error: 'Feed page not found' });
+        }
+
+        // Private feeds are never cached so revoking a token takes effect immediately
+        const entry = feedCache.createEntry(show.id, rendered.xml, FeedCache.latestChange(show, rendered.episodes));
+
+        sendFeed(req, res, entry, 'private, no-cache');
+    } catch (error) {
+        console.error('Private RSS generation error:', error);
+        res.status(500).json({ error: 'Failed to generate RSS feed' });
+    }
+});
+
 // POST /api/rss/:showSlug/regenerate - Force regenerate RSS feed
 router.post('/:showSlug/regenerate', [
     param('showSlug').notEmpty().trim()
@@ -246,4 +319,72 @@ router.get('/', async (req, res) => {
     }
 });
 
+// A published episode anyone may fetch the extras of, or a premium or
+// early-access one when token is a feed token for the show. Null otherwise.
+async function findListedEpisode(show, episodeSlug, token) {
+    const episode = await Episode.findPublishedBySlug(show.id, episodeSlug);
+    if (!episode) return null;
+
+    if (!episode.is_public) {
+        const subscription = token ? await Subscription.findByFeedToken(token) : null;
+        if (!subscription || subscription.show_id !== show.id) return null;
+    }
+
+    return episode;
+}
+
+// Render one page of a show's feed, newest episodes first. Pages are linked as
+// an RFC 5005 paged feed, and the show's feed_item_limit caps the whole feed.
+// Returns null when the page is past the end.
+async function renderFeedPage(show, page, { feedUrl, includePrivate = false, feedToken = null }) {
+    const pageSize = config.feeds.pageSize;
+    const available = await Episode.countFeedEpisodes(show.id, includePrivate);
+    const total = show.feed_item_limit ? Math.min(available, show.feed_item_limit) : available;
+    const lastPage = Math.max(1, Math.ceil(total / pageSize));
+
+    if (page > lastPage) {
+        return null;
+    }
+
+    const offset = (page - 1) * pageSize;
+    const episodes = await Episode.getFeedEpisodes(show.id, {
+        limit: Math.min(pageSize, total - offset),
+        offset,
+        includePrivate
+    });
+
+    const pageUrl = number => (number === 1 ? feedUrl : `${feedUrl}?page=${number}`);
+    const pages = lastPage === 1 ? {} : {
+        first: pageUrl(1),
+        previous: page > 1 ? pageUrl(page - 1) : null,
+        next: page < lastPage ? pageUrl(page + 1) : null,
+        last: pageUrl(lastPage)
+    };
+
+    const xml = RSSManager.buildFeed(show, episodes, {
+        feedUrl: pageUrl(page),
+        pages,
+        isPrivate: includePrivate,
+        feedToken
+    });
+
+    return { xml, episodes };
+}
+
+function sendFeed(req, res, entry, cacheControl) {
+    res.set({
+        'Content-Type': 'application/rss+xml; charset=utf-8',
+        'Cache-Control': cacheControl,
+        'ETag': entry.etag,
+        'Last-Modified': entry.lastModified.toUTCString()
+    });
+
+    // Conditional GET: If-None-Match takes precedence over If-Modified-Since
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.send(entry.xml);
+}
+
 module.exports = router;
\ No newline at end of file
@@ -8,6 +8,9 @@ const { body, validationResult } = require('express-validator');
 const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
 const db = require('../lib/database');
 const config = require('../config/app.config');
+const Episode = require('../models/episode');
+const Chapter = require('../models/chapter');
+const { probeAudio, matchesDeclaredType, readId3Chapters } = require('../lib/audio-probe');
 
 // Configure AWS SDK for S3 or DigitalOcean Spaces
 let s3Client = null;
@@ -38,6 +41,19 @@ async function initializeS3Client() {
     }
 }
 
+// Byte-range reader over a stored object for the audio probe
+function createRangeReader(s3, bucket, key) {
+    return async (offset, length) => {
+        const object = await s3.getObject({
+            Bucket: bucket,
+            Key: key,
+            Range: `bytes=${offset}-${offset + length - 1}`
+        }).promise();
+        
+        return object.Body;
+    };
+}
+
 // GET /api/s3/config - Get current S3 configuration status
 router.get('/config', requireAuth, requirePermission('view_dashboard'), async (req, res) => {
     try {
@@ -254,12 +270,37 @@ router.post('/upload-complete', [
         const s3Config = await db.query('SELECT bucket FROM s3_config WHERE is_active = TRUE LIMIT 1');
         const bucket = s3Config[0].bucket;
         
+        let head;
         try {
-            await s3.headObject({ Bucket: bucket, Key: key }).promise();
+            head = await s3.headObject({ Bucket: bucket, Key: key }).promise();
         } catch (error) {
             return res.status(400).json({ error: 'File not found in storage' });
         }
         
+        // Inspect audio headers; contents that don't match the declared type are removed
+        let media = null;
+        if (upload.mime_type.startsWith('audio/')) {
+            let probeError = null;
+            
+            try {
+                media = await probeAudio(createRangeReader(s3, bucket, key), head.ContentLength);
+            } catch (error) {
+                probeError = error.message;
+            }
+            
+            if (!media || !matchesDeclaredType(upload.mime_type, media)) {
+                await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+                await db.query(`UPDATE file_uploads SET upload_status = 'rejected' WHERE id = ?`, [uploadId]);
+                
+                return res.status(400).json({
+                    error: 'File contents do not match the declared type',
+                    declaredType: upload.mime_type,
+                    detectedType: media ? media.mimeType : null,
+                    details: probeError || undefined
+                });
+            }
+        }
+        
         // Mark upload as complete
         const updateSql = `
             UPDATE file_uploads 
@@ -268,13 +309,38 @@ router.post('/upload-complete', [
         `;
         await db.query(updateSql, [uploadId]);
         
+        let chaptersImported = 0;
+        if (media && upload.entity_type === 'episode' && upload.entity_id) {
+            await Episode.updateMediaInfo(upload.entity_id, media, head.ContentLength);
+            
+            // MP3s exported from editors often carry ID3 chapter frames
+            if (media.container === 'mp3') {
+                try {
+                    const chapters = await readId3Chapters(createRangeReader(s3, bucket, key), head.ContentLength);
+                    chaptersImported = await Chapter.importFromAudio(upload.entity_id, chapters);
+                } catch (error) {
+                    console.warn('Chapter import skipped:', error.message);
+                }
+            }
+        }
+        
         // Generate public URL
         const publicUrl = `${s3Config[0].endpoint}/${bucket}/${key}`;
         
         res.json({
             success: true,
             url: publicUrl,
-            key: key
+            key: key,
+            media: media ? {
+                mimeType: media.mimeType,
+                codec: media.codec,
+                duration: Math.round(media.duration),
+                bitrate: media.bitrate,
+                sampleRate: media.sampleRate,
+                channels: media.channels,
+                fileSize: head.ContentLength,
+                chaptersImported
+            } : null
         });
     } catch (error) {
         console.error('Upload complete error:', error);
@@ -0,0 +1,63 @@
+// api/search.js
+// Public full-text search over shows, episodes and tags
+
+const express = require('express');
+const router = express.Router();
+const { query, validationResult } = require('express-validator');
+const { optionalAuth } = require('../middleware/auth');
+const { SEARCH_MODES, SEARCH_TYPES, search, recordSearch } = require('../lib/search');
+
+// GET /api/search - Ranked results with highlighted snippets and episode facets
+// ?q=&mode=natural|boolean&type=all|shows|episodes|tags&show_id=&season=&year=&limit=&offset=
+router.get('/', [
+    query('q').trim().isLength({ min: 2, max: 200 }).withMessage('Search query must be 2-200 characters'),
+    query('mode').optional().isIn(Object.keys(SEARCH_MODES)),
+    query('type').optional().isIn(SEARCH_TYPES),
+    query('show_id').optional().isInt({ min: 1 }).toInt(),
+    query('season').optional().isInt({ min: 1 }).toInt(),
+    query('year').optional().isInt({ min: 1900, max: 2100 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 50 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], optionalAuth, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { q, mode = 'natural', type = 'all', limit = 20, offset = 0 } = req.query;
+        const filters = {
+            showId: req.query.show_id,
+            season: req.query.season,
+            year: req.query.year
+        };
+
+        const { results, totals, facets } = await search({ q, mode, type, ...filters, limit, offset });
+
+        // Recording must never hold up or fail the search itself
+        recordSearch(req, { q, mode, type, filters, totals }).catch((error) => {
+            console.error('Record search error:', error);
+        });
+
+        res.json({
+            success: true,
+            query: q,
+            mode,
+            type,
+            results,
+            totals,
+            facets,
+            pagination: { limit, offset }
+        });
+    } catch (error) {
+        // InnoDB rejects some boolean queries, e.g. unbalanced operators
+        if (error.code === 'ER_PARSE_ERROR') {
+            return res.status(400).json({ error: 'Invalid boolean search query' });
+        }
+
+        console.error('Search error:', error);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,11 @@ const express = require('express');
 const router = express.Router();
 const { body, validationResult, param, query } = require('express-validator');
 const Show = require('../models/Show');
+const Episode = require('../models/episode');
+const Subscription = require('../models/subscription');
+const RSSManager = require('../lib/rss-utility');
+const { isValidCategory } = require('../lib/itunes-categories');
+const { EPISODE_STATUSES, isValidTimeZone } = require('../lib/publish-schedule');
 const { requireAuth, requirePermission, logActivity, auditAction } = require('../middleware/auth');
 
 // GET /api/shows - Get all shows
@@ -101,7 +106,30 @@ router.post('/', [
     body('name').notEmpty().trim().isLength({ min: 1, max: 255 }),
     body('description').optional().trim().isLength({ max: 2000 }),
     body('color').optional().matches(/^#[0-9A-F]{6}$/i),
-    body('imageUrl').optional().isURL()
+    body('imageUrl').optional().isURL(),
+    body('category').optional({ values: 'null' }).custom(isValidCategory).withMessage('Category must be an Apple Podcasts category'),
+    body('explicit').optional().isBoolean().toBoolean(true),
+    body('language').optional()
+        .isLength({ max: 10 }).withMessage('Language must not exceed 10 characters')
+        .matches(/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i).withMessage('Language must be an ISO 639 language code'),
+    body('author').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('ownerName').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('ownerEmail').optional({ values: 'null' }).isEmail(),
+    body('copyright').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('podcastLocked').optional().isBoolean(),
+    body('fundingUrl').optional({ values: 'null' }).isURL(),
+    body('fundingMessage').optional({ values: 'null' }).trim().isLength({ max: 128 }),
+    body('persons').optional({ values: 'null' }).isArray({ max: 50 }),
+    body('persons.*.name').notEmpty().trim().isLength({ max: 128 }),
+    body('persons.*.role').optional().trim().isLength({ max: 64 }),
+    body('persons.*.group').optional().trim().isLength({ max: 64 }),
+    body('persons.*.img').optional().isURL(),
+    body('persons.*.href').optional().isURL(),
+    body('feedItemLimit').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('syncUpdatePolicy').optional().isIn(['overwrite', 'preserve_local']),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone such as Europe/London'),
+    body('commentsEnabled').optional({ values: 'null' }).isBoolean().toBoolean(),
+    body('commentsRequireApproval').optional({ values: 'null' }).isBoolean().toBoolean()
 ], requireAuth, requirePermission('create_shows'), logActivity('show_create'), auditAction('show_create'), async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -113,7 +141,23 @@ router.post('/', [
             name: req.body.name,
             description: req.body.description,
             color: req.body.color || '#6366f1',
-            imageUrl: req.body.imageUrl
+            imageUrl: req.body.imageUrl,
+            category: req.body.category,
+            explicit: req.body.explicit,
+            language: req.body.language,
+            author: req.body.author,
+            ownerName: req.body.ownerName,
+            ownerEmail: req.body.ownerEmail,
+            copyright: req.body.copyright,
+            podcastLocked: req.body.podcastLocked,
+            fundingUrl: req.body.fundingUrl,
+            fundingMessage: req.body.fundingMessage,
+            persons: req.body.persons,
+            feedItemLimit: req.body.feedItemLimit,
+            syncUpdatePolicy: req.body.syncUpdatePolicy,
+            timezone: req.body.timezone,
+            commentsEnabled: req.body.commentsEnabled,
+            commentsRequireApproval: req.body.commentsRequireApproval
         };
 
         const show = await Show.create(showData, req.user.id);
@@ -130,6 +174,10 @@ router.post('/', [
             return res.status(409).json({ error: error.message });
         }
         
+        if (error.message.startsWith('Invalid feed metadata')) {
+            return res.status(400).json({ error: error.message });
+        }
+        
         res.status(500).json({ error: 'Failed to create show' });
     }
 });
@@ -141,7 +189,30 @@ router.put('/:id', [
     body('description').optional().trim().isLength({ max: 2000 }),
     body('color').optional().matches(/^#[0-9A-F]{6}$/i),
     body('imageUrl').optional().isURL(),
-    body('is_active').optional().isBoolean()
+    body('is_active').optional().isBoolean(),
+    body('category').optional({ values: 'null' }).custom(isValidCategory).withMessage('Category must be an Apple Podcasts category'),
+    body('explicit').optional().isBoolean().toBoolean(true),
+    body('language').optional()
+        .isLength({ max: 10 }).withMessage('Language must not exceed 10 characters')
+        .matches(/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i).withMessage('Language must be an ISO 639 language code'),
+    body('author').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('ownerName').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('ownerEmail').optional({ values: 'null' }).isEmail(),
+    body('copyright').optional({ values: 'null' }).trim().isLength({ max: 255 }),
+    body('podcastLocked').optional().isBoolean(),
+    body('fundingUrl').optional({ values: 'null' }).isURL(),
+    body('fundingMessage').optional({ values: 'null' }).trim().isLength({ max: 128 }),
+    body('persons').optional({ values: 'null' }).isArray({ max: 50 }),
+    body('persons.*.name').notEmpty().trim().isLength({ max: 128 }),
+    body('persons.*.role').optional().trim().isLength({ max: 64 }),
+    body('persons.*.group').optional().trim().isLength({ max: 64 }),
+    body('persons.*.img').optional().isURL(),
+    body('persons.*.href').optional().isURL(),
+    body('feedItemLimit').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('syncUpdatePolicy').optional().isIn(['overwrite', 'preserve_local']),
+    body('timezone').optional().custom(isValidTimeZone).withMessage('Time zone must be an IANA time zone such as Europe/London'),
+    body('commentsEnabled').optional({ values: 'null' }).isBoolean().toBoolean(),
+    body('commentsRequireApproval').optional({ values: 'null' }).isBoolean().toBoolean()
 ], requireAuth, requirePermission('edit_shows'), logActivity('show_update'), auditAction('show_update'), async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -149,7 +220,12 @@ router.put('/:id', [
             return res.status(400).json({ errors: errors.array() });
         }
 
-        const allowedFields = ['name', 'description', 'color', 'imageUrl', 'is_active'];
+        const allowedFields = [
+            'name', 'description', 'color', 'imageUrl', 'is_active',
+            'category', 'explicit', 'language', 'author', 'ownerName', 'ownerEmail', 'copyright',
+            'podcastLocked', 'fundingUrl', 'fundingMessage', 'persons', 'feedItemLimit',
+            'syncUpdatePolicy', 'timezone', 'commentsEnabled', 'commentsRequireApproval'
+        ];
         const updateData = {};
         
         for (const field of allowedFields) {
@@ -176,7 +252,7 @@ router.put('/:id', [
             return res.status(409).json({ error: error.message });
         }
         
-        if (error.message === 'No valid fields to update') {
+        if (error.message === 'No valid fields to update' || error.message.startsWith('Invalid feed metadata')) {
             return res.status(400).json({ error: error.message });
         }
         
@@ -259,7 +335,22 @@ router.post('/:id/duplicate', [
             name: req.body.name,
             description: originalShow.description,
             color: originalShow.color,
-            imageUrl: originalShow.image_url
+            imageUrl: originalShow.image_url,
+            category: originalShow.category,
+            explicit: Boolean(originalShow.explicit),
+            language: originalShow.language,
+            author: originalShow.author,
+            ownerName: originalShow.owner_name,
+            ownerEmail: originalShow.owner_email,
+            copyright: originalShow.copyright,
+            fundingUrl: originalShow.funding_url,
+            fundingMessage: originalShow.funding_message,
+            persons: originalShow.persons,
+            feedItemLimit: originalShow.feed_item_limit,
+            syncUpdatePolicy: originalShow.sync_update_policy,
+            timezone: originalShow.timezone,
+            commentsEnabled: originalShow.comments_enabled,
+            commentsRequireApproval: originalShow.comments_require_approval
         };
 
         const newShow = await Show.create(duplicateData, req.user.id);
@@ -280,10 +371,12 @@ router.post('/:id/duplicate', [
     }
 });
 
-// GET /api/shows/:id/episodes - Get episodes for a specific show
+// GET /api/shows/:id/episodes - Get episodes for a specific show.
+// Filter with ?status=draft|scheduled|published; counts cover every status.
 router.get('/:id/episodes', [
     param('id').isInt({ min: 1 }),
     query('published').optional().isBoolean(),
+    query('status').optional().isIn(EPISODE_STATUSES),
     query('limit').optional().isInt({ min: 1, max: 100 }),
     query('offset').optional().isInt({ min: 0 })
 ], requireAuth, requirePermission('view_dashboard'), async (req, res) => {
@@ -299,11 +392,28 @@ router.get('/:id/episodes', [
             return res.status(404).json({ error: 'Show not found' });
         }
 
-        // This would need Episode model - placeholder for now
+        const filters = {
+            show_id: show.id,
+            status: req.query.status,
+            limit: req.query.limit || 50,
+            offset: req.query.offset || 0
+        };
+        
+        if (req.query.published !== undefined) {
+            filters.is_published = req.query.published === 'true';
+        }
+        
+        const [episodes, counts] = await Promise.all([
+            Episode.findAll(filters),
+            Episode.countByStatus(show.id)
+        ]);
+        
         res.json({
             success: true,
-            message: 'Episodes endpoint - requires Episode model implementation',
-            show_id: req.params.id
+            show_id: show.id,
+            timezone: show.timezone,
+            episodes,
+            counts
         });
     } catch (error) {
         console.error('Get show episodes error:', error);
@@ -338,4 +448,101 @@ router.put('/:id/rss-url', [
     }
 });
 
+// GET /api/shows/:id/private-feeds - List private feed subscribers
+router.get('/:id/private-feeds', [
+    param('id').isInt({ min: 1 })
+], requireAuth, requirePermission('manage_subscriptions'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const show = await Show.findById(req.params.id);
+        if (!show) {
+            return res.status(404).json({ error: 'Show not found' });
+        }
+
+        const subscriptions = await Subscription.getPrivateFeeds(show.id);
+
+        res.json({
+            success: true,
+            private_feeds: subscriptions.map(subscription => ({
+                ...subscription,
+                feed_url: subscription.token_revoked_at ? null : RSSManager.getPrivateFeedUrl(show, subscription.feed_token)
+            }))
+        });
+    } catch (error) {
+        console.error('Get private feeds error:', error);
+        res.status(500).json({ error: 'Failed to fetch private feeds' });
+    }
+});
+
+// POST /api/shows/:id/private-feeds - Issue a private feed token for a subscriber
+router.post('/:id/private-feeds', [
+    param('id').isInt({ min: 1 }),
+    body('userId').optional({ values: 'null' }).isInt({ min: 1 }).toInt(),
+    body('email').optional({ values: 'null' }).isEmail().normalizeEmail()
+], requireAuth, requirePermission('manage_subscriptions'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const show = await Show.findById(req.params.id);
+        if (!show) {
+            return res.status(404).json({ error: 'Show not found' });
+        }
+
+        const subscription = await Subscription.createPrivateFeed(show.id, {
+            userId: req.body.userId,
+            email: req.body.email
+        }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Private feed created successfully',
+            subscription,
+            feed_url: RSSManager.getPrivateFeedUrl(show, subscription.feed_token)
+        });
+    } catch (error) {
+        console.error('Create private feed error:', error);
+        
+        if (error.message === 'A user or email is required for a private feed') {
+            return res.status(400).json({ error: error.message });
+        }
+        
+        res.status(500).json({ error: 'Failed to create private feed' });
+    }
+});
+
+// DELETE /api/shows/:id/private-feeds/:subscriptionId - Revoke a subscriber's private feed token
+router.delete('/:id/private-feeds/:subscriptionId', [
+    param('id').isInt({ min: 1 }),
+    param('subscriptionId').isInt({ min: 1 })
+], requireAuth, requirePermission('manage_subscriptions'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await Subscription.revokePrivateFeed(req.params.id, req.params.subscriptionId, req.user.id);
+        
+        res.json({
+            success: true,
+            message: 'Private feed revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke private feed error:', error);
+        
+        if (error.message === 'Private feed not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        
+        res.status(500).json({ error: 'Failed to revoke private feed' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,214 @@
+// api/tags.js
+// Tag management and public tag-based episode browsing
+
+const express = require('express');
+const router = express.Router();
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
+const Tag = require('../models/tag');
+const Episode = require('../models/episode');
+
+const tagValidation = (optional = false) => [
+    (optional ? body('name').optional() : body('name'))
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Tag name must be between 1 and 100 characters'),
+    body('color')
+        .optional()
+        .matches(/^#[0-9A-Fa-f]{6}$/)
+        .withMessage('Color must be a valid hex color')
+];
+
+function handleTagError(res, error, logMessage, clientMessage) {
+    if (error.message === 'Tag not found') {
+        return res.status(404).json({ error: error.message });
+    }
+    if (error.message === 'A tag with this name already exists') {
+        return res.status(409).json({ error: error.message });
+    }
+    if (error.message === 'No valid fields to update' ||
+        error.message === 'Choose at least one other tag to merge' ||
+        error.message.startsWith('Tag name needs')) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    console.error(logMessage, error);
+    res.status(500).json({ error: clientMessage });
+}
+
+// GET /api/tags - List tags, most used first (?sort=name for alphabetical)
+router.get('/', [
+    query('search').optional().trim().isLength({ max: 100 }),
+    query('sort').optional().isIn(['usage', 'name']),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { search, sort = 'usage', limit = 100, offset = 0 } = req.query;
+        const tags = await Tag.findAll({ search, sort, limit, offset });
+
+        res.json({
+            success: true,
+            tags,
+            pagination: { limit, offset }
+        });
+    } catch (error) {
+        console.error('Get tags error:', error);
+        res.status(500).json({ error: 'Failed to fetch tags' });
+    }
+});
+
+// GET /api/tags/:slug - Single tag
+router.get('/:slug', [
+    param('slug').notEmpty().trim()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tag = await Tag.findBySlug(req.params.slug);
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        res.json({
+            success: true,
+            tag
+        });
+    } catch (error) {
+        console.error('Get tag error:', error);
+        res.status(500).json({ error: 'Failed to fetch tag' });
+    }
+});
+
+// GET /api/tags/:slug/episodes - Published episodes with this tag, across shows
+router.get('/:slug/episodes', [
+    param('slug').notEmpty().trim(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tag = await Tag.findBySlug(req.params.slug);
+        if (!tag) {
+            return res.status(404).json({ error: 'Tag not found' });
+        }
+
+        const { limit = 20, offset = 0 } = req.query;
+        const [episodes, total] = await Promise.all([
+            Episode.findByTag(tag.id, { limit, offset }),
+            Episode.countByTag(tag.id)
+        ]);
+
+        res.json({
+            success: true,
+            tag,
+            episodes,
+            pagination: { limit, offset, total }
+        });
+    } catch (error) {
+        console.error('Get tag episodes error:', error);
+        res.status(500).json({ error: 'Failed to fetch tag episodes' });
+    }
+});
+
+// POST /api/tags - Create a tag
+router.post('/', tagValidation(), requireAuth, requirePermission('edit_episodes'), logActivity('tag_create'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tag = await Tag.create({ name: req.body.name, color: req.body.color }, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Tag created successfully',
+            tag
+        });
+    } catch (error) {
+        handleTagError(res, error, 'Create tag error:', 'Failed to create tag');
+    }
+});
+
+// PUT /api/tags/:id - Rename or recolour a tag
+router.put('/:id', [
+    param('id').isInt({ min: 1 }).toInt(),
+    ...tagValidation(true)
+], requireAuth, requirePermission('edit_episodes'), logActivity('tag_update'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tag = await Tag.update(req.params.id, { name: req.body.name, color: req.body.color }, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Tag updated successfully',
+            tag
+        });
+    } catch (error) {
+        handleTagError(res, error, 'Update tag error:', 'Failed to update tag');
+    }
+});
+
+// POST /api/tags/:id/merge - Fold other tags into this one
+router.post('/:id/merge', [
+    param('id').isInt({ min: 1 }).toInt(),
+    body('source_ids').isArray({ min: 1, max: 100 }).withMessage('source_ids must list the tags to merge'),
+    body('source_ids.*').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('edit_episodes'), logActivity('tag_merge'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const tag = await Tag.merge(req.params.id, req.body.source_ids, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Tags merged successfully',
+            tag
+        });
+    } catch (error) {
+        handleTagError(res, error, 'Merge tags error:', 'Failed to merge tags');
+    }
+});
+
+// DELETE /api/tags/:id - Delete a tag and remove it from all episodes
+router.delete('/:id', [
+    param('id').isInt({ min: 1 }).toInt()
+], requireAuth, requirePermission('edit_episodes'), logActivity('tag_delete'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await Tag.delete(req.params.id, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Tag deleted successfully'
+        });
+    } catch (error) {
+        handleTagError(res, error, 'Delete tag error:', 'Failed to delete tag');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+// api/transcripts.js
+// Episode transcripts, mounted at /api/episodes/:episodeId/transcript
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAuth, requirePermission, logActivity } = require('../middleware/auth');
+const Transcript = require('../models/transcript');
+const { TRANSCRIPT_FORMATS, renderTranscript } = require('../lib/transcript');
+
+const FORMATS = Object.keys(TRANSCRIPT_FORMATS);
+
+// Transcript files can also be sent as-is, e.g.
+// curl -X PUT --data-binary @episode.srt -H 'Content-Type: application/x-subrip'
+const RAW_CONTENT_TYPES = {
+    'application/x-subrip': 'srt',
+    'text/vtt': 'vtt'
+};
+
+router.use(express.text({ type: [...Object.keys(RAW_CONTENT_TYPES), 'text/plain'], limit: '10mb' }));
+
+const idValidation = [
+    param('episodeId').isInt({ min: 1 }).toInt()
+];
+
+function describe(transcript) {
+    const { segments, ...details } = transcript;
+    return { ...details, formats: FORMATS };
+}
+
+// GET /api/episodes/:episodeId/transcript - Transcript details, or the file
+// itself when ?format=srt|vtt|json is given
+router.get('/', [
+    ...idValidation,
+    query('format').optional().isIn(FORMATS).withMessage(`Format must be one of ${FORMATS.join(', ')}`)
+], requireAuth, requirePermission('view_episodes'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const transcript = await Transcript.findByEpisode(req.params.episodeId);
+        if (!transcript) {
+            return res.status(404).json({ error: 'Transcript not found' });
+        }
+
+        const { format } = req.query;
+        if (format) {
+            res.set('Content-Type', `${TRANSCRIPT_FORMATS[format].mimeType}; charset=utf-8`);
+            return res.send(renderTranscript(transcript.segments, format));
+        }
+
+        res.json({
+            success: true,
+            transcript: describe(transcript)
+        });
+    } catch (error) {
+        console.error('Get transcript error:', error);
+        res.status(500).json({ error: 'Failed to fetch transcript' });
+    }
+});
+
+// PUT /api/episodes/:episodeId/transcript - Upload or replace the transcript
+router.put('/', [
+    ...idValidation,
+    query('format').optional().isIn(FORMATS),
+    query('language').optional().isLength({ min: 2, max: 10 }),
+    body('format').optional().isIn(FORMATS).withMessage(`Format must be one of ${FORMATS.join(', ')}`),
+    body('language').optional().isLength({ min: 2, max: 10 }).withMessage('Language must be 2-10 characters')
+], requireAuth, requirePermission('edit_episodes'), logActivity('transcript_upload'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        let upload;
+        if (typeof req.body === 'string') {
+            upload = {
+                content: req.body,
+                format: req.query.format || RAW_CONTENT_TYPES[req.get('Content-Type').split(';')[0].trim()],
+                language: req.query.language
+            };
+        } else if (Array.isArray(req.body.segments)) {
+            // A JSON transcript posted as the request body itself
+            upload = {
+                content: JSON.stringify(req.body),
+                format: 'json',
+                language: req.query.language
+            };
+        } else {
+            upload = {
+                content: req.body.content,
+                format: req.body.format,
+                language: req.body.language
+            };
+        }
+
+        if (typeof upload.content !== 'string' || upload.content.trim() === '') {
+            return res.status(400).json({ error: 'Transcript content is required' });
+        }
+
+        const transcript = await Transcript.save(req.params.episodeId, upload, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Transcript saved successfully',
+            transcript: describe(transcript)
+        });
+    } catch (error) {
+        if (error.message === 'Episode not found') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.startsWith('Invalid transcript')) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        console.error('Save transcript error:', error);
+        res.status(500).json({ error: 'Failed to save transcript' });
+    }
+});
+
+// DELETE /api/episodes/:episodeId/transcript - Remove the hosted transcript
+router.delete('/', idValidation, requireAuth, requirePermission('edit_episodes'), logActivity('transcript_delete'), async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await Transcript.delete(req.params.episodeId, req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Transcript deleted successfully'
+        });
+    } catch (error) {
+        if (error.message === 'Episode not found' || error.message === 'Transcript not found') {
+            return res.status(404).json({ error: error.message });
+        }
+
+        console.error('Delete transcript error:', error);
+        res.status(500).json({ error: 'Failed to delete transcript' });
+    }
+});
+
+module.exports = router;
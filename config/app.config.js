@@ -116,8 +116,27 @@ const config = {
   analytics: {
     enabled: process.env.ANALYTICS_ENABLED !== 'false',
     retentionDays: parseInt(process.env.ANALYTICS_RETENTION_DAYS) || 90,
-    trackIpAddresses: process.env.TRACK_IP_ADDRESSES === 'true',
-    privacyMode: process.env.PRIVACY_MODE !== 'false'
+    trackIpAddresses: process.env.TRACK_IP_ADDRESSES === 'true', // Store full IPs; only with privacy mode off
+    privacyMode: process.env.PRIVACY_MODE !== 'false',
+    ipAnonymization: process.env.ANALYTICS_IP_ANONYMIZATION === 'truncate' ? 'truncate' : 'hash', // Daily-salted hash or network prefix
+    geoipDatabase: process.env.GEOIP_DATABASE || './data/GeoLite2-City.mmdb', // MaxMind-format database; optional
+    userAgentDatabase: process.env.PODCAST_USER_AGENTS_FILE || null, // OPAWG user-agents JSON; the bundled subset if unset
+    trackDownloads: process.env.TRACK_DOWNLOADS !== 'false', // Send feed enclosures through /api/downloads
+    exportDir: process.env.ANALYTICS_EXPORT_DIR || './exports',
+    exportRetentionHours: parseInt(process.env.ANALYTICS_EXPORT_RETENTION_HOURS) || 72
+  },
+
+  feeds: {
+    cacheTtl: parseInt(process.env.FEED_CACHE_TTL) || 3600000, // 1 hour
+    pageSize: parseInt(process.env.FEED_PAGE_SIZE) || 100 // Episodes per RFC 5005 feed page
+  },
+
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL) || 30000, // 30 seconds
+    lockTimeout: parseInt(process.env.SCHEDULER_LOCK_TIMEOUT) || 1800000, // 30 minutes
+    historyDays: parseInt(process.env.SCHEDULER_HISTORY_DAYS) || 30, // Job run history kept
+    instanceId: process.env.SCHEDULER_INSTANCE_ID // Defaults to hostname:pid
   },
 
   uploads: {
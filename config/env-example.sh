@@ -73,4 +73,19 @@ EMAIL_VERIFICATION=false
 TWO_FACTOR_AUTH=true
 API_KEYS=true
 FILE_UPLOADS=true
-ANALYTICS=true
\ No newline at end of file
+ANALYTICS=true
+
+# RSS Feeds
+FEED_CACHE_TTL=3600000
+FEED_PAGE_SIZE=100
+
+# RSS Sync
+RSS_SYNC_INTERVAL_MINUTES=60
+RSS_SYNC_BACKOFF_MINUTES=60
+RSS_SYNC_BACKOFF_MAX_MINUTES=10080
+
+# Background Jobs
+SCHEDULER_ENABLED=true
+SCHEDULER_POLL_INTERVAL=30000
+SCHEDULER_LOCK_TIMEOUT=1800000
+SCHEDULER_HISTORY_DAYS=30
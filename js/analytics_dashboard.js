@@ -7,25 +7,32 @@ class AnalyticsDashboard {
     this.currentPeriod = '30d';
     this.currentView = 'overview';
     this.charts = {};
-    this.refreshInterval = null;
+    this.realtimeStream = null; // AbortController for the open realtime stream
+    this.realtimeSnapshot = null;
+    this.recentTicks = [];
   }
 
   // Initialize the analytics dashboard
   async init() {
     await this.loadOverviewData();
     this.setupEventListeners();
-    this.startAutoRefresh();
+    this.startRealtimeStream();
   }
 
   // Load overview analytics data
   async loadOverviewData() {
     try {
-      const data = await this.api.request(`/analytics?type=overview&period=${this.currentPeriod}`, {
-        requireAuth: true
-      });
+      const [data, demographics] = await Promise.all([
+        this.api.request(`/analytics?type=overview&period=${this.currentPeriod}`, {
+          requireAuth: true
+        }),
+        this.api.request(`/analytics/demographics?period=${this.currentPeriod}`, {
+          requireAuth: true
+        })
+      ]);
       
       this.updateOverviewCards(data);
-      this.updateOverviewCharts(data);
+      this.updateOverviewCharts({ ...data, demographics: demographics.countries });
     } catch (error) {
       console.error('Failed to load overview data:', error);
       this.showError('Failed to load analytics data');
@@ -82,7 +89,7 @@ class AnalyticsDashboard {
     this.createTopEpisodesChart(data.topEpisodes || []);
     
     // Create listener demographics chart
-    this.createDemographicsChart(data.demographics || {});
+    this.createDemographicsChart(data.demographics || []);
   }
 
   // Create plays over time chart
@@ -172,8 +179,8 @@ class AnalyticsDashboard {
     });
   }
 
-  // Create demographics chart
-  createDemographicsChart(demographics) {
+  // Create demographics chart: plays and downloads per country, busiest first
+  createDemographicsChart(countries) {
     const ctx = document.getElementById('demographicsChart');
     if (!ctx) return;
 
@@ -181,15 +188,21 @@ class AnalyticsDashboard {
       this.charts.demographics.destroy();
     }
 
-    const countries = Object.keys(demographics.countries || {}).slice(0, 8);
-    const counts = countries.map(country => demographics.countries[country]);
+    const regionNames = typeof Intl.DisplayNames === 'function'
+      ? new Intl.DisplayNames(undefined, { type: 'region' })
+      : null;
+    const top = countries.slice(0, 8);
 
     this.charts.demographics = new Chart(ctx, {
       type: 'doughnut',
       data: {
-        labels: countries,
+        labels: top.map(row => {
+          if (!row.country) return 'Unknown';
+          return regionNames ? regionNames.of(row.country) : row.country;
+        }),
         datasets: [{
-          data: counts,
+          label: 'Plays & downloads',
+          data: top.map(row => Number(row.plays) + Number(row.downloads)),
           backgroundColor: [
             '#6366f1', '#ec4899', '#10b981', '#f59e0b',
             '#ef4444', '#8b5cf6', '#06b6d4', '#84cc16'
@@ -211,11 +224,16 @@ class AnalyticsDashboard {
   // Load episode-specific analytics
   async loadEpisodeAnalytics(episodeId) {
     try {
-      const data = await this.api.request(`/analytics?type=episode&episodeId=${episodeId}&period=${this.currentPeriod}`, {
-        requireAuth: true
-      });
+      const [data, retention] = await Promise.all([
+        this.api.request(`/analytics?type=episode&episodeId=${episodeId}&period=${this.currentPeriod}`, {
+          requireAuth: true
+        }),
+        this.api.request(`/analytics/episodes/${episodeId}/retention`, {
+          requireAuth: true
+        })
+      ]);
       
-      this.displayEpisodeAnalytics(data);
+      this.displayEpisodeAnalytics({ ...data, retention: retention.retention });
     } catch (error) {
       console.error('Failed to load episode analytics:', error);
       this.showError('Failed to load episode analytics');
@@ -295,34 +313,27 @@ class AnalyticsDashboard {
     `;
 
     // Create retention chart
-    this.createRetentionChart(data.listenerRetention || []);
+    this.createRetentionChart(data.retention || { curve: [] });
   }
 
-  // Create listener retention chart
-  createRetentionChart(retentionData) {
+  // Create listener retention chart: share of listeners still there at each
+  // point of the episode, from /api/analytics/episodes/:id/retention
+  createRetentionChart(retention) {
     const ctx = document.getElementById('retentionChart');
     if (!ctx) return;
 
-    // Process retention data into percentage buckets
-    const buckets = Array(10).fill(0); // 0-10%, 10-20%, etc.
-    retentionData.forEach(percent => {
-      const bucket = Math.min(9, Math.floor(percent / 10));
-      buckets[bucket]++;
-    });
-
     new Chart(ctx, {
-      type: 'bar',
+      type: 'line',
       data: {
-        labels: [
-          '0-10%', '10-20%', '20-30%', '30-40%', '40-50%',
-          '50-60%', '60-70%', '70-80%', '80-90%', '90-100%'
-        ],
+        labels: retention.curve.map(point => this.formatDuration(point.start)),
         datasets: [{
-          label: 'Listeners',
-          data: buckets,
-          backgroundColor: '#6366f1',
+          label: 'Listeners (%)',
+          data: retention.curve.map(point => point.percent),
+          backgroundColor: 'rgba(99, 102, 241, 0.2)',
           borderColor: '#4f46e5',
-          borderWidth: 1
+          borderWidth: 2,
+          fill: true,
+          pointRadius: 0
         }]
       },
       options: {
@@ -330,7 +341,8 @@ class AnalyticsDashboard {
         maintainAspectRatio: false,
         scales: {
           y: {
-            beginAtZero: true
+            beginAtZero: true,
+            max: 100
           }
         },
         plugins: {
@@ -342,21 +354,89 @@ class AnalyticsDashboard {
     });
   }
 
-  // Load real-time analytics
-  async loadRealtimeAnalytics() {
+  // Stream real-time analytics from /api/analytics/realtime/stream. EventSource
+  // cannot send the Authorization header, so the Server-Sent Events are read
+  // through fetch. Reconnects after the server's retry delay when dropped.
+  async startRealtimeStream() {
+    this.stopRealtimeStream();
+
+    const controller = new AbortController();
+    this.realtimeStream = controller;
+    let retryDelay = 5000;
+
     try {
-      const data = await this.api.request('/analytics?type=realtime', {
-        requireAuth: true
+      const response = await fetch(`${this.api.baseUrl}/api/analytics/realtime/stream`, {
+        headers: {
+          'Accept': 'text/event-stream',
+          'Authorization': `Bearer ${this.api.token}`
+        },
+        signal: controller.signal
       });
-      
-      this.updateRealtimeData(data);
+
+      if (!response.ok) {
+        throw new Error(`Realtime stream returned ${response.status}`);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += value;
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+
+        messages.forEach(message => {
+          const fields = {};
+          message.split('\n').forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+              fields[line.slice(0, separator)] = line.slice(separator + 1).trim();
+            }
+          });
+
+          if (fields.retry) retryDelay = parseInt(fields.retry) || retryDelay;
+          if (fields.event && fields.data) {
+            this.handleRealtimeEvent(fields.event, JSON.parse(fields.data));
+          }
+        });
+      }
     } catch (error) {
-      console.error('Failed to load realtime analytics:', error);
+      if (controller.signal.aborted) return;
+      console.error('Realtime analytics stream failed:', error);
+    }
+
+    if (this.realtimeStream === controller) {
+      setTimeout(() => {
+        if (this.realtimeStream === controller) this.startRealtimeStream();
+      }, retryDelay);
+    }
+  }
+
+  stopRealtimeStream() {
+    if (this.realtimeStream) {
+      const controller = this.realtimeStream;
+      this.realtimeStream = null;
+      controller.abort();
+    }
+  }
+
+  handleRealtimeEvent(event, data) {
+    if (event === 'snapshot') {
+      this.realtimeSnapshot = data;
+    } else if (event === 'tick') {
+      this.recentTicks = [data, ...this.recentTicks].slice(0, 20);
+    }
+
+    if (this.realtimeSnapshot) {
+      this.updateRealtimeData(this.realtimeSnapshot, this.recentTicks);
     }
   }
 
   // Update real-time data display
-  updateRealtimeData(data) {
+  updateRealtimeData(snapshot, ticks) {
     const realtimeContainer = document.getElementById('realtimeContainer');
     if (!realtimeContainer) return;
 
@@ -365,19 +445,29 @@ class AnalyticsDashboard {
         <h5>Live Activity</h5>
         <span class="badge bg-success">
           <i class="fas fa-circle me-1" style="font-size: 8px;"></i>
-          ${data.activeListeners || 0} listening now
+          ${snapshot.active_listeners || 0} listening now
         </span>
       </div>
       
+      <h6>Top Episodes (last ${Math.round(snapshot.window_seconds / 60)} minutes)</h6>
+      <div class="list-group mb-3">
+        ${snapshot.top_episodes.map(episode => `
+          <div class="list-group-item d-flex justify-content-between align-items-center">
+            <div>${this.escapeHtml(episode.title || `Episode ${episode.episode_id}`)}</div>
+            <span class="badge bg-primary">${episode.listeners} listeners</span>
+          </div>
+        `).join('')}
+      </div>
+      
       <div class="list-group">
-        ${(data.recentActivity || []).map(activity => `
+        ${ticks.map(tick => `
           <div class="list-group-item d-flex justify-content-between align-items-center">
             <div>
-              <strong>${activity.eventType}</strong> - ${activity.episodeTitle}
-              <br><small class="text-muted">${this.formatTimeAgo(activity.timestamp)}</small>
+              <strong>${this.escapeHtml(tick.event_type)}</strong> - ${this.escapeHtml(tick.episode_title || '')}
+              <br><small class="text-muted">${this.formatTimeAgo(tick.timestamp)}</small>
             </div>
-            <span class="badge bg-${this.getEventBadgeColor(activity.eventType)}">
-              ${activity.platform || 'Web'}
+            <span class="badge bg-${this.getEventBadgeColor(tick.event_type)}">
+              ${this.escapeHtml(tick.device_type)}
             </span>
           </div>
         `).join('')}
@@ -425,25 +515,13 @@ class AnalyticsDashboard {
     });
   }
 
-  // Start auto-refresh for real-time data
-  startAutoRefresh() {
-    // Refresh real-time data every 30 seconds
-    this.refreshInterval = setInterval(() => {
-      if (this.currentView === 'realtime') {
-        this.loadRealtimeAnalytics();
-      }
-    }, 30000);
-  }
-
-  // Stop auto-refresh
-  stopAutoRefresh() {
-    if (this.refreshInterval) {
-      clearInterval(this.refreshInterval);
-      this.refreshInterval = null;
-    }
+  // Utility functions
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
 
-  // Utility functions
   formatDuration(seconds) {
     const hours = Math.floor(seconds / 3600);
     const minutes = Math.floor((seconds % 3600) / 60);
@@ -516,7 +594,7 @@ class AnalyticsDashboard {
 
   // Cleanup when dashboard is destroyed
   destroy() {
-    this.stopAutoRefresh();
+    this.stopRealtimeStream();
     
     // Destroy all charts
     Object.values(this.charts).forEach(chart => {
@@ -0,0 +1,220 @@
+// lib/analytics-export.js
+// Raw and aggregated analytics exports, streamed from the database straight
+// into a CSV, JSON Lines or Parquet writer so no export is held in memory
+
+const fs = require('fs');
+const path = require('path');
+const db = require('./database');
+const { EXPORT_FORMATS, createExportWriter } = require('./export-formats');
+const AnalyticsExport = require('../models/analytics-export');
+const config = require('../config/app.config');
+
+// Exports the job processes per run; the rest wait for the next minute
+const EXPORTS_PER_RUN = 5;
+
+// Each dataset: the table, the column its date range applies to, and the
+// exported columns. Addresses and user agents are never exported.
+const DATASETS = {
+    events: {
+        from: `analytics_events r
+            LEFT JOIN shows s ON r.show_id = s.id
+            LEFT JOIN episodes e ON r.episode_id = e.id`,
+        dateColumn: 'r.timestamp',
+        eventTypes: true,
+        columns: [
+            { name: 'id', type: 'integer', sql: 'r.id' },
+            { name: 'timestamp', type: 'timestamp', sql: 'r.timestamp' },
+            { name: 'event_type', type: 'string', sql: 'r.event_type' },
+            { name: 'show_id', type: 'integer', sql: 'r.show_id' },
+            { name: 'show_name', type: 'string', sql: 's.name' },
+            { name: 'episode_id', type: 'integer', sql: 'r.episode_id' },
+            { name: 'episode_title', type: 'string', sql: 'e.title' },
+            { name: 'user_id', type: 'integer', sql: 'r.user_id' },
+            { name: 'session_id', type: 'string', sql: 'r.session_id' },
+            { name: 'position', type: 'integer', sql: 'r.position' },
+            { name: 'listen_seconds', type: 'integer', sql: 'r.duration' },
+            { name: 'country', type: 'string', sql: 'r.country' },
+            { name: 'region', type: 'string', sql: 'r.region' },
+            { name: 'city', type: 'string', sql: 'r.city' },
+            { name: 'device_type', type: 'string', sql: 'r.device_type' },
+            { name: 'app', type: 'string', sql: 'r.app' },
+            { name: 'browser', type: 'string', sql: 'r.browser' },
+            { name: 'os', type: 'string', sql: 'r.os' },
+            { name: 'is_bot', type: 'integer', sql: 'r.is_bot' },
+            { name: 'referer', type: 'string', sql: 'r.referer' },
+            { name: 'metadata', type: 'json', sql: 'r.metadata' }
+        ]
+    },
+    downloads: {
+        from: `episode_downloads r
+            JOIN shows s ON r.show_id = s.id
+            JOIN episodes e ON r.episode_id = e.id`,
+        dateColumn: 'r.first_requested_at',
+        columns: [
+            { name: 'download_date', type: 'date', sql: 'r.download_date' },
+            { name: 'first_requested_at', type: 'timestamp', sql: 'r.first_requested_at' },
+            { name: 'show_id', type: 'integer', sql: 'r.show_id' },
+            { name: 'show_name', type: 'string', sql: 's.name' },
+            { name: 'episode_id', type: 'integer', sql: 'r.episode_id' },
+            { name: 'episode_title', type: 'string', sql: 'e.title' },
+            { name: 'country', type: 'string', sql: 'r.country' },
+            { name: 'device_type', type: 'string', sql: 'r.device_type' },
+            { name: 'app', type: 'string', sql: 'r.app' },
+            { name: 'os', type: 'string', sql: 'r.os' },
+            { name: 'bytes_requested', type: 'integer', sql: 'r.bytes_requested' }
+        ]
+    },
+    hourly: rollup('analytics_hourly', 'bucket_start', 'timestamp'),
+    daily: rollup('analytics_daily', 'bucket_date', 'date')
+};
+
+function rollup(table, column, type) {
+    return {
+        from: `${table} r
+            JOIN shows s ON r.show_id = s.id
+            JOIN episodes e ON r.episode_id = e.id`,
+        dateColumn: `r.${column}`,
+        columns: [
+            { name: column, type, sql: `r.${column}` },
+            { name: 'show_id', type: 'integer', sql: 'r.show_id' },
+            { name: 'show_name', type: 'string', sql: 's.name' },
+            { name: 'episode_id', type: 'integer', sql: 'r.episode_id' },
+            { name: 'episode_title', type: 'string', sql: 'e.title' },
+            { name: 'country', type: 'string', sql: "NULLIF(r.country, '')" },
+            { name: 'device_type', type: 'string', sql: 'r.device_type' },
+            { name: 'plays', type: 'integer', sql: 'r.plays' },
+            { name: 'downloads', type: 'integer', sql: 'r.downloads' },
+            { name: 'unique_listeners', type: 'integer', sql: 'r.unique_listeners' },
+            { name: 'listen_seconds', type: 'integer', sql: 'r.listen_seconds' }
+        ]
+    };
+}
+
+// filters: { from, to, showIds, episodeIds, eventTypes }, dates inclusive
+// of from and exclusive of to
+function buildExportQuery(dataset, filters = {}) {
+    const definition = DATASETS[dataset];
+    if (!definition) {
+        throw new Error(`Unknown export dataset '${dataset}'`);
+    }
+
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+        conditions.push(`${definition.dateColumn} >= ?`);
+        params.push(new Date(filters.from));
+    }
+
+    if (filters.to) {
+        conditions.push(`${definition.dateColumn} < ?`);
+        params.push(new Date(filters.to));
+    }
+
+    for (const [key, column] of [['showIds', 'r.show_id'], ['episodeIds', 'r.episode_id']]) {
+        if (filters[key] && filters[key].length > 0) {
+            conditions.push(`${column} IN (${filters[key].map(() => '?').join(', ')})`);
+            params.push(...filters[key]);
+        }
+    }
+
+    if (definition.eventTypes && filters.eventTypes && filters.eventTypes.length > 0) {
+        conditions.push(`r.event_type IN (${filters.eventTypes.map(() => '?').join(', ')})`);
+        params.push(...filters.eventTypes);
+    }
+
+    const sql = `
+        SELECT ${definition.columns.map(column => `${column.sql} as ${column.name}`).join(', ')}
+        FROM ${definition.from}
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${definition.dateColumn} ASC
+    `;
+
+    return { sql, params, columns: definition.columns };
+}
+
+// Stream one export into output, which is ended when the export is done.
+// Rows are read with a streaming query on a connection of its own, so the
+// pool's prepared statements and row buffering are bypassed. Returns the
+// number of rows written.
+async function runExport(output, { dataset, format, filters }) {
+    const { sql, params, columns } = buildExportQuery(dataset, filters);
+    const writer = await createExportWriter(format, output, columns);
+
+    await db.connect();
+    const connection = await db.pool.getConnection();
+    let rows = 0;
+
+    try {
+        const stream = connection.connection.query(sql, params).stream();
+        for await (const row of stream) {
+            await writer.writeRow(row);
+            rows++;
+        }
+        connection.release();
+    } catch (error) {
+        // The query may still be sending rows; the connection can't be reused
+        connection.destroy();
+        throw error;
+    }
+
+    await writer.end();
+    return rows;
+}
+
+function exportFilename(exportJob) {
+    return `analytics-${exportJob.dataset}-${exportJob.id}.${EXPORT_FORMATS[exportJob.format].extension}`;
+}
+
+function exportPath(exportJob) {
+    return path.join(path.resolve(config.analytics.exportDir), exportFilename(exportJob));
+}
+
+// Scheduled job: run queued exports to files under the export directory and
+// delete the files of expired ones. Files live on the instance that ran the
+// job, so every instance serving downloads must share the export directory.
+async function processQueuedExports() {
+    const result = { completed: 0, failed: 0, expired: 0 };
+
+    // The scheduler runs one copy of this job at a time, so anything still
+    // running was cut off by a restart or a lock timeout
+    result.failed += await AnalyticsExport.failInterrupted();
+
+    for (const expired of await AnalyticsExport.findExpired()) {
+        await fs.promises.rm(exportPath(expired), { force: true });
+        await AnalyticsExport.markExpired(expired.id);
+        result.expired++;
+    }
+
+    await fs.promises.mkdir(path.resolve(config.analytics.exportDir), { recursive: true });
+
+    for (let i = 0; i < EXPORTS_PER_RUN; i++) {
+        const exportJob = await AnalyticsExport.claimNext();
+        if (!exportJob) break;
+
+        const filePath = exportPath(exportJob);
+
+        try {
+            const rowCount = await runExport(fs.createWriteStream(filePath), exportJob);
+            const { size } = await fs.promises.stat(filePath);
+            await AnalyticsExport.markCompleted(exportJob.id, { rowCount, fileSize: size });
+            result.completed++;
+        } catch (error) {
+            console.error(`Analytics export ${exportJob.id} failed:`, error);
+            await fs.promises.rm(filePath, { force: true });
+            await AnalyticsExport.markFailed(exportJob.id, error.message);
+            result.failed++;
+        }
+    }
+
+    return result;
+}
+
+module.exports = {
+    DATASETS,
+    buildExportQuery,
+    runExport,
+    exportFilename,
+    exportPath,
+    processQueuedExports
+};
@@ -0,0 +1,315 @@
+// lib/analytics-ingest.js
+// Listener events from the web player (api/analytics_tracker.js): validated,
+// written to analytics_events in one batch, and folded into listening_history
+
+const db = require('./database');
+const Episode = require('../models/episode');
+const { classifyUserAgent } = require('./podcast-user-agents');
+const { storedIp } = require('./analytics-privacy');
+const { lookupIp } = require('./geoip');
+const realtime = require('./realtime');
+
+const EVENT_TYPES = [
+    'play', 'pause', 'complete', 'skip', 'heartbeat', 'download', 'share',
+    'subscribe', 'unsubscribe', 'rate', 'like', 'comment', 'search', 'page_view'
+];
+
+// Names the tracker uses that differ from the column values
+const EVENT_ALIASES = {
+    pageview: 'page_view'
+};
+
+// Events that move a listener's position within an episode
+const PLAYBACK_EVENTS = ['play', 'pause', 'heartbeat', 'skip', 'complete'];
+
+const MAX_BATCH_SIZE = 100;
+
+// Largest forward jump between two updates that still counts as listening
+// time; anything bigger is an unreported seek. The tracker beats every 30s.
+const MAX_LISTEN_STEP = 60;
+
+// Queued events may arrive late, but not from further back than this
+const MAX_EVENT_AGE_MS = 24 * 60 * 60 * 1000;
+
+// Fields kept out of metadata: those stored in their own columns, and the
+// location older trackers looked up from a third party. Location comes from
+// the server's GeoIP lookup instead, as browser-reported values can be spoofed.
+const KNOWN_FIELDS = [
+    'eventType', 'sessionId', 'timestamp', 'episodeId', 'showId', 'position',
+    'referrer', 'country', 'city', 'region'
+];
+
+// Whatever else the client sends is kept as metadata, up to this many bytes
+// of JSON per event
+const MAX_METADATA_BYTES = 2048;
+
+function toSeconds(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+}
+
+function toId(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw new Error('Invalid event: ids must be positive integers');
+    }
+    return number;
+}
+
+// Client timestamps are kept when plausible so batched events land in the
+// right hour; otherwise the time the server received them is used
+function eventTime(timestamp, receivedAt) {
+    const time = timestamp ? new Date(timestamp) : null;
+    if (!time || isNaN(time) || time > receivedAt || receivedAt - time > MAX_EVENT_AGE_MS) {
+        return receivedAt;
+    }
+    return time;
+}
+
+function normalizeEvent(raw, receivedAt = new Date()) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('Invalid event: expected an object');
+    }
+
+    const eventType = EVENT_ALIASES[raw.eventType] || raw.eventType;
+    if (!EVENT_TYPES.includes(eventType)) {
+        throw new Error(`Invalid event: unknown event type '${raw.eventType}'`);
+    }
+
+    const episodeId = toId(raw.episodeId);
+    const showId = toId(raw.showId);
+
+    if (PLAYBACK_EVENTS.includes(eventType) && !episodeId) {
+        throw new Error(`Invalid event: ${eventType} events need an episodeId`);
+    }
+
+    const sessionId = typeof raw.sessionId === 'string' ? raw.sessionId.substring(0, 128) : null;
+    const position = eventType === 'skip' ? toSeconds(raw.toPosition) : toSeconds(raw.position);
+
+    const metadata = {};
+    for (const [key, value] of Object.entries(raw)) {
+        if (!KNOWN_FIELDS.includes(key)) metadata[key] = value;
+    }
+
+    if (Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+        throw new Error(`Invalid event: extra fields must not exceed ${MAX_METADATA_BYTES} bytes`);
+    }
+
+    return {
+        eventType,
+        sessionId,
+        episodeId,
+        showId,
+        position,
+        // Seconds listened since the previous update, set from listening_history
+        listened: null,
+        episodeDuration: toSeconds(raw.duration),
+        referer: typeof raw.referrer === 'string' ? raw.referrer.substring(0, 500) : null,
+        timestamp: eventTime(raw.timestamp, receivedAt),
+        metadata
+    };
+}
+
+// Accepts a single event, an array of events, or { events: [...] }
+function unpackBatch(body) {
+    if (Array.isArray(body)) return body;
+    if (body && Array.isArray(body.events)) return body.events;
+    return [body];
+}
+
+async function ingestEvents(req, body) {
+    const receivedAt = new Date();
+    const batch = unpackBatch(body);
+
+    if (batch.length > MAX_BATCH_SIZE) {
+        throw new Error(`Invalid batch: at most ${MAX_BATCH_SIZE} events per request`);
+    }
+
+    const events = [];
+    const rejected = [];
+
+    batch.forEach((raw, index) => {
+        try {
+            events.push({ index, ...normalizeEvent(raw, receivedAt) });
+        } catch (error) {
+            rejected.push({ index, error: error.message });
+        }
+    });
+
+    const { episodes, showIds } = await lookupTargets(events);
+
+    // The episode decides the show; unknown or unpublished targets are dropped
+    const valid = events.filter(event => {
+        if (event.episodeId) {
+            const episode = episodes.get(event.episodeId);
+            if (!episode) {
+                rejected.push({ index: event.index, error: 'Episode not found' });
+                return false;
+            }
+            event.showId = episode.show_id;
+        } else if (event.showId && !showIds.has(event.showId)) {
+            rejected.push({ index: event.index, error: 'Show not found' });
+            return false;
+        }
+        return true;
+    });
+
+    rejected.sort((a, b) => a.index - b.index);
+
+    if (valid.length === 0) {
+        return { accepted: 0, rejected };
+    }
+
+    const client = {
+        userId: req.user ? req.user.id : null,
+        ip: req.ip,
+        ipAddress: await storedIp(req.ip),
+        userAgent: req.get('User-Agent') || null,
+        referer: (req.get('Referer') || '').substring(0, 500) || null,
+        ...classifyUserAgent(req.get('User-Agent')),
+        // Looked up from the full address, before it is anonymized
+        ...(await lookupIp(req.ip))
+    };
+
+    for (const event of valid) {
+        if (PLAYBACK_EVENTS.includes(event.eventType)) {
+            await updateListeningHistory(event, episodes.get(event.episodeId), client);
+        }
+    }
+
+    await insertEvents(valid, client);
+
+    realtime.record(valid.map(event => ({
+        eventType: event.eventType,
+        episodeId: event.episodeId,
+        showId: event.showId,
+        episodeTitle: event.episodeId ? episodes.get(event.episodeId).title : null,
+        listener: client.userId ? `u${client.userId}` : (event.sessionId ? `s${event.sessionId}` : `i${client.ip}`),
+        deviceType: client.device_type,
+        time: event.timestamp.getTime()
+    })));
+
+    return { accepted: valid.length, rejected };
+}
+
+async function lookupTargets(events) {
+    const episodeIds = [...new Set(events.map(event => event.episodeId).filter(Boolean))];
+    const showIds = [...new Set(events.filter(event => !event.episodeId && event.showId).map(event => event.showId))];
+
+    const [episodeRows, showRows] = await Promise.all([
+        episodeIds.length > 0
+            ? db.query(`
+                SELECT id, show_id, title, duration_seconds
+                FROM episodes
+                WHERE id IN (${episodeIds.map(() => '?').join(', ')}) AND is_published = TRUE
+            `, episodeIds)
+            : [],
+        showIds.length > 0
+            ? db.query(`SELECT id FROM shows WHERE id IN (${showIds.map(() => '?').join(', ')})`, showIds)
+            : []
+    ]);
+
+    return {
+        episodes: new Map(episodeRows.map(row => [row.id, row])),
+        showIds: new Set(showRows.map(row => row.id))
+    };
+}
+
+async function insertEvents(events, client) {
+    const columns = [
+        'event_type', 'user_id', 'session_id', 'show_id', 'episode_id', 'ip_address', 'user_agent',
+        'referer', 'country', 'region', 'city', 'device_type', 'app', 'browser', 'os', 'is_bot', 'metadata',
+        'duration', 'position', 'timestamp'
+    ];
+    const row = `(${columns.map(() => '?').join(', ')})`;
+
+    const params = events.flatMap(event => [
+        event.eventType,
+        client.userId,
+        event.sessionId,
+        event.showId,
+        event.episodeId,
+        client.ipAddress,
+        client.userAgent,
+        event.referer || client.referer,
+        client.country,
+        client.region,
+        client.city,
+        client.device_type,
+        client.app,
+        client.browser,
+        client.os,
+        client.bot,
+        Object.keys(event.metadata).length > 0 ? JSON.stringify(event.metadata) : null,
+        event.listened,
+        event.position,
+        event.timestamp
+    ]);
+
+    await db.query(
+        `INSERT INTO analytics_events (${columns.join(', ')}) VALUES ${events.map(() => row).join(', ')}`,
+        params
+    );
+}
+
+// One row per signed-in listener and episode, or per anonymous session and
+// episode. Listening time grows with forward progress between updates, so
+// replays and seeks don't inflate it. The seconds added are also stored on
+// the event, for the analytics rollups.
+async function updateListeningHistory(event, episode, client) {
+    if (!client.userId && !event.sessionId) return;
+    if (event.position === null && event.eventType !== 'complete') return;
+
+    const length = episode.duration_seconds || event.episodeDuration;
+    const position = event.eventType === 'complete' && length ? length : (event.position || 0);
+    const completion = event.eventType === 'complete'
+        ? 100
+        : (length ? Math.min(100, (position / length) * 100) : 0);
+
+    const owner = client.userId
+        ? { column: 'user_id', value: client.userId }
+        : { column: 'session_id', value: event.sessionId };
+
+    const [previous] = await db.query(
+        `SELECT last_position FROM listening_history WHERE ${owner.column} = ? AND episode_id = ?`,
+        [owner.value, event.episodeId]
+    );
+
+    // A skip moves the position without counting the jump as listening
+    const counts = previous && event.eventType !== 'skip' && event.eventType !== 'play';
+    event.listened = counts && position > previous.last_position
+        ? Math.min(position - previous.last_position, MAX_LISTEN_STEP)
+        : 0;
+
+    const result = await db.query(`
+        INSERT INTO listening_history (
+            user_id, session_id, episode_id, listen_duration, completion_percentage, last_position, device_type
+        ) VALUES (?, ?, ?, 0, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+            listen_duration = listen_duration + ?,
+            completion_percentage = GREATEST(completion_percentage, VALUES(completion_percentage)),
+            last_position = VALUES(last_position),
+            device_type = VALUES(device_type)
+    `, [
+        client.userId,
+        client.userId ? null : event.sessionId,
+        event.episodeId,
+        completion.toFixed(2),
+        position,
+        client.device_type,
+        event.listened
+    ]);
+
+    // A new history row is a new listener for the episode; bots aren't listeners
+    if (event.eventType === 'play' && result.affectedRows === 1 && !client.bot) {
+        await Episode.incrementPlayCount(event.episodeId);
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    MAX_BATCH_SIZE,
+    normalizeEvent,
+    ingestEvents
+};
@@ -0,0 +1,100 @@
+// lib/analytics-privacy.js
+// What analytics keep of a listener's IP address, and the purge of raw
+// analytics data past the retention period
+
+const crypto = require('crypto');
+const db = require('./database');
+const { anonymizeIp } = require('./ip-privacy');
+const { rolledUpBefore } = require('./analytics-rollup');
+const config = require('../config/app.config');
+
+// Rows deleted per statement, to keep each purge transaction short
+const PURGE_BATCH_SIZE = 10000;
+
+let dailySalt = null; // { date, salt } for the current day
+
+function today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${now.getMonth() + 1}-${now.getDate()}`;
+}
+
+// One random salt per day, shared by every instance through the database and
+// deleted by the purge once the day is over. Hashes from different days can't
+// be linked, and once the salt is gone nobody can recompute them.
+async function getDailySalt() {
+    if (dailySalt && dailySalt.date === today()) {
+        return dailySalt.salt;
+    }
+
+    const date = today();
+    await db.query('INSERT IGNORE INTO analytics_salts (salt_date, salt) VALUES (CURDATE(), ?)', [
+        crypto.randomBytes(32).toString('hex')
+    ]);
+    const [row] = await db.query('SELECT salt FROM analytics_salts WHERE salt_date = CURDATE()');
+
+    dailySalt = { date, salt: row.salt };
+    return row.salt;
+}
+
+// The address to store for a request. Full addresses are kept only with
+// privacy mode off and IP tracking on. Otherwise they are hashed with the
+// daily salt, or truncated, since download counting still needs to tell
+// listeners apart within a day.
+async function storedIp(ip) {
+    const { privacyMode, trackIpAddresses, ipAnonymization } = config.analytics;
+
+    if (!ip) return null;
+    if (!privacyMode && trackIpAddresses) return ip;
+
+    return anonymizeIp(ip, {
+        method: ipAnonymization,
+        salt: ipAnonymization === 'truncate' ? null : await getDailySalt()
+    });
+}
+
+async function purgeBatches(sql, params) {
+    let deleted = 0;
+    let result;
+
+    do {
+        result = await db.query(`${sql} LIMIT ${PURGE_BATCH_SIZE}`, params);
+        deleted += result.affectedRows;
+    } while (result.affectedRows === PURGE_BATCH_SIZE);
+
+    return deleted;
+}
+
+// Scheduled job: delete raw events, download requests and unique downloads
+// older than the retention period. Events and downloads are kept until the
+// rollups they feed are final, so the totals outlive the raw rows.
+async function purgeExpiredAnalytics() {
+    const retentionCutoff = new Date(Date.now() - config.analytics.retentionDays * 24 * 60 * 60 * 1000);
+    const rolledUp = await rolledUpBefore();
+    const result = { events: 0, downloadRequests: 0, downloads: 0, salts: 0 };
+
+    // Download requests are counted into episode_downloads for today and yesterday
+    result.downloadRequests = await purgeBatches(
+        'DELETE FROM download_requests WHERE requested_at < LEAST(?, CURDATE() - INTERVAL 1 DAY)',
+        [retentionCutoff]
+    );
+
+    if (rolledUp) {
+        const cutoff = rolledUp < retentionCutoff ? rolledUp : retentionCutoff;
+
+        result.events = await purgeBatches('DELETE FROM analytics_events WHERE timestamp < ?', [cutoff]);
+        result.downloads = await purgeBatches(
+            'DELETE FROM episode_downloads WHERE first_requested_at < ? AND counted = TRUE',
+            [cutoff]
+        );
+    }
+
+    const salts = await db.query('DELETE FROM analytics_salts WHERE salt_date < CURDATE()');
+    result.salts = salts.affectedRows;
+
+    return result;
+}
+
+module.exports = {
+    storedIp,
+    purgeExpiredAnalytics
+};
@@ -0,0 +1,157 @@
+// lib/analytics-rollup.js
+// Hourly and daily rollups of plays, unique downloads, unique listeners and
+// listen-seconds per episode, country and device, and a daily one per podcast
+// app, device and OS, for the analytics endpoints
+
+const db = require('./database');
+
+// Events can be batched up to a day late and downloads are re-checked for the
+// previous day, so the latest buckets are rebuilt on every run
+const LATE_DATA_HOURS = 26;
+
+const PLAYBACK_EVENTS = "'play', 'pause', 'heartbeat', 'skip', 'complete'";
+
+// Rollup columns besides the bucket and episode, with how each is read from
+// analytics_events (ae) and episode_downloads (d). Unknown values are stored
+// as '' so they can be part of the primary key.
+const GEO_DIMENSIONS = [
+    { column: 'country', source: table => `IFNULL(${table}.country, '')` },
+    { column: 'device_type', source: table => `IFNULL(${table}.device_type, 'unknown')` }
+];
+
+// OS names are a family and an optional major version ("iOS 17"); the
+// platform rollup keeps the family
+const PLATFORM_DIMENSIONS = [
+    { column: 'app', source: table => `IFNULL(${table}.app, '')` },
+    { column: 'device_type', source: table => `IFNULL(${table}.device_type, 'unknown')` },
+    { column: 'os', source: table => `IFNULL(SUBSTRING_INDEX(${table}.os, ' ', 1), '')` }
+];
+
+const BUCKETS = {
+    hourly: {
+        table: 'analytics_hourly',
+        column: 'bucket_start',
+        bucket: column => `DATE_FORMAT(${column}, '%Y-%m-%d %H:00:00')`,
+        dimensions: GEO_DIMENSIONS
+    },
+    daily: {
+        table: 'analytics_daily',
+        column: 'bucket_date',
+        bucket: column => `DATE(${column})`,
+        dimensions: GEO_DIMENSIONS
+    },
+    platforms: {
+        table: 'analytics_platforms_daily',
+        column: 'bucket_date',
+        bucket: column => `DATE(${column})`,
+        dimensions: PLATFORM_DIMENSIONS
+    }
+};
+
+// Rebuild every bucket from the one the last run could have missed onwards.
+// An empty table is backfilled from the oldest raw data.
+async function runRollup() {
+    const result = {};
+
+    for (const [name, bucket] of Object.entries(BUCKETS)) {
+        result[name] = await rebuild(bucket, await rebuildFrom(bucket));
+    }
+
+    return result;
+}
+
+async function rebuildFrom(bucket) {
+    const [state] = await db.query(`SELECT MAX(${bucket.column}) as latest FROM ${bucket.table}`);
+
+    if (state.latest) {
+        return new Date(new Date(state.latest).getTime() - LATE_DATA_HOURS * 60 * 60 * 1000);
+    }
+
+    const [oldest] = await db.query(`
+        SELECT LEAST(
+            IFNULL((SELECT MIN(timestamp) FROM analytics_events WHERE episode_id IS NOT NULL), NOW()),
+            IFNULL((SELECT MIN(first_requested_at) FROM episode_downloads), NOW())
+        ) as since
+    `);
+
+    return new Date(oldest.since);
+}
+
+// Unique listeners are people (user, else player session, else IP address)
+// with any playback in the bucket. They are only unique within one row, so
+// adding rows together counts listener-episodes, not people. Events from
+// bots are left out.
+async function rebuild(bucket, from) {
+    const eventBucket = bucket.bucket('ae.timestamp');
+    const downloadBucket = bucket.bucket('d.first_requested_at');
+    const columns = bucket.dimensions.map(dimension => dimension.column).join(', ');
+    const eventDimensions = bucket.dimensions.map(dimension => dimension.source('ae'));
+    const downloadDimensions = bucket.dimensions.map(dimension => dimension.source('d'));
+    const eventColumns = bucket.dimensions
+        .map((dimension, index) => `${eventDimensions[index]} as ${dimension.column}`)
+        .join(', ');
+
+    return db.transaction(async (query) => {
+        await query(`DELETE FROM ${bucket.table} WHERE ${bucket.column} >= ${bucket.bucket('?')}`, [from]);
+
+        const inserted = await query(`
+            INSERT INTO ${bucket.table} (
+                ${bucket.column}, episode_id, show_id, ${columns},
+                plays, downloads, unique_listeners, listen_seconds
+            )
+            SELECT bucket, episode_id, show_id, ${columns},
+                   SUM(plays), SUM(downloads), SUM(listeners), SUM(listen_seconds)
+            FROM (
+                SELECT ${eventBucket} as bucket, ae.episode_id, ae.show_id,
+                       ${eventColumns},
+                       SUM(ae.event_type = 'play') as plays,
+                       0 as downloads,
+                       COUNT(DISTINCT COALESCE(CONCAT('u', ae.user_id), CONCAT('s', ae.session_id), CONCAT('i', ae.ip_address))) as listeners,
+                       SUM(IFNULL(ae.duration, 0)) as listen_seconds
+                FROM analytics_events ae
+                WHERE ae.episode_id IS NOT NULL
+                AND ae.event_type IN (${PLAYBACK_EVENTS})
+                AND ae.is_bot = FALSE
+                AND ae.timestamp >= ${bucket.bucket('?')}
+                GROUP BY bucket, ae.episode_id, ae.show_id, ${eventDimensions.join(', ')}
+
+                UNION ALL
+
+                SELECT ${downloadBucket} as bucket, d.episode_id, d.show_id,
+                       ${downloadDimensions.join(', ')},
+                       0, COUNT(*), 0, 0
+                FROM episode_downloads d
+                WHERE d.first_requested_at >= ${bucket.bucket('?')}
+                GROUP BY bucket, d.episode_id, d.show_id, ${downloadDimensions.join(', ')}
+            ) combined
+            GROUP BY bucket, episode_id, show_id, ${columns}
+        `, [from, from]);
+
+        return inserted.affectedRows;
+    });
+}
+
+// Raw data older than this is in rollup buckets no later run will rebuild,
+// or null before the first rollup
+async function rolledUpBefore() {
+    let before = null;
+
+    for (const bucket of Object.values(BUCKETS)) {
+        // Start of the oldest bucket the next run rebuilds, as in rebuildFrom()
+        const [state] = await db.query(`
+            SELECT ${bucket.bucket(`MAX(${bucket.column}) - INTERVAL ${LATE_DATA_HOURS} HOUR`)} as final
+            FROM ${bucket.table}
+        `);
+        if (!state.final) return null;
+
+        const final = new Date(state.final);
+        if (!before || final < before) before = final;
+    }
+
+    return before;
+}
+
+module.exports = {
+    runRollup,
+    rolledUpBefore
+};
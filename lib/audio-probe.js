@@ -0,0 +1,603 @@
+// lib/audio-probe.js
+// Reads duration, bitrate, codec and real MIME type from audio file headers.
+// Works on byte ranges so large files in object storage are never downloaded whole.
+
+const HEAD_BYTES = 64 * 1024;
+const MAX_MOOV_BYTES = 32 * 1024 * 1024;
+const MAX_ID3_BYTES = 16 * 1024 * 1024;
+
+// Declared upload types and the containers whose contents satisfy them
+const DECLARED_CONTAINERS = {
+    'audio/mpeg': ['mp3'],
+    'audio/mp3': ['mp3'],
+    'audio/mp4': ['mp4'],
+    'audio/m4a': ['mp4'],
+    'audio/x-m4a': ['mp4'],
+    'audio/aac': ['aac', 'mp4'],
+    'audio/wav': ['wav'],
+    'audio/x-wav': ['wav'],
+    'audio/wave': ['wav']
+};
+
+const MPEG_BITRATES = {
+    // [version 1, version 2 / 2.5] kbps by layer, indexed by the 4-bit header field
+    1: [
+        [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256]
+    ],
+    2: [
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    ],
+    3: [
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    ]
+};
+
+const MPEG_SAMPLE_RATES = [44100, 48000, 32000];
+
+const ADTS_SAMPLE_RATES = [96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350];
+
+const MP4_CODECS = {
+    'mp4a': 'aac',
+    'alac': 'alac',
+    'ac-3': 'ac3',
+    'ec-3': 'eac3',
+    'Opus': 'opus',
+    'fLaC': 'flac'
+};
+
+// read(offset, length) must resolve to a Buffer of at most length bytes
+async function probeAudio(read, fileSize) {
+    if (!fileSize || fileSize < 12) {
+        throw new Error('File is too small to be audio');
+    }
+
+    const head = await read(0, Math.min(HEAD_BYTES, fileSize));
+
+    if (head.length < 12) {
+        throw new Error('File is too small to be audio');
+    }
+
+    if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WAVE') {
+        return probeWav(read, fileSize);
+    }
+
+    if (head.toString('latin1', 4, 8) === 'ftyp') {
+        return probeMp4(read, fileSize);
+    }
+
+    // MP3 files usually start with an ID3v2 tag; the audio frames follow it
+    const id3Size = getId3Size(head);
+    const audioHead = id3Size > 0 && id3Size < fileSize
+        ? await read(id3Size, Math.min(HEAD_BYTES, fileSize - id3Size))
+        : head;
+
+    if (id3Size === 0 && isAdtsHeader(audioHead, 0)) {
+        return probeAdts(audioHead, fileSize);
+    }
+
+    const mp3 = probeMp3(audioHead, id3Size, fileSize);
+    if (mp3) {
+        return mp3;
+    }
+
+    throw new Error('Unrecognised audio format');
+}
+
+// True when the probed container is one the declared MIME type allows
+function matchesDeclaredType(declaredType, probe) {
+    const containers = DECLARED_CONTAINERS[String(declaredType).toLowerCase()];
+    return Boolean(containers && containers.includes(probe.container));
+}
+
+// Size of a leading ID3v2 tag including its header and footer, or 0
+function getId3Size(buffer) {
+    if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') {
+        return 0;
+    }
+
+    const flags = buffer[5];
+    const size = readSyncsafe(buffer, 6);
+
+    return 10 + size + (flags & 0x10 ? 10 : 0);
+}
+
+function readSyncsafe(buffer, offset) {
+    return ((buffer[offset] & 0x7f) << 21) |
+        ((buffer[offset + 1] & 0x7f) << 14) |
+        ((buffer[offset + 2] & 0x7f) << 7) |
+        (buffer[offset + 3] & 0x7f);
+}
+
+// ------------------------------------------------------------------
+// ID3v2 chapters (CHAP / CTOC)
+// ------------------------------------------------------------------
+
+// Chapters from a leading ID3v2.3/2.4 tag, in chapter_marks form. Follows the
+// top-level table of contents when there is one, otherwise start-time order.
+async function readId3Chapters(read, fileSize) {
+    const header = await read(0, 10);
+    const tagSize = getId3Size(header);
+
+    if (tagSize === 0 || header[3] < 3 || header[3] > 4) {
+        return [];
+    }
+    if (tagSize > MAX_ID3_BYTES || tagSize > fileSize) {
+        throw new Error('ID3 tag is too large to inspect');
+    }
+
+    const tag = await read(0, tagSize);
+    return parseId3Chapters(tag);
+}
+
+function parseId3Chapters(tag) {
+    const version = tag[3];
+    const flags = tag[5];
+    let body = tag.subarray(10, 10 + readSyncsafe(tag, 6));
+
+    // v2.3 applies unsynchronisation to the whole tag
+    if (version === 3 && flags & 0x80) {
+        body = removeUnsynchronisation(body);
+    }
+
+    let offset = 0;
+    if (flags & 0x40) {
+        offset = version === 4 ? readSyncsafe(body, 0) : body.readUInt32BE(0) + 4;
+    }
+
+    const chapters = new Map();
+    const tables = [];
+
+    for (const frame of readId3Frames(body.subarray(offset), version)) {
+        if (frame.id === 'CHAP') {
+            const chapter = parseChapFrame(frame.data, version);
+            if (chapter) chapters.set(chapter.elementId, chapter);
+        } else if (frame.id === 'CTOC') {
+            const table = parseCtocFrame(frame.data);
+            if (table) tables.push(table);
+        }
+    }
+
+    const topLevel = tables.find(table => table.isTopLevel) || tables[0];
+    const ordered = topLevel
+        ? topLevel.childIds.map(id => chapters.get(id)).filter(Boolean)
+        : [...chapters.values()].sort((a, b) => a.startMs - b.startMs);
+
+    return ordered.map(chapter => ({
+        start_time: chapter.startMs / 1000,
+        end_time: chapter.endMs > chapter.startMs ? chapter.endMs / 1000 : undefined,
+        title: chapter.title || undefined,
+        url: chapter.url || undefined
+    }));
+}
+
+function readId3Frames(buffer, version) {
+    const frames = [];
+    let offset = 0;
+
+    while (offset + 10 <= buffer.length) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        // Padding (or garbage) ends the frame list
+        if (!/^[A-Z0-9]{4}$/.test(id)) break;
+
+        const size = version === 4 ? readSyncsafe(buffer, offset + 4) : buffer.readUInt32BE(offset + 4);
+        if (offset + 10 + size > buffer.length) break;
+
+        frames.push({ id, data: buffer.subarray(offset + 10, offset + 10 + size) });
+        offset += 10 + size;
+    }
+
+    return frames;
+}
+
+function parseChapFrame(data, version) {
+    const idEnd = data.indexOf(0);
+    if (idEnd < 0 || idEnd + 17 > data.length) return null;
+
+    const chapter = {
+        elementId: data.toString('latin1', 0, idEnd),
+        startMs: data.readUInt32BE(idEnd + 1),
+        endMs: data.readUInt32BE(idEnd + 5),
+        title: null,
+        url: null
+    };
+
+    for (const frame of readId3Frames(data.subarray(idEnd + 17), version)) {
+        if (frame.id === 'TIT2' && frame.data.length > 1) {
+            chapter.title = decodeId3Text(frame.data.subarray(1), frame.data[0]).trim();
+        } else if (frame.id === 'WXXX' && frame.data.length > 1) {
+            // Encoding byte, description in that encoding, then a Latin-1 URL
+            const descriptionEnd = findTextEnd(frame.data, 1, frame.data[0]);
+            chapter.url = decodeId3Text(frame.data.subarray(descriptionEnd), 0).trim();
+        }
+    }
+
+    return chapter;
+}
+
+function parseCtocFrame(data) {
+    const idEnd = data.indexOf(0);
+    if (idEnd < 0 || idEnd + 3 > data.length) return null;
+
+    const flags = data[idEnd + 1];
+    const entryCount = data[idEnd + 2];
+    const childIds = [];
+    let offset = idEnd + 3;
+
+    for (let i = 0; i < entryCount && offset < data.length; i++) {
+        let end = data.indexOf(0, offset);
+        if (end < 0) end = data.length;
+        childIds.push(data.toString('latin1', offset, end));
+        offset = end + 1;
+    }
+
+    return { isTopLevel: Boolean(flags & 0x02), childIds };
+}
+
+// Offset just past the terminator of a string starting at offset
+function findTextEnd(buffer, offset, encoding) {
+    if (encoding === 1 || encoding === 2) {
+        for (let i = offset; i + 1 < buffer.length; i += 2) {
+            if (buffer[i] === 0 && buffer[i + 1] === 0) return i + 2;
+        }
+        return buffer.length;
+    }
+
+    const end = buffer.indexOf(0, offset);
+    return end < 0 ? buffer.length : end + 1;
+}
+
+function decodeId3Text(buffer, encoding) {
+    let text;
+
+    if (encoding === 1 || encoding === 2) {
+        let bytes = buffer;
+        let bigEndian = encoding === 2;
+        if (bytes.length >= 2 && bytes[0] === 0xfe && bytes[1] === 0xff) {
+            bigEndian = true;
+            bytes = bytes.subarray(2);
+        } else if (bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0xfe) {
+            bigEndian = false;
+            bytes = bytes.subarray(2);
+        }
+
+        bytes = Buffer.from(bytes.subarray(0, bytes.length - (bytes.length % 2)));
+        if (bigEndian) bytes.swap16();
+        text = bytes.toString('utf16le');
+    } else {
+        text = buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+    }
+
+    // Values may be null-terminated or carry several null-separated strings
+    return text.split('\u0000')[0];
+}
+
+function removeUnsynchronisation(buffer) {
+    const bytes = [];
+    for (let i = 0; i < buffer.length; i++) {
+        bytes.push(buffer[i]);
+        if (buffer[i] === 0xff && buffer[i + 1] === 0x00) i++;
+    }
+    return Buffer.from(bytes);
+}
+
+// ------------------------------------------------------------------
+// MPEG audio (MP3)
+// ------------------------------------------------------------------
+
+function parseMpegHeader(buffer, offset) {
+    if (offset + 4 > buffer.length) return null;
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    const padding = (buffer[offset + 2] >> 1) & 0x01;
+    const channelMode = buffer[offset + 3] >> 6;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isVersion1 = versionBits === 3;
+    const layer = 4 - layerBits;
+    const bitrate = MPEG_BITRATES[layer][isVersion1 ? 0 : 1][bitrateIndex] * 1000;
+    const divisor = versionBits === 3 ? 1 : (versionBits === 2 ? 2 : 4);
+    const sampleRate = MPEG_SAMPLE_RATES[sampleRateIndex] / divisor;
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && !isVersion1 ? 576 : 1152);
+
+    const frameLength = layer === 1
+        ? (Math.floor(12 * bitrate / sampleRate) + padding) * 4
+        : Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+
+    return {
+        isVersion1,
+        layer,
+        bitrate,
+        sampleRate,
+        samplesPerFrame,
+        frameLength,
+        channels: channelMode === 3 ? 1 : 2
+    };
+}
+
+// Finds the first frame that is followed by another valid frame, so stray
+// 0xFF bytes in padding are not mistaken for audio
+function findMpegFrame(buffer) {
+    for (let offset = 0; offset + 4 <= buffer.length; offset++) {
+        const header = parseMpegHeader(buffer, offset);
+        if (!header) continue;
+
+        const next = offset + header.frameLength;
+        if (next + 4 > buffer.length || parseMpegHeader(buffer, next)) {
+            return { offset, header };
+        }
+    }
+
+    return null;
+}
+
+function probeMp3(buffer, audioStart, fileSize) {
+    const frame = findMpegFrame(buffer);
+    if (!frame) return null;
+
+    const { offset, header } = frame;
+    const sideInfoSize = header.isVersion1
+        ? (header.channels === 1 ? 17 : 32)
+        : (header.channels === 1 ? 9 : 17);
+
+    let frameCount = null;
+
+    // VBR files carry a Xing/Info or VBRI frame with the total frame count
+    const xingOffset = offset + 4 + sideInfoSize;
+    const xingTag = buffer.toString('latin1', xingOffset, xingOffset + 4);
+    if ((xingTag === 'Xing' || xingTag === 'Info') && buffer.length >= xingOffset + 12 &&
+        buffer.readUInt32BE(xingOffset + 4) & 0x01) {
+        frameCount = buffer.readUInt32BE(xingOffset + 8);
+    } else if (buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI' && buffer.length >= offset + 54) {
+        frameCount = buffer.readUInt32BE(offset + 36 + 14);
+    }
+
+    const audioBytes = fileSize - audioStart - offset;
+    let duration;
+    let bitrate;
+
+    if (frameCount) {
+        duration = frameCount * header.samplesPerFrame / header.sampleRate;
+        bitrate = duration > 0 ? Math.round(audioBytes * 8 / duration) : header.bitrate;
+    } else {
+        bitrate = header.bitrate;
+        duration = audioBytes * 8 / bitrate;
+    }
+
+    return {
+        container: 'mp3',
+        mimeType: 'audio/mpeg',
+        codec: header.layer === 3 ? 'mp3' : `mp${header.layer}`,
+        duration,
+        bitrate,
+        sampleRate: header.sampleRate,
+        channels: header.channels
+    };
+}
+
+// ------------------------------------------------------------------
+// Raw AAC (ADTS)
+// ------------------------------------------------------------------
+
+function isAdtsHeader(buffer, offset) {
+    return offset + 7 <= buffer.length &&
+        buffer[offset] === 0xff &&
+        (buffer[offset + 1] & 0xf6) === 0xf0;
+}
+
+function probeAdts(buffer, fileSize) {
+    const sampleRate = ADTS_SAMPLE_RATES[(buffer[2] >> 2) & 0x0f];
+    const channels = ((buffer[2] & 0x01) << 2) | (buffer[3] >> 6);
+
+    if (!sampleRate) {
+        throw new Error('Corrupt AAC stream');
+    }
+
+    // Average the frame size over the frames we have; each holds 1024 samples
+    let offset = 0;
+    let frames = 0;
+    while (isAdtsHeader(buffer, offset)) {
+        const frameLength = ((buffer[offset + 3] & 0x03) << 11) | (buffer[offset + 4] << 3) | (buffer[offset + 5] >> 5);
+        if (frameLength < 7) break;
+        offset += frameLength;
+        frames++;
+    }
+
+    if (frames === 0) {
+        throw new Error('Corrupt AAC stream');
+    }
+
+    const averageFrameLength = offset / frames;
+    const duration = fileSize / averageFrameLength * 1024 / sampleRate;
+
+    return {
+        container: 'aac',
+        mimeType: 'audio/aac',
+        codec: 'aac',
+        duration,
+        bitrate: Math.round(averageFrameLength * 8 * sampleRate / 1024),
+        sampleRate,
+        channels
+    };
+}
+
+// ------------------------------------------------------------------
+// WAV
+// ------------------------------------------------------------------
+
+async function probeWav(read, fileSize) {
+    let format = null;
+    let dataSize = null;
+    let offset = 12;
+
+    while (offset + 8 <= fileSize && (!format || dataSize === null)) {
+        const chunkHeader = await read(offset, 8);
+        if (chunkHeader.length < 8) break;
+
+        const id = chunkHeader.toString('latin1', 0, 4);
+        const size = chunkHeader.readUInt32LE(4);
+
+        if (id === 'fmt ') {
+            const chunk = await read(offset + 8, Math.min(size, 40));
+            format = {
+                audioFormat: chunk.readUInt16LE(0),
+                channels: chunk.readUInt16LE(2),
+                sampleRate: chunk.readUInt32LE(4),
+                byteRate: chunk.readUInt32LE(8)
+            };
+        } else if (id === 'data') {
+            // Streams written before their length was known leave 0 or 0xFFFFFFFF here
+            dataSize = size === 0 || size === 0xffffffff ? fileSize - offset - 8 : size;
+        }
+
+        offset += 8 + size + (size % 2);
+    }
+
+    if (!format || dataSize === null || !format.byteRate) {
+        throw new Error('Corrupt WAV file');
+    }
+
+    return {
+        container: 'wav',
+        mimeType: 'audio/wav',
+        codec: format.audioFormat === 1 || format.audioFormat === 0xfffe ? 'pcm' : `wav-${format.audioFormat}`,
+        duration: dataSize / format.byteRate,
+        bitrate: format.byteRate * 8,
+        sampleRate: format.sampleRate,
+        channels: format.channels
+    };
+}
+
+// ------------------------------------------------------------------
+// MP4 / M4A
+// ------------------------------------------------------------------
+
+async function probeMp4(read, fileSize) {
+    // Walk the top-level boxes; moov is often at the end of the file
+    let offset = 0;
+    let moov = null;
+
+    while (offset + 8 <= fileSize) {
+        const header = await read(offset, 16);
+        if (header.length < 8) break;
+
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+
+        if (size < headerSize) {
+            throw new Error('Corrupt MP4 file');
+        }
+
+        if (type === 'moov') {
+            if (size > MAX_MOOV_BYTES) {
+                throw new Error('MP4 metadata is too large to inspect');
+            }
+            moov = await read(offset + headerSize, size - headerSize);
+            break;
+        }
+
+        offset += size;
+    }
+
+    if (!moov) {
+        throw new Error('Corrupt MP4 file: no moov box');
+    }
+
+    const mvhd = findBox(moov, ['mvhd']);
+    if (!mvhd) {
+        throw new Error('Corrupt MP4 file: no mvhd box');
+    }
+
+    const version = mvhd[0];
+    const timescale = version === 1 ? mvhd.readUInt32BE(20) : mvhd.readUInt32BE(12);
+    const units = version === 1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+    const duration = timescale ? units / timescale : 0;
+
+    let audio = null;
+    let hasVideo = false;
+
+    for (const trak of childBoxes(moov, 'trak')) {
+        const hdlr = findBox(trak, ['mdia', 'hdlr']);
+        const handler = hdlr ? hdlr.toString('latin1', 8, 12) : null;
+
+        if (handler === 'vide') {
+            hasVideo = true;
+        } else if (handler === 'soun' && !audio) {
+            const stsd = findBox(trak, ['mdia', 'minf', 'stbl', 'stsd']);
+            // stsd: version/flags, entry count, then the first sample entry
+            if (stsd && stsd.length >= 8 + 36) {
+                const format = stsd.toString('latin1', 12, 16);
+                audio = {
+                    codec: MP4_CODECS[format] || format.trim(),
+                    channels: stsd.readUInt16BE(8 + 24),
+                    sampleRate: stsd.readUInt32BE(8 + 32) >>> 16
+                };
+            }
+        }
+    }
+
+    if (!audio) {
+        throw new Error('MP4 file has no audio track');
+    }
+
+    return {
+        container: hasVideo ? 'mp4-video' : 'mp4',
+        mimeType: hasVideo ? 'video/mp4' : 'audio/mp4',
+        codec: audio.codec,
+        duration,
+        bitrate: duration > 0 ? Math.round(fileSize * 8 / duration) : null,
+        sampleRate: audio.sampleRate,
+        channels: audio.channels
+    };
+}
+
+// Payloads of the direct children of a box payload with the given type
+function childBoxes(buffer, type) {
+    const boxes = [];
+    let offset = 0;
+
+    while (offset + 8 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset);
+        if (size < 8 || offset + size > buffer.length) break;
+
+        if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+            boxes.push(buffer.subarray(offset + 8, offset + size));
+        }
+        offset += size;
+    }
+
+    return boxes;
+}
+
+function findBox(buffer, path) {
+    let current = buffer;
+    for (const type of path) {
+        [current] = childBoxes(current, type);
+        if (!current) return null;
+    }
+    return current;
+}
+
+module.exports = {
+    probeAudio,
+    matchesDeclaredType,
+    readId3Chapters,
+    getId3Size
+};
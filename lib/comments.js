@@ -0,0 +1,73 @@
+// lib/comments.js
+// Comment threads and the per-show comment settings
+
+const COMMENT_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+// system_settings stores booleans as strings
+function settingEnabled(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    return value === true || value === 'true' || value === '1';
+}
+
+// A show's own setting wins; NULL falls back to the site-wide one.
+// site: system_settings values by key; show: the show's override columns
+function resolveCommentSettings(site = {}, show = {}) {
+    const siteEnabled = settingEnabled(site.comments_enabled, true);
+    const siteApproval = settingEnabled(site.comments_require_approval, true);
+
+    return {
+        enabled: show.comments_enabled === null || show.comments_enabled === undefined
+            ? siteEnabled
+            : Boolean(show.comments_enabled),
+        requireApproval: show.comments_require_approval === null || show.comments_require_approval === undefined
+            ? siteApproval
+            : Boolean(show.comments_require_approval)
+    };
+}
+
+// Nest visible comments under their parents, replies oldest first. Replies
+// whose parent isn't in the list (held for moderation, rejected or spam) are
+// left out along with everything below them.
+// comments: [{ id, parent_id, created_at, ... }] in any order
+function buildThreads(comments, { newestFirst = false } = {}) {
+    const nodes = new Map(comments.map(comment => [comment.id, { ...comment, replies: [] }]));
+    const roots = [];
+
+    for (const node of nodes.values()) {
+        if (!node.parent_id) {
+            roots.push(node);
+        } else if (nodes.has(node.parent_id)) {
+            nodes.get(node.parent_id).replies.push(node);
+        }
+    }
+
+    const byTime = (a, b) => new Date(a.created_at) - new Date(b.created_at) || a.id - b.id;
+    for (const node of nodes.values()) {
+        node.replies.sort(byTime);
+    }
+
+    roots.sort(byTime);
+    return newestFirst ? roots.reverse() : roots;
+}
+
+// Comments a listener can actually see: those in a thread under a top-level
+// comment, which is what episodes.comment_count holds
+function countVisible(comments) {
+    let count = 0;
+    const stack = buildThreads(comments);
+
+    while (stack.length > 0) {
+        const node = stack.pop();
+        count++;
+        stack.push(...node.replies);
+    }
+
+    return count;
+}
+
+module.exports = {
+    COMMENT_STATUSES,
+    resolveCommentSettings,
+    buildThreads,
+    countVisible
+};
@@ -138,6 +138,7 @@ CREATE TABLE IF NOT EXISTS shows (
     color VARCHAR(7) DEFAULT '#6366F1',
     category VARCHAR(100),
     language VARCHAR(10) DEFAULT 'en',
+    timezone VARCHAR(50) DEFAULT 'UTC', -- Publish dates without an offset are in this zone
     explicit BOOLEAN DEFAULT FALSE,
     author VARCHAR(255),
     owner_name VARCHAR(255),
@@ -145,6 +146,15 @@ CREATE TABLE IF NOT EXISTS shows (
     copyright VARCHAR(255),
     website_url VARCHAR(500),
     rss_url VARCHAR(500),
+    podcast_guid CHAR(36), -- Podcasting 2.0 GUID, fixed when the show is created
+    podcast_locked BOOLEAN DEFAULT FALSE,
+    funding_url VARCHAR(500),
+    funding_message VARCHAR(128),
+    persons JSON, -- Array of hosts/guests: name, role, group, img, href
+    feed_item_limit INT NULL, -- Only the latest N episodes appear in the feed
+    sync_update_policy ENUM('overwrite', 'preserve_local') DEFAULT 'preserve_local', -- RSS re-sync vs local edits
+    comments_enabled BOOLEAN NULL, -- NULL follows the comments_enabled system setting
+    comments_require_approval BOOLEAN NULL, -- NULL follows the comments_require_approval system setting
     is_active BOOLEAN DEFAULT TRUE,
     is_featured BOOLEAN DEFAULT FALSE,
     episode_count INT DEFAULT 0,
@@ -173,6 +183,8 @@ CREATE TABLE IF NOT EXISTS episodes (
     show_id INT NOT NULL,
     title VARCHAR(255) NOT NULL,
     slug VARCHAR(255) NOT NULL,
+    guid VARCHAR(500), -- <guid> of the source feed item for synced episodes
+    sync_snapshot JSON, -- Field values as last imported by RSS sync
     description TEXT,
     content LONGTEXT,
     audio_url VARCHAR(500) NOT NULL,
@@ -180,15 +192,21 @@ CREATE TABLE IF NOT EXISTS episodes (
     duration VARCHAR(20), -- Format: HH:MM:SS
     duration_seconds INT,
     file_size BIGINT, -- File size in bytes
-    mime_type VARCHAR(100) DEFAULT 'audio/mpeg',
+    mime_type VARCHAR(100), -- Detected from the file when uploaded, else taken from the source feed
+    media_info JSON, -- Codec, bitrate, sample rate, channels and container of the audio
+    media_probed_at TIMESTAMP NULL,
     season INT,
     episode_number INT,
     episode_type ENUM('full', 'trailer', 'bonus') DEFAULT 'full',
     explicit BOOLEAN DEFAULT FALSE,
     transcript_url VARCHAR(500),
     chapter_marks JSON, -- Array of chapter timestamps and titles
+    soundbites JSON, -- Array of highlight clips: start_time, duration, title
     publish_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    is_published BOOLEAN DEFAULT TRUE,
+    status ENUM('draft', 'scheduled', 'published') NOT NULL DEFAULT 'published', -- Scheduled episodes go live at publish_date
+    is_published BOOLEAN DEFAULT TRUE, -- Mirrors status = 'published'
+    access_level ENUM('public', 'premium', 'early_access') DEFAULT 'public', -- premium/early access are listed in private feeds
+    public_release_date TIMESTAMP NULL, -- When an early-access episode joins the public feed
     is_featured BOOLEAN DEFAULT FALSE,
     play_count INT DEFAULT 0,
     download_count INT DEFAULT 0,
@@ -203,11 +221,15 @@ CREATE TABLE IF NOT EXISTS episodes (
     FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
     FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
     UNIQUE KEY unique_show_slug (show_id, slug),
+    UNIQUE KEY unique_show_guid (show_id, guid),
     INDEX idx_show_id (show_id),
+    INDEX idx_show_updated_at (show_id, updated_at),
     INDEX idx_published (is_published),
     INDEX idx_featured (is_featured),
     INDEX idx_publish_date (publish_date),
+    INDEX idx_status_publish_date (status, publish_date),
     INDEX idx_season_episode (season, episode_number),
+    INDEX idx_access_level (access_level),
     INDEX idx_created_by (created_by),
     FULLTEXT idx_search (title, description)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -222,7 +244,8 @@ CREATE TABLE IF NOT EXISTS tags (
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
     INDEX idx_name (name),
-    INDEX idx_slug (slug)
+    INDEX idx_slug (slug),
+    FULLTEXT idx_search (name)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 CREATE TABLE IF NOT EXISTS episode_tags (
@@ -235,6 +258,43 @@ CREATE TABLE IF NOT EXISTS episode_tags (
     FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Hosted episode transcripts, rendered as SRT, WebVTT or JSON on request
+CREATE TABLE IF NOT EXISTS episode_transcripts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL UNIQUE,
+    language VARCHAR(10) DEFAULT 'en',
+    source_format ENUM('srt', 'vtt', 'json') NOT NULL, -- Format the producer uploaded
+    segments JSON NOT NULL, -- [{start_time, end_time, speaker, body}], times in seconds
+    segment_count INT DEFAULT 0,
+    body_text MEDIUMTEXT NOT NULL, -- Spoken text without timings, for full-text search
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FULLTEXT idx_search (body_text)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- RSS sync state for imported shows
+CREATE TABLE IF NOT EXISTS show_sync_state (
+    show_id INT PRIMARY KEY,
+    feed_url VARCHAR(500) NOT NULL, -- URL the validators below belong to
+    etag VARCHAR(255),
+    last_modified VARCHAR(64), -- Raw Last-Modified header, sent back as If-Modified-Since
+    last_http_status SMALLINT,
+    last_checked_at TIMESTAMP NULL,
+    last_success_at TIMESTAMP NULL,
+    last_error TEXT,
+    last_error_at TIMESTAMP NULL,
+    consecutive_failures INT DEFAULT 0,
+    next_due_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_next_due_at (next_due_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ==============================================
 -- FILE MANAGEMENT
 -- ==============================================
@@ -271,7 +331,7 @@ CREATE TABLE IF NOT EXISTS file_uploads (
 -- Analytics events
 CREATE TABLE IF NOT EXISTS analytics_events (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
-    event_type ENUM('play', 'pause', 'complete', 'download', 'share', 'subscribe', 'like', 'comment', 'search', 'page_view') NOT NULL,
+    event_type ENUM('play', 'pause', 'complete', 'skip', 'heartbeat', 'download', 'share', 'subscribe', 'unsubscribe', 'rate', 'like', 'comment', 'search', 'page_view') NOT NULL,
     user_id INT,
     session_id VARCHAR(128),
     show_id INT,
@@ -282,9 +342,11 @@ CREATE TABLE IF NOT EXISTS analytics_events (
     country VARCHAR(2),
     region VARCHAR(100),
     city VARCHAR(100),
-    device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown',
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    app VARCHAR(100), -- Podcast app, from the user agent database
     browser VARCHAR(100),
     os VARCHAR(100),
+    is_bot BOOLEAN DEFAULT FALSE,
     metadata JSON, -- Additional event-specific data
     duration INT, -- For play events: how long listened
     position INT, -- For play events: position in episode
@@ -307,22 +369,167 @@ CREATE TABLE IF NOT EXISTS analytics_events (
 CREATE TABLE IF NOT EXISTS listening_history (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     user_id INT,
+    session_id VARCHAR(128), -- Anonymous listeners are tracked per player session
     episode_id INT NOT NULL,
     listen_duration INT NOT NULL, -- Duration in seconds
     completion_percentage DECIMAL(5,2) DEFAULT 0.00,
     last_position INT DEFAULT 0, -- Last listening position in seconds
-    device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown',
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
     started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
     UNIQUE KEY unique_user_episode (user_id, episode_id),
+    UNIQUE KEY unique_session_episode (session_id, episode_id),
     INDEX idx_user_id (user_id),
     INDEX idx_episode_id (episode_id),
     INDEX idx_started_at (started_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Enclosure requests through the download tracking redirect, one row each
+CREATE TABLE IF NOT EXISTS download_requests (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    app VARCHAR(100),
+    os VARCHAR(100),
+    country VARCHAR(2),
+    referer VARCHAR(500),
+    range_header VARCHAR(100), -- Raw Range header
+    range_start BIGINT,
+    range_end BIGINT,
+    bytes_requested BIGINT, -- NULL when the file size is unknown
+    excluded_reason ENUM('bot', 'prefetch'), -- NULL when the request can count
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_episode_requested (episode_id, requested_at),
+    INDEX idx_requested_at (requested_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Unique downloads: one per episode, IP address and user agent per day
+CREATE TABLE IF NOT EXISTS episode_downloads (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    download_date DATE NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent_hash CHAR(64) NOT NULL, -- SHA-256 of the user agent, for the unique key
+    user_agent VARCHAR(500),
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    app VARCHAR(100),
+    os VARCHAR(100),
+    country VARCHAR(2),
+    first_requested_at TIMESTAMP NULL,
+    bytes_requested BIGINT,
+    counted BOOLEAN DEFAULT FALSE, -- Added to episodes.download_count
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_download (episode_id, download_date, ip_address, user_agent_hash),
+    INDEX idx_show_date (show_id, download_date),
+    INDEX idx_download_date (download_date),
+    INDEX idx_first_requested_at (first_requested_at),
+    INDEX idx_counted (counted)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Hourly analytics rollup per episode, country and device, rebuilt by the
+-- analytics_rollup job. unique_listeners is only unique within its row.
+CREATE TABLE IF NOT EXISTS analytics_hourly (
+    bucket_start DATETIME NOT NULL, -- Start of the hour
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    country CHAR(2) NOT NULL DEFAULT '', -- Empty when unknown
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown',
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0, -- Unique downloads from episode_downloads
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_start, episode_id, country, device_type),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_start),
+    INDEX idx_episode_bucket (episode_id, bucket_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Daily analytics rollup, same shape as analytics_hourly
+CREATE TABLE IF NOT EXISTS analytics_daily (
+    bucket_date DATE NOT NULL,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    country CHAR(2) NOT NULL DEFAULT '',
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown',
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0,
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_date, episode_id, country, device_type),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_date),
+    INDEX idx_episode_bucket (episode_id, bucket_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Daily rollup per podcast app, device and OS family, rebuilt by the
+-- analytics_rollup job alongside analytics_daily
+CREATE TABLE IF NOT EXISTS analytics_platforms_daily (
+    bucket_date DATE NOT NULL,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    app VARCHAR(100) NOT NULL DEFAULT '', -- Empty for browsers and unknown clients
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown',
+    os VARCHAR(50) NOT NULL DEFAULT '', -- Family without version, empty when unknown
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0,
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_date, episode_id, app, device_type, os),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_date),
+    INDEX idx_episode_bucket (episode_id, bucket_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Analytics exports queued to run in the background. The file is written to
+-- the export directory by the analytics_exports job and deleted on expiry.
+CREATE TABLE IF NOT EXISTS analytics_exports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT,
+    dataset ENUM('events', 'downloads', 'hourly', 'daily') NOT NULL,
+    format ENUM('csv', 'ndjson', 'parquet') NOT NULL,
+    filters JSON, -- { from, to, showIds, episodeIds, eventTypes }
+    status ENUM('queued', 'running', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+    row_count BIGINT,
+    file_size BIGINT,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL, -- When the file is deleted
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Daily salt for hashing IP addresses before they are stored. Each day's salt is
+-- deleted by the analytics_purge job once the day is over.
+CREATE TABLE IF NOT EXISTS analytics_salts (
+    salt_date DATE PRIMARY KEY,
+    salt CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ==============================================
 -- SUBSCRIPTIONS & NOTIFICATIONS
 -- ==============================================
@@ -334,6 +541,8 @@ CREATE TABLE IF NOT EXISTS show_subscriptions (
     show_id INT NOT NULL,
     email VARCHAR(255), -- For anonymous subscriptions
     subscription_type ENUM('rss', 'email', 'web') DEFAULT 'web',
+    feed_token CHAR(64) NULL, -- Private feed token, unique per subscriber
+    token_revoked_at TIMESTAMP NULL,
     is_active BOOLEAN DEFAULT TRUE,
     notification_preferences JSON,
     subscribed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -344,7 +553,8 @@ CREATE TABLE IF NOT EXISTS show_subscriptions (
     INDEX idx_user_id (user_id),
     INDEX idx_show_id (show_id),
     INDEX idx_email (email),
-    INDEX idx_is_active (is_active)
+    INDEX idx_is_active (is_active),
+    UNIQUE KEY unique_feed_token (feed_token)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Email subscribers (for newsletter)
@@ -394,7 +604,9 @@ CREATE TABLE IF NOT EXISTS comments (
     INDEX idx_user_id (user_id),
     INDEX idx_parent_id (parent_id),
     INDEX idx_status (status),
-    INDEX idx_created_at (created_at)
+    INDEX idx_created_at (created_at),
+    INDEX idx_episode_status (episode_id, status),
+    INDEX idx_status_created_at (status, created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- Ratings for episodes
@@ -474,6 +686,49 @@ CREATE TABLE IF NOT EXISTS activity_logs (
     INDEX idx_created_at (created_at)
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- ==============================================
+-- BACKGROUND JOBS
+-- ==============================================
+
+-- Recurring background jobs. A row is locked by the instance running it until
+-- locked_until, so only one of several app instances runs a job at a time.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    cron_expression VARCHAR(100) NOT NULL, -- Five-field cron expression, evaluated in UTC
+    is_enabled BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP NULL,
+    last_run_at TIMESTAMP NULL,
+    last_status ENUM('succeeded', 'failed') NULL,
+    locked_by VARCHAR(255), -- Instance currently running the job
+    locked_until TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_next_run_at (is_enabled, next_run_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per job run, scheduled or triggered by hand
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id INT NOT NULL,
+    trigger_type ENUM('schedule', 'manual', 'external') NOT NULL DEFAULT 'schedule',
+    triggered_by INT,
+    instance_id VARCHAR(255),
+    status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+    result JSON,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    duration_ms INT,
+
+    FOREIGN KEY (job_id) REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_job_started (job_id, started_at),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- ==============================================
 -- INSERT DEFAULT DATA
 -- ==============================================
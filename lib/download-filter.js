@@ -0,0 +1,70 @@
+// lib/download-filter.js
+// Byte ranges and bot / pre-fetch filtering for enclosure download requests,
+// following the IAB podcast measurement guidelines
+
+// Crawlers, HTTP libraries and monitoring tools that never play audio.
+// okhttp and Java are left out: many Android players send their HTTP stack's
+// default agent, and the OPAWG list decides which of those are bots.
+const BOT_AGENTS = [
+    /bot\b|bot\/|crawl|spider|slurp/i,
+    /^(curl|wget|python-requests|python-urllib|go-http-client|libwww-perl|axios|node-fetch|guzzlehttp)\b/i,
+    /HeadlessChrome|PhantomJS|Lighthouse|PageSpeed/,
+    /UptimeRobot|Pingdom|StatusCake|Site24x7|NewRelicPinger|Datadog/i,
+    /CastBuzz RSS Sync Bot/
+];
+
+// Link unfurlers and previewers that fetch the file without anyone listening
+const PREFETCH_AGENTS = [
+    /facebookexternalhit|Twitterbot|Slackbot-LinkExpanding|Discordbot|TelegramBot|WhatsApp|LinkedInBot|SkypeUriPreview|Iframely|Embedly/i
+];
+
+// Browser speculative loads announce themselves with one of these headers
+const PREFETCH_PURPOSES = /prefetch|preview|prerender/i;
+
+// Parse a single "bytes=start-end" range. Suffix ranges ("bytes=-500") and
+// open ranges need the file size to resolve; multi-range requests are treated
+// as their first range. Returns null for a missing or unparseable header.
+function parseRange(header, fileSize = null) {
+    const match = /^bytes=\s*(\d*)-(\d*)/.exec(String(header || '').trim());
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start;
+    let end;
+
+    if (match[1] === '') {
+        if (!fileSize) return null;
+        start = Math.max(0, fileSize - Number(match[2]));
+        end = fileSize - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? (fileSize ? fileSize - 1 : null) : Number(match[2]);
+        if (end !== null && fileSize) end = Math.min(end, fileSize - 1);
+    }
+
+    if (end !== null && end < start) {
+        return null;
+    }
+
+    return { start, end, bytes: end === null ? null : end - start + 1 };
+}
+
+// Why a request must not count as a download: 'bot', 'prefetch' or null
+function classifyRequest({ userAgent, purpose }) {
+    const ua = String(userAgent || '').trim();
+
+    // Some unfurlers call themselves bots, so they are checked first
+    if (PREFETCH_AGENTS.some(pattern => pattern.test(ua)) || PREFETCH_PURPOSES.test(purpose || '')) {
+        return 'prefetch';
+    }
+    if (!ua || BOT_AGENTS.some(pattern => pattern.test(ua))) {
+        return 'bot';
+    }
+    return null;
+}
+
+module.exports = {
+    parseRange,
+    classifyRequest
+};
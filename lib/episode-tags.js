@@ -0,0 +1,127 @@
+// lib/episode-tags.js
+// Assigning tags to episodes and keeping tags.usage_count in step.
+// Takes the query function to use so both database layers can share it.
+
+const MAX_TAGS_PER_EPISODE = 20;
+const MAX_TAG_LENGTH = 100;
+
+function slugifyTag(name) {
+    return String(name)
+        .toLowerCase()
+        .trim()
+        .replace(/[^\w\s-]/g, '')
+        .replace(/[\s_-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Trimmed, de-duplicated [{name, slug}] from a list of tag names
+function normalizeTagNames(tags) {
+    if (!Array.isArray(tags)) {
+        throw new Error('Invalid tags: expected a list of tag names');
+    }
+
+    const bySlug = new Map();
+
+    for (const tag of tags) {
+        const name = typeof tag === 'string' ? tag.trim().replace(/\s+/g, ' ') : '';
+        const slug = slugifyTag(name);
+
+        if (!name || !slug || name.length > MAX_TAG_LENGTH) {
+            throw new Error(`Invalid tags: each tag must be 1-${MAX_TAG_LENGTH} characters with at least one letter or digit`);
+        }
+        if (!bySlug.has(slug)) {
+            bySlug.set(slug, { name, slug });
+        }
+    }
+
+    if (bySlug.size > MAX_TAGS_PER_EPISODE) {
+        throw new Error(`Invalid tags: an episode can have at most ${MAX_TAGS_PER_EPISODE} tags`);
+    }
+
+    return [...bySlug.values()];
+}
+
+// Replace an episode's tags, creating tags that don't exist yet
+async function assignEpisodeTags(query, episodeId, tags) {
+    const normalized = normalizeTagNames(tags);
+
+    const previous = await query('SELECT tag_id FROM episode_tags WHERE episode_id = ?', [episodeId]);
+
+    let assigned = [];
+    if (normalized.length > 0) {
+        await query(
+            `INSERT IGNORE INTO tags (name, slug) VALUES ${normalized.map(() => '(?, ?)').join(', ')}`,
+            normalized.flatMap(tag => [tag.name, tag.slug])
+        );
+
+        assigned = await query(
+            `SELECT id, name, slug, color FROM tags WHERE slug IN (${normalized.map(() => '?').join(', ')}) ORDER BY name`,
+            normalized.map(tag => tag.slug)
+        );
+    }
+
+    await query('DELETE FROM episode_tags WHERE episode_id = ?', [episodeId]);
+
+    if (assigned.length > 0) {
+        await query(
+            `INSERT INTO episode_tags (episode_id, tag_id) VALUES ${assigned.map(() => '(?, ?)').join(', ')}`,
+            assigned.flatMap(tag => [episodeId, tag.id])
+        );
+    }
+
+    const touched = new Set([...previous.map(row => row.tag_id), ...assigned.map(tag => tag.id)]);
+    await refreshTagUsage(query, [...touched]);
+
+    return assigned;
+}
+
+async function getEpisodeTags(query, episodeId) {
+    return query(`
+        SELECT t.id, t.name, t.slug, t.color
+        FROM episode_tags et
+        JOIN tags t ON et.tag_id = t.id
+        WHERE et.episode_id = ?
+        ORDER BY t.name
+    `, [episodeId]);
+}
+
+// Recount usage_count from episode_tags; all tags when no ids are given
+async function refreshTagUsage(query, tagIds = null) {
+    if (tagIds && tagIds.length === 0) return;
+
+    let sql = `
+        UPDATE tags t
+        SET usage_count = (SELECT COUNT(*) FROM episode_tags et WHERE et.tag_id = t.id)
+    `;
+    const params = [];
+
+    if (tagIds) {
+        sql += ` WHERE t.id IN (${tagIds.map(() => '?').join(', ')})`;
+        params.push(...tagIds);
+    }
+
+    await query(sql, params);
+}
+
+// Tag renames and removals change the feeds of every episode carrying the
+// tag; moving updated_at lets cached feeds on other instances notice
+async function touchTaggedEpisodes(query, tagIds) {
+    if (tagIds.length === 0) return;
+
+    await query(`
+        UPDATE episodes e
+        JOIN episode_tags et ON et.episode_id = e.id
+        SET e.updated_at = NOW()
+        WHERE et.tag_id IN (${tagIds.map(() => '?').join(', ')})
+    `, tagIds);
+}
+
+module.exports = {
+    MAX_TAGS_PER_EPISODE,
+    slugifyTag,
+    normalizeTagNames,
+    assignEpisodeTags,
+    getEpisodeTags,
+    refreshTagUsage,
+    touchTaggedEpisodes
+};
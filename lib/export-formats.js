@@ -0,0 +1,173 @@
+// lib/export-formats.js
+// Row writers for data exports: CSV, JSON Lines and Parquet, written to any
+// writable stream one row at a time
+
+const parquet = require('parquetjs-lite');
+
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    ndjson: { extension: 'ndjson', contentType: 'application/x-ndjson' },
+    parquet: { extension: 'parquet', contentType: 'application/vnd.apache.parquet' }
+};
+
+// Column types and the Parquet type each is stored as
+const PARQUET_TYPES = {
+    string: 'UTF8',
+    json: 'UTF8',
+    integer: 'INT64',
+    number: 'DOUBLE',
+    timestamp: 'TIMESTAMP_MILLIS',
+    date: 'DATE'
+};
+
+const MILLIS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Rows Parquet buffers before writing a row group
+const PARQUET_ROW_GROUP_SIZE = 5000;
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// mysql2 returns DATE columns as local midnight
+function formatDate(value) {
+    if (!(value instanceof Date)) return String(value);
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// A value as plain JSON: dates as strings, numbers as numbers, JSON columns
+// parsed. null for missing values.
+function formatValue(value, type) {
+    if (value === null || value === undefined) return null;
+
+    switch (type) {
+        case 'timestamp':
+            return value instanceof Date ? value.toISOString() : String(value);
+        case 'date':
+            return formatDate(value);
+        case 'integer':
+        case 'number':
+            return Number(value);
+        case 'json':
+            return typeof value === 'string' ? JSON.parse(value) : value;
+        default:
+            return String(value);
+    }
+}
+
+function csvCell(value, type) {
+    const formatted = formatValue(value, type);
+    if (formatted === null) return '';
+
+    let text = type === 'json' ? JSON.stringify(formatted) : String(formatted);
+    if (typeof formatted === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parquetValue(value, type) {
+    const formatted = formatValue(value, type);
+    if (formatted === null) return undefined;
+
+    switch (type) {
+        case 'timestamp':
+            return new Date(formatted);
+        case 'date': {
+            const [year, month, day] = formatted.split('-').map(Number);
+            return Date.UTC(year, month - 1, day) / MILLIS_PER_DAY;
+        }
+        case 'json':
+            return JSON.stringify(formatted);
+        default:
+            return formatted;
+    }
+}
+
+// Write to the stream, waiting for it to drain when its buffer is full. A
+// stream that closes first (a download cancelled halfway) fails the write.
+function writeChunk(output, chunk) {
+    if (output.destroyed) return Promise.reject(new Error('Export output closed'));
+    if (output.write(chunk)) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+        const settle = error => {
+            output.off('drain', settle);
+            output.off('error', settle);
+            output.off('close', settle);
+            if (error) reject(error);
+            else if (output.destroyed) reject(new Error('Export output closed'));
+            else resolve();
+        };
+        output.on('drain', settle);
+        output.on('error', settle);
+        output.on('close', settle);
+    });
+}
+
+function endStream(output) {
+    return new Promise((resolve, reject) => {
+        output.once('error', reject);
+        output.end(resolve);
+    });
+}
+
+// columns: [{ name, type }] with a type from PARQUET_TYPES. Returns
+// { writeRow(row), end() }; both return promises, and the output stream is
+// ended by end().
+async function createExportWriter(format, output, columns) {
+    if (!EXPORT_FORMATS[format]) {
+        throw new Error(`Unknown export format '${format}'`);
+    }
+
+    if (format === 'parquet') {
+        const fields = {};
+        for (const column of columns) {
+            fields[column.name] = { type: PARQUET_TYPES[column.type], optional: true };
+        }
+
+        const writer = await parquet.ParquetWriter.openStream(new parquet.ParquetSchema(fields), output);
+        writer.setRowGroupSize(PARQUET_ROW_GROUP_SIZE);
+
+        return {
+            writeRow: row => {
+                const record = {};
+                for (const column of columns) {
+                    const value = parquetValue(row[column.name], column.type);
+                    if (value !== undefined) record[column.name] = value;
+                }
+                return writer.appendRow(record);
+            },
+            end: () => writer.close()
+        };
+    }
+
+    if (format === 'ndjson') {
+        return {
+            writeRow: row => {
+                const record = {};
+                for (const column of columns) {
+                    record[column.name] = formatValue(row[column.name], column.type);
+                }
+                return writeChunk(output, JSON.stringify(record) + '\n');
+            },
+            end: () => endStream(output)
+        };
+    }
+
+    await writeChunk(output, columns.map(column => csvCell(column.name, 'string')).join(',') + '\r\n');
+
+    return {
+        writeRow: row => writeChunk(
+            output,
+            columns.map(column => csvCell(row[column.name], column.type)).join(',') + '\r\n'
+        ),
+        end: () => endStream(output)
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    createExportWriter
+};
@@ -0,0 +1,91 @@
+// lib/feed-cache.js
+// In-memory cache of rendered RSS feeds with strong ETags.
+// invalidate() only reaches this process, so entries also carry the show's
+// feed version (see Show.getFeedVersion) and are dropped once the database
+// has moved past it, e.g. after another instance published an episode.
+
+const crypto = require('crypto');
+const config = require('../config/app.config');
+
+class FeedCache {
+    constructor(ttl) {
+        this.ttl = ttl;
+        this.entries = new Map();   // showId -> Map of feed page -> rendered feed
+        this.slugs = new Map();     // slug -> showId
+        this.changedAt = new Map(); // showId -> last invalidation time
+    }
+
+    // version: the show's current feed version; a different one means stale
+    getBySlug(slug, page = 1, version = null) {
+        const showId = this.slugs.get(slug);
+        if (showId === undefined) return null;
+
+        const pages = this.entries.get(showId);
+        const entry = pages && pages.get(page);
+        if (!entry) return null;
+
+        if (entry.version !== version || Date.now() - entry.renderedAt > this.ttl) {
+            pages.delete(page);
+            return null;
+        }
+
+        return entry;
+    }
+
+    set(showId, slug, page, xml, lastModified, version = null) {
+        const entry = { ...this.createEntry(showId, xml, lastModified), version };
+
+        if (!this.entries.has(showId)) {
+            this.entries.set(showId, new Map());
+        }
+        this.entries.get(showId).set(page, entry);
+        this.slugs.set(slug, showId);
+
+        return entry;
+    }
+
+    // Wrap rendered XML with its validators without caching it (private feeds
+    // use this directly). lastModified is the newest change found in the feed data.
+    createEntry(showId, xml, lastModified) {
+        const changedAt = this.changedAt.get(showId);
+        const newest = changedAt && changedAt > lastModified ? changedAt : lastModified;
+
+        return {
+            xml,
+            etag: `"${crypto.createHash('sha1').update(xml).digest('hex')}"`,
+            // HTTP dates have one-second precision
+            lastModified: new Date(Math.floor(newest.getTime() / 1000) * 1000),
+            renderedAt: Date.now()
+        };
+    }
+
+    // Drop every cached page for a show. Recording the change time keeps
+    // Last-Modified moving forward even when episodes are removed.
+    invalidate(showId) {
+        showId = parseInt(showId);
+
+        for (const [slug, id] of this.slugs) {
+            if (id === showId) this.slugs.delete(slug);
+        }
+        this.entries.delete(showId);
+        this.changedAt.set(showId, new Date());
+    }
+
+    clear() {
+        this.entries.clear();
+        this.slugs.clear();
+    }
+
+    // Newest timestamp among the show and its episodes
+    static latestChange(show, episodes) {
+        const timestamps = [show.updated_at, ...episodes.flatMap(e => [e.updated_at, e.publish_date])]
+            .filter(Boolean)
+            .map(value => new Date(value).getTime())
+            .filter(time => !Number.isNaN(time));
+
+        return new Date(timestamps.length > 0 ? Math.max(...timestamps) : Date.now());
+    }
+}
+
+module.exports = new FeedCache(config.feeds.cacheTtl);
+module.exports.FeedCache = FeedCache;
@@ -0,0 +1,85 @@
+// lib/geoip.js
+// Country, region and city of an IP address from a local MaxMind-format
+// (MMDB) database such as GeoLite2-City or DB-IP City Lite. Nothing is sent
+// to a third party. Without a database every lookup comes back empty.
+
+const maxmind = require('maxmind');
+const config = require('../config/app.config');
+
+const EMPTY_LOCATION = Object.freeze({ country: null, region: null, city: null });
+
+// How long to wait before looking for a missing database again
+const RETRY_INTERVAL = 60 * 60 * 1000;
+
+let reader = null;
+let opening = null;
+let failedAt = 0;
+
+// Open the database once. The file is watched, so a weekly update dropped in
+// place is picked up without a restart.
+function openDatabase() {
+    if (reader) return Promise.resolve(reader);
+    if (opening) return opening;
+    if (failedAt && Date.now() - failedAt < RETRY_INTERVAL) return Promise.resolve(null);
+
+    const filePath = config.analytics.geoipDatabase;
+
+    opening = maxmind.open(filePath, { watchForUpdates: true, watchForUpdatesNonPersistent: true })
+        .then(opened => {
+            reader = opened;
+            failedAt = 0;
+            console.log(`🌍 GeoIP database loaded from ${filePath}`);
+            return reader;
+        })
+        .catch(error => {
+            if (!failedAt) {
+                console.warn(`GeoIP database unavailable (${error.message}); locations will be left empty`);
+            }
+            failedAt = Date.now();
+            return null;
+        })
+        .finally(() => {
+            opening = null;
+        });
+
+    return opening;
+}
+
+function placeName(place) {
+    if (!place || !place.names) return null;
+    const name = place.names.en || Object.values(place.names)[0];
+    return name ? String(name).substring(0, 100) : null;
+}
+
+// A City or Country database record as the analytics geo columns. Country
+// databases have no region or city; anonymous and satellite ranges only have
+// the registered country.
+function toLocation(record) {
+    if (!record) return EMPTY_LOCATION;
+
+    const country = record.country || record.registered_country;
+    return {
+        country: country && /^[A-Z]{2}$/.test(country.iso_code) ? country.iso_code : null,
+        region: placeName(record.subdivisions && record.subdivisions[0]),
+        city: placeName(record.city)
+    };
+}
+
+async function lookupIp(ip) {
+    if (!ip) return EMPTY_LOCATION;
+
+    const database = await openDatabase();
+    if (!database) return EMPTY_LOCATION;
+
+    try {
+        return toLocation(database.get(ip));
+    } catch (error) {
+        // Not an IP address the database understands
+        return EMPTY_LOCATION;
+    }
+}
+
+module.exports = {
+    toLocation,
+    lookupIp
+};
@@ -0,0 +1,119 @@
+// lib/highlight.js
+// Search term extraction and HTML-safe highlighted snippets for search results
+
+const SNIPPET_LENGTH = 200;
+
+// Words and phrases to highlight. Boolean operators are dropped, excluded
+// (-word) terms are skipped and word* keeps its prefix.
+function extractTerms(q, mode = 'natural') {
+    const terms = [];
+    const pattern = /([+\-~<>]*)\(?"([^"]+)"\)?|([+\-~<>]*)\(?([^\s()"]+)\)?/g;
+    let match;
+
+    while ((match = pattern.exec(String(q))) !== null) {
+        const operators = mode === 'boolean' ? (match[1] || match[3] || '') : '';
+        if (operators.includes('-')) continue;
+
+        if (match[2]) {
+            const phrase = match[2].trim();
+            if (phrase) terms.push({ text: phrase, prefix: false });
+            continue;
+        }
+
+        let word = match[4].replace(/^[+\-~<>]+/, '');
+        const prefix = mode === 'boolean' && word.endsWith('*');
+        word = word.replace(/[*]+$/, '').replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+
+        if (word.length >= 2) terms.push({ text: word, prefix });
+    }
+
+    return terms;
+}
+
+function termsPattern(terms) {
+    if (terms.length === 0) return null;
+
+    const parts = terms
+        .slice()
+        .sort((a, b) => b.text.length - a.text.length)
+        .map(term => {
+            const escaped = term.text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+            return term.prefix ? `${escaped}[\\p{L}\\p{N}]*` : escaped;
+        });
+
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${parts.join('|')})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function containsTerm(text, terms) {
+    const pattern = termsPattern(terms);
+    return Boolean(pattern && text && pattern.test(text));
+}
+
+// HTML-escaped text with matched terms wrapped in <mark>
+function highlight(text, terms) {
+    if (!text) return '';
+
+    const pattern = termsPattern(terms);
+    if (!pattern) return escapeHtml(text);
+
+    let output = '';
+    let last = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        output += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+
+    return output + escapeHtml(text.slice(last));
+}
+
+// A window of plain text around the first match, highlighted
+function makeSnippet(text, terms, length = SNIPPET_LENGTH) {
+    const plain = stripHtml(text);
+    if (!plain) return '';
+
+    const pattern = termsPattern(terms);
+    const match = pattern ? pattern.exec(plain) : null;
+
+    let start = 0;
+    if (match && match.index > length / 3) {
+        start = match.index - Math.floor(length / 3);
+        // Begin at a word boundary
+        const space = plain.indexOf(' ', start);
+        if (space !== -1 && space < match.index) start = space + 1;
+    }
+
+    let end = Math.min(plain.length, start + length);
+    if (end < plain.length) {
+        const space = plain.lastIndexOf(' ', end);
+        if (space > start) end = space;
+    }
+
+    return (start > 0 ? '…' : '') + highlight(plain.slice(start, end), terms) + (end < plain.length ? '…' : '');
+}
+
+function stripHtml(text) {
+    return String(text || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+    extractTerms,
+    containsTerm,
+    highlight,
+    makeSnippet,
+    stripHtml
+};
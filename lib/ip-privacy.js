@@ -0,0 +1,65 @@
+// lib/ip-privacy.js
+// IP address truncation and salted hashing, so analytics never store a
+// listener's full address
+
+const crypto = require('crypto');
+const net = require('net');
+
+// Hashes are tagged so they can't be mistaken for addresses; 'h:' plus 40
+// hex characters fits the 45-character ip_address columns
+const HASH_PREFIX = 'h:';
+const HASH_LENGTH = 40;
+
+// IPv4 addresses mapped into IPv6, as Node reports them on dual-stack sockets
+function unmapIp(ip) {
+    const match = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip || '');
+    return match ? match[1] : ip;
+}
+
+function expandIpv6(ip) {
+    const [head, tail = null] = ip.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const missing = tail === null ? 0 : 8 - headGroups.length - tailGroups.length;
+
+    return [...headGroups, ...new Array(missing).fill('0'), ...tailGroups];
+}
+
+// Keep the network, drop the host: the last octet of an IPv4 address, and
+// everything after the first 48 bits of an IPv6 address. Returns null for
+// anything that isn't an address.
+function truncateIp(ip) {
+    const address = unmapIp(ip);
+
+    switch (net.isIP(address)) {
+        case 4:
+            return address.replace(/\.\d+$/, '.0');
+        case 6: {
+            const groups = expandIpv6(address.toLowerCase()).slice(0, 3);
+            return `${groups.map(group => group.replace(/^0+(?=.)/, '')).join(':')}::`;
+        }
+        default:
+            return null;
+    }
+}
+
+// Keyed hash of an address. The same address and salt always give the same
+// hash, so it still tells listeners apart for as long as the salt is kept.
+function hashIp(ip, salt) {
+    const address = unmapIp(ip);
+    if (!net.isIP(address)) return null;
+
+    const digest = crypto.createHmac('sha256', salt).update(address).digest('hex');
+    return HASH_PREFIX + digest.substring(0, HASH_LENGTH);
+}
+
+// method: 'hash' (needs a salt) or 'truncate'
+function anonymizeIp(ip, { method, salt }) {
+    return method === 'truncate' ? truncateIp(ip) : hashIp(ip, salt);
+}
+
+module.exports = {
+    truncateIp,
+    hashIp,
+    anonymizeIp
+};
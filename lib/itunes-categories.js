@@ -0,0 +1,66 @@
+// lib/itunes-categories.js
+// Apple Podcasts category taxonomy used to validate and render show categories
+
+const ITUNES_CATEGORIES = {
+    'Arts': ['Books', 'Design', 'Fashion & Beauty', 'Food', 'Performing Arts', 'Visual Arts'],
+    'Business': ['Careers', 'Entrepreneurship', 'Investing', 'Management', 'Marketing', 'Non-Profit'],
+    'Comedy': ['Comedy Interviews', 'Improv', 'Stand-Up'],
+    'Education': ['Courses', 'How To', 'Language Learning', 'Self-Improvement'],
+    'Fiction': ['Comedy Fiction', 'Drama', 'Science Fiction'],
+    'Government': [],
+    'History': [],
+    'Health & Fitness': ['Alternative Health', 'Fitness', 'Medicine', 'Mental Health', 'Nutrition', 'Sexuality'],
+    'Kids & Family': ['Education for Kids', 'Parenting', 'Pets & Animals', 'Stories for Kids'],
+    'Leisure': ['Animation & Manga', 'Automotive', 'Aviation', 'Crafts', 'Games', 'Hobbies', 'Home & Garden', 'Video Games'],
+    'Music': ['Music Commentary', 'Music History', 'Music Interviews'],
+    'News': ['Business News', 'Daily News', 'Entertainment News', 'News Commentary', 'Politics', 'Sports News', 'Tech News'],
+    'Religion & Spirituality': ['Buddhism', 'Christianity', 'Hinduism', 'Islam', 'Judaism', 'Religion', 'Spirituality'],
+    'Science': ['Astronomy', 'Chemistry', 'Earth Sciences', 'Life Sciences', 'Mathematics', 'Natural Sciences', 'Nature', 'Physics', 'Social Sciences'],
+    'Society & Culture': ['Documentary', 'Personal Journals', 'Philosophy', 'Places & Travel', 'Relationships'],
+    'Sports': ['Baseball', 'Basketball', 'Cricket', 'Fantasy Sports', 'Football', 'Golf', 'Hockey', 'Rugby', 'Running', 'Soccer', 'Swimming', 'Tennis', 'Volleyball', 'Wilderness', 'Wrestling'],
+    'Technology': [],
+    'True Crime': [],
+    'TV & Film': ['After Shows', 'Film History', 'Film Interviews', 'Film Reviews', 'TV Reviews']
+};
+
+// Used in feeds for shows that have not picked a category yet
+const DEFAULT_CATEGORY = 'Technology';
+
+// Parse "Category" or "Category > Subcategory" (case-insensitive) into its
+// canonical parts, or return null when it is not part of the taxonomy
+function parseCategory(value) {
+    if (typeof value !== 'string' || value.trim() === '') return null;
+
+    const [categoryName, subcategoryName, ...rest] = value.split('>').map(part => part.trim().toLowerCase());
+    if (rest.length > 0) return null;
+
+    const category = Object.keys(ITUNES_CATEGORIES).find(name => name.toLowerCase() === categoryName);
+    if (!category) return null;
+
+    if (!subcategoryName) {
+        return { category, subcategory: null };
+    }
+
+    const subcategory = ITUNES_CATEGORIES[category].find(name => name.toLowerCase() === subcategoryName);
+    return subcategory ? { category, subcategory } : null;
+}
+
+function isValidCategory(value) {
+    return parseCategory(value) !== null;
+}
+
+// Canonical "Category > Subcategory" string as stored in shows.category
+function normalizeCategory(value) {
+    const parsed = parseCategory(value);
+    if (!parsed) return null;
+
+    return parsed.subcategory ? `${parsed.category} > ${parsed.subcategory}` : parsed.category;
+}
+
+module.exports = {
+    ITUNES_CATEGORIES,
+    DEFAULT_CATEGORY,
+    parseCategory,
+    isValidCategory,
+    normalizeCategory
+};
@@ -0,0 +1,95 @@
+// lib/jobs.js
+// Recurring background jobs run by the scheduler
+
+const fs = require('fs').promises;
+const path = require('path');
+const scheduler = require('./scheduler');
+const { runRollup } = require('./analytics-rollup');
+const { processQueuedExports } = require('./analytics-export');
+const { purgeExpiredAnalytics } = require('./analytics-privacy');
+const { runRSSSync } = require('./rss-sync');
+const Show = require('../models/show');
+const Episode = require('../models/episode');
+const Download = require('../models/download');
+const config = require('../config/app.config');
+
+scheduler.register('rss_sync', {
+    schedule: '*/15 * * * *',
+    description: 'Import new and changed episodes from show RSS feeds that are due',
+    handler: runRSSSync
+});
+
+scheduler.register('episode_publisher', {
+    schedule: '* * * * *',
+    description: 'Publish scheduled episodes whose publish date has passed and release early-access ones to the public feed',
+    timeout: 5 * 60 * 1000,
+    handler: () => Episode.publishDue()
+});
+
+scheduler.register('download_rollup', {
+    schedule: '0 * * * *',
+    description: 'Count unique enclosure downloads per IP address and user agent each day',
+    handler: () => Download.rollup()
+});
+
+scheduler.register('analytics_rollup', {
+    schedule: '5 * * * *',
+    description: 'Build hourly and daily analytics rollups and refresh show totals',
+    handler: async () => {
+        const rows = await runRollup();
+        const showsUpdated = await Show.refreshTotals();
+        return { rows, showsUpdated };
+    }
+});
+
+scheduler.register('analytics_purge', {
+    schedule: '30 3 * * *',
+    description: 'Delete raw analytics older than the retention period once rolled up, and expired IP salts',
+    timeout: 60 * 60 * 1000,
+    handler: purgeExpiredAnalytics
+});
+
+scheduler.register('analytics_exports', {
+    schedule: '* * * * *',
+    description: 'Run queued analytics exports and delete expired export files',
+    timeout: 60 * 60 * 1000,
+    handler: processQueuedExports
+});
+
+scheduler.register('upload_cleanup', {
+    schedule: '30 * * * *',
+    description: 'Delete temporary upload files older than the cleanup interval',
+    handler: cleanupTempUploads
+});
+
+async function cleanupTempUploads() {
+    const tempDir = path.resolve(config.uploads.tempDir);
+    const cutoff = Date.now() - config.uploads.cleanupInterval;
+    const result = { scanned: 0, deleted: 0, freedBytes: 0 };
+
+    let entries;
+    try {
+        entries = await fs.readdir(tempDir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return result;
+        throw error;
+    }
+
+    for (const entry of entries) {
+        if (!entry.isFile()) continue;
+        result.scanned++;
+
+        const filePath = path.join(tempDir, entry.name);
+        const stats = await fs.stat(filePath);
+
+        if (stats.mtimeMs < cutoff) {
+            await fs.unlink(filePath);
+            result.deleted++;
+            result.freedBytes += stats.size;
+        }
+    }
+
+    return result;
+}
+
+module.exports = scheduler;
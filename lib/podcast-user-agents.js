@@ -0,0 +1,106 @@
+// lib/podcast-user-agents.js
+// Podcast app, device, OS and bot detection from a User-Agent header, using a
+// database in the Open Podcast Analytics Working Group (OPAWG) user-agents
+// format: an ordered list of entries whose regular expressions are tried in
+// turn, first match wins. Anything it doesn't cover falls back to the generic
+// browser parser, and to the download filter's bot rules.
+
+const fs = require('fs');
+const path = require('path');
+const { parseUserAgent } = require('./user-agent');
+const { classifyRequest } = require('./download-filter');
+const config = require('../config/app.config');
+
+// A curated subset of the OPAWG list; point PODCAST_USER_AGENTS_FILE at a
+// full copy to use that instead
+const BUNDLED_DATABASE = path.join(__dirname, '..', 'data', 'podcast-user-agents.json');
+
+// OPAWG device names and the device_type values they are stored as
+const DEVICE_TYPES = {
+    pc: 'desktop',
+    phone: 'mobile',
+    tablet: 'tablet',
+    smart_speaker: 'smart_speaker',
+    watch: 'watch',
+    tv: 'tv',
+    car: 'car'
+};
+
+// OPAWG OS names as the generic parser writes them
+const OS_NAMES = {
+    ios: 'iOS',
+    ipados: 'iOS',
+    android: 'Android',
+    macos: 'macOS',
+    windows: 'Windows',
+    linux: 'Linux',
+    chromeos: 'ChromeOS',
+    watchos: 'watchOS',
+    tvos: 'tvOS',
+    audioos: 'audioOS',
+    alexa: 'Alexa',
+    sonos: 'Sonos'
+};
+
+function compileDatabase(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('User agent database must be a list of entries');
+    }
+
+    return entries.map(entry => ({
+        patterns: (entry.user_agents || []).map(pattern => new RegExp(pattern)),
+        app: entry.app || null,
+        device: entry.device || null,
+        os: entry.os || null,
+        bot: entry.bot === true
+    }));
+}
+
+function loadDatabase(filePath) {
+    return compileDatabase(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+}
+
+let defaultDatabase = null;
+
+function getDefaultDatabase() {
+    if (defaultDatabase) return defaultDatabase;
+
+    const configured = config.analytics.userAgentDatabase;
+    try {
+        defaultDatabase = loadDatabase(configured || BUNDLED_DATABASE);
+    } catch (error) {
+        console.warn(`Podcast user agent database unavailable (${error.message}); using the bundled copy`);
+        defaultDatabase = loadDatabase(BUNDLED_DATABASE);
+    }
+
+    return defaultDatabase;
+}
+
+// { app, device_type, browser, os, bot }. app is null for browsers and
+// unknown clients; os keeps the generic parser's version when it agrees.
+function classifyUserAgent(userAgent, database = getDefaultDatabase()) {
+    const generic = parseUserAgent(userAgent);
+    const ua = String(userAgent || '');
+    const entry = ua ? database.find(candidate => candidate.patterns.some(pattern => pattern.test(ua))) : null;
+
+    // Unlisted clients are bots by the same rules downloads use, so plays and
+    // downloads agree; link unfurlers aren't listeners either
+    if (!entry) {
+        return { app: null, ...generic, bot: classifyRequest({ userAgent }) !== null };
+    }
+
+    const os = entry.os ? (OS_NAMES[entry.os] || entry.os) : null;
+
+    return {
+        app: entry.app,
+        device_type: DEVICE_TYPES[entry.device] || generic.device_type,
+        browser: generic.browser,
+        os: os && !(generic.os && generic.os.startsWith(os)) ? os : generic.os,
+        bot: entry.bot
+    };
+}
+
+module.exports = {
+    compileDatabase,
+    classifyUserAgent
+};
@@ -0,0 +1,119 @@
+// lib/publish-schedule.js
+// Episode publication states and show-local publish dates
+
+const EPISODE_STATUSES = ['draft', 'scheduled', 'published'];
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const value = Object.fromEntries(parts.map(part => [part.type, parseInt(part.value)]));
+
+    const wallClock = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Dates with an explicit offset ("Z", "+02:00") are absolute. Anything else,
+// e.g. "2026-10-22T06:00", is wall-clock time in the show's time zone.
+function toUtcDate(value, timeZone = 'UTC') {
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) throw new Error('Invalid publish date');
+        return value;
+    }
+
+    const text = String(value).trim();
+
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        const date = new Date(text);
+        if (Number.isNaN(date.getTime())) throw new Error('Invalid publish date');
+        return date;
+    }
+
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!match) {
+        throw new Error('Invalid publish date');
+    }
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0] = match.map(part => part && parseInt(part));
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+
+    // Re-check the offset at the result so times next to a DST change land right
+    let offset = getTimeZoneOffset(new Date(guess), timeZone);
+    const corrected = getTimeZoneOffset(new Date(guess - offset), timeZone);
+    if (corrected !== offset) offset = corrected;
+
+    return new Date(guess - offset);
+}
+
+// Publication state for a new episode. A published episode with a future
+// publish date is scheduled instead; a null publish_date means "now".
+function resolvePublishState({ status, is_published, publish_date }, timeZone, now = new Date()) {
+    const requested = status || (is_published ? 'published' : 'draft');
+    const publishDate = publish_date ? toUtcDate(publish_date, timeZone) : null;
+
+    return toPublishState(requested, publishDate, now);
+}
+
+// Publication state after an update, or null when the update does not touch
+// status, is_published or publish_date
+function resolvePublishUpdate(episode, { status, is_published, publish_date }, timeZone, now = new Date()) {
+    if (status === undefined && is_published === undefined && publish_date === undefined) {
+        return null;
+    }
+
+    const currentStatus = episode.status || (episode.is_published ? 'published' : 'draft');
+    const requested = status || (is_published === undefined ? currentStatus : (is_published ? 'published' : 'draft'));
+
+    let publishDate;
+    if (publish_date !== undefined) {
+        publishDate = publish_date ? toUtcDate(publish_date, timeZone) : null;
+    } else if (requested === currentStatus || requested === 'scheduled') {
+        publishDate = episode.publish_date ? new Date(episode.publish_date) : null;
+    } else {
+        // Going live (or back to draft) without a date publishes from now
+        publishDate = null;
+    }
+
+    return toPublishState(requested, publishDate, now);
+}
+
+function toPublishState(requested, publishDate, now) {
+    if (!EPISODE_STATUSES.includes(requested)) {
+        throw new Error('Invalid episode status');
+    }
+
+    if (requested === 'draft') {
+        return { status: 'draft', is_published: false, publish_date: publishDate };
+    }
+
+    if (publishDate && publishDate > now) {
+        return { status: 'scheduled', is_published: false, publish_date: publishDate };
+    }
+
+    if (requested === 'scheduled') {
+        throw new Error('Scheduled episodes need a future publish date');
+    }
+
+    return { status: 'published', is_published: true, publish_date: publishDate || now };
+}
+
+module.exports = {
+    EPISODE_STATUSES,
+    isValidTimeZone,
+    toUtcDate,
+    resolvePublishState,
+    resolvePublishUpdate
+};
@@ -0,0 +1,139 @@
+// lib/realtime.js
+// In-memory sliding window of recent listener events for the realtime
+// dashboard. Fed by the analytics ingest; each server instance only sees the
+// events it ingested itself.
+
+const { EventEmitter } = require('events');
+
+const PLAYBACK_EVENTS = ['play', 'pause', 'heartbeat', 'skip', 'complete'];
+
+// Events after which a listener is no longer playing
+const STOP_EVENTS = ['pause', 'complete'];
+
+class RealtimeWindow extends EventEmitter {
+    // windowMs: how far back top episodes look. activeMs: how recently a
+    // listener must have reported to count as listening now; the web player
+    // sends a heartbeat every 30 seconds while playing.
+    constructor({ windowMs = 5 * 60 * 1000, activeMs = 90 * 1000, maxEntries = 50000 } = {}) {
+        super();
+        this.windowMs = windowMs;
+        this.activeMs = activeMs;
+        this.maxEntries = maxEntries;
+        this.entries = [];         // { time, eventType, episodeId, showId, listener }, oldest first
+        this.listeners = new Map(); // "episodeId:listener" -> { time, episodeId, playing }
+        this.episodes = new Map();  // episodeId -> { title, showId }, for labelling
+        this.setMaxListeners(0);    // One subscription per open dashboard
+    }
+
+    // events: [{ eventType, episodeId, showId, episodeTitle, listener, deviceType, time }]
+    record(events, now = Date.now()) {
+        for (const event of events) {
+            const time = Math.min(event.time || now, now);
+            if (now - time > this.windowMs) continue;
+
+            this.entries.push({
+                time,
+                eventType: event.eventType,
+                episodeId: event.episodeId || null,
+                showId: event.showId || null,
+                listener: event.listener
+            });
+
+            if (event.episodeId) {
+                this.episodes.set(event.episodeId, { title: event.episodeTitle || null, showId: event.showId || null });
+
+                if (PLAYBACK_EVENTS.includes(event.eventType) && event.listener) {
+                    const key = `${event.episodeId}:${event.listener}`;
+                    const current = this.listeners.get(key);
+                    if (!current || current.time <= time) {
+                        this.listeners.set(key, {
+                            time,
+                            episodeId: event.episodeId,
+                            playing: !STOP_EVENTS.includes(event.eventType)
+                        });
+                    }
+                }
+            }
+
+            this.emit('tick', {
+                event_type: event.eventType,
+                episode_id: event.episodeId || null,
+                episode_title: event.episodeTitle || null,
+                show_id: event.showId || null,
+                device_type: event.deviceType || 'unknown',
+                timestamp: new Date(time).toISOString()
+            });
+        }
+
+        this.prune(now);
+    }
+
+    prune(now = Date.now()) {
+        const cutoff = now - this.windowMs;
+        let stale = 0;
+        while (stale < this.entries.length && this.entries[stale].time < cutoff) stale++;
+        stale = Math.max(stale, this.entries.length - this.maxEntries);
+        if (stale > 0) this.entries.splice(0, stale);
+
+        for (const [key, listener] of this.listeners) {
+            if (now - listener.time > this.activeMs) this.listeners.delete(key);
+        }
+
+        const seen = new Set(this.entries.map(entry => entry.episodeId));
+        for (const episodeId of this.episodes.keys()) {
+            if (!seen.has(episodeId)) this.episodes.delete(episodeId);
+        }
+    }
+
+    // Listeners playing each episode now, and the top episodes of the window
+    // by distinct listeners, then plays, then events
+    snapshot(now = Date.now(), topCount = 10) {
+        this.prune(now);
+
+        const listening = new Map();
+        for (const listener of this.listeners.values()) {
+            if (listener.playing) {
+                listening.set(listener.episodeId, (listening.get(listener.episodeId) || 0) + 1);
+            }
+        }
+
+        const activity = new Map();
+        for (const entry of this.entries) {
+            if (!entry.episodeId) continue;
+            if (!activity.has(entry.episodeId)) {
+                activity.set(entry.episodeId, { listeners: new Set(), plays: 0, events: 0 });
+            }
+            const episode = activity.get(entry.episodeId);
+            if (entry.listener) episode.listeners.add(entry.listener);
+            if (entry.eventType === 'play') episode.plays++;
+            episode.events++;
+        }
+
+        const describe = episodeId => {
+            const episode = this.episodes.get(episodeId) || {};
+            return { episode_id: episodeId, show_id: episode.showId || null, title: episode.title || null };
+        };
+
+        return {
+            generated_at: new Date(now).toISOString(),
+            window_seconds: this.windowMs / 1000,
+            active_listeners: [...listening.values()].reduce((total, count) => total + count, 0),
+            events_in_window: this.entries.length,
+            episodes: [...listening.entries()]
+                .map(([episodeId, listeners]) => ({ ...describe(episodeId), listeners }))
+                .sort((a, b) => b.listeners - a.listeners),
+            top_episodes: [...activity.entries()]
+                .map(([episodeId, episode]) => ({
+                    ...describe(episodeId),
+                    listeners: episode.listeners.size,
+                    plays: episode.plays,
+                    events: episode.events
+                }))
+                .sort((a, b) => b.listeners - a.listeners || b.plays - a.plays || b.events - a.events)
+                .slice(0, topCount)
+        };
+    }
+}
+
+module.exports = new RealtimeWindow();
+module.exports.RealtimeWindow = RealtimeWindow;
@@ -0,0 +1,219 @@
+// lib/retention.js
+// Audience retention for one episode, rebuilt from the player's play, pause,
+// heartbeat, skip and complete events
+
+const DEFAULT_BUCKET_SECONDS = 30;
+const MAX_BUCKETS = 1000;
+
+// Same limits as the ingest: a forward step longer than this between two
+// reports is an unreported seek, not listening
+const MAX_LISTEN_STEP = 60;
+
+// Listeners who got this far count as finishing, not dropping off
+const COMPLETION_THRESHOLD = 0.95;
+
+const HOT_SPOT_COUNT = 5;
+
+// Bucket size in seconds: the requested size, widened if the episode would
+// need more than MAX_BUCKETS of them
+function bucketSizeFor(duration, requested = DEFAULT_BUCKET_SECONDS) {
+    return Math.max(requested, Math.ceil(duration / MAX_BUCKETS));
+}
+
+// Replay one listener's events into listened and skipped intervals.
+// events: [{ event_type, position, from_position }] in the order they happened
+function replayListener(events, duration) {
+    const listened = [];
+    const skipped = [];
+    let cursor = null; // Position playback is known to be at, while playing
+    let exit = 0;
+    let completed = false;
+
+    const clamp = value => Math.min(Math.max(Number(value) || 0, 0), duration);
+
+    for (const event of events) {
+        const position = clamp(event.position);
+
+        switch (event.event_type) {
+            case 'play':
+                cursor = position;
+                break;
+
+            case 'heartbeat':
+            case 'pause':
+                if (cursor !== null && position > cursor && position - cursor <= MAX_LISTEN_STEP) {
+                    listened.push([cursor, position]);
+                }
+                cursor = event.event_type === 'pause' ? null : position;
+                break;
+
+            case 'skip': {
+                const from = event.from_position === null || event.from_position === undefined
+                    ? cursor
+                    : clamp(event.from_position);
+                if (from !== null && cursor !== null && from > cursor && from - cursor <= MAX_LISTEN_STEP) {
+                    listened.push([cursor, from]);
+                }
+                if (from !== null && position > from) {
+                    skipped.push([from, position]);
+                }
+                cursor = position;
+                break;
+            }
+
+            case 'complete':
+                if (cursor !== null && duration - cursor <= MAX_LISTEN_STEP) {
+                    listened.push([cursor, duration]);
+                }
+                completed = true;
+                cursor = null;
+                break;
+
+            default:
+                break;
+        }
+
+        exit = event.event_type === 'complete' ? duration : position;
+    }
+
+    return { listened: mergeIntervals(listened), skipped, exit, completed };
+}
+
+function mergeIntervals(intervals) {
+    const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [start, end] of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    }
+
+    return merged;
+}
+
+// Indexes of the buckets an interval overlaps
+function bucketsOf([start, end], bucketSize, bucketCount) {
+    const first = Math.floor(start / bucketSize);
+    const last = Math.min(bucketCount - 1, Math.ceil(end / bucketSize) - 1);
+    const indexes = [];
+    for (let index = first; index <= last; index++) indexes.push(index);
+    return indexes;
+}
+
+function topBuckets(counts, listeners, bucketSize, duration) {
+    return counts
+        .map((count, index) => ({
+            start: index * bucketSize,
+            end: Math.min((index + 1) * bucketSize, duration),
+            listeners: count,
+            percent: listeners ? round((count / listeners) * 100) : 0
+        }))
+        .filter(bucket => bucket.listeners > 0)
+        .sort((a, b) => b.listeners - a.listeners || a.start - b.start)
+        .slice(0, HOT_SPOT_COUNT);
+}
+
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+// Retention built up one listener at a time, so events can be streamed in
+// rather than loaded all at once. add() takes one listener's events in order;
+// result() returns the listener curve per bucket, average consumption, the
+// buckets where most listeners left, and the regions most often skipped over.
+function createRetention({ duration, bucketSize = DEFAULT_BUCKET_SECONDS }) {
+    const size = bucketSizeFor(duration, bucketSize);
+    const bucketCount = Math.max(1, Math.ceil(duration / size));
+
+    const heard = new Array(bucketCount).fill(0);
+    const exits = new Array(bucketCount).fill(0);
+    const skips = new Array(bucketCount).fill(0);
+
+    let listeners = 0;
+    let completions = 0;
+    let listenedSeconds = 0;
+
+    function add(events) {
+        const replay = replayListener(events, duration);
+        if (replay.listened.length === 0 && !events.some(event => event.event_type === 'play')) {
+            return;
+        }
+
+        listeners++;
+
+        const heardBuckets = new Set(replay.listened.flatMap(interval => bucketsOf(interval, size, bucketCount)));
+        heardBuckets.forEach(index => heard[index]++);
+
+        const skippedBuckets = new Set(replay.skipped.flatMap(interval => bucketsOf(interval, size, bucketCount)));
+        skippedBuckets.forEach(index => skips[index]++);
+
+        listenedSeconds += replay.listened.reduce((total, [start, end]) => total + (end - start), 0);
+
+        if (replay.completed || replay.exit >= duration * COMPLETION_THRESHOLD) {
+            completions++;
+        } else {
+            exits[Math.min(bucketCount - 1, Math.floor(replay.exit / size))]++;
+        }
+    }
+
+    function result() {
+        return {
+            duration,
+            bucket_seconds: size,
+            listeners,
+            curve: heard.map((count, index) => ({
+                start: index * size,
+                listeners: count,
+                percent: listeners ? round((count / listeners) * 100) : 0
+            })),
+            average_consumption: {
+                seconds: listeners ? Math.round(listenedSeconds / listeners) : 0,
+                percent: listeners && duration ? round((listenedSeconds / listeners / duration) * 100) : 0
+            },
+            completion_rate: listeners ? round((completions / listeners) * 100) : 0,
+            drop_off_hot_spots: topBuckets(exits, listeners, size, duration),
+            most_skipped: topBuckets(skips, listeners, size, duration)
+        };
+    }
+
+    return { add, result };
+}
+
+// eventsByListener: Map of listener key -> events in order
+function buildRetention(eventsByListener, options) {
+    const retention = createRetention(options);
+    for (const events of eventsByListener.values()) {
+        retention.add(events);
+    }
+    return retention.result();
+}
+
+// rows: an (async) iterable of events sorted by listener, then time, each with
+// its listener key. Only one listener's events are held at a time.
+async function buildRetentionFromRows(rows, options) {
+    const retention = createRetention(options);
+    let listener = null;
+    let events = [];
+
+    for await (const row of rows) {
+        if (row.listener !== listener && events.length > 0) {
+            retention.add(events);
+            events = [];
+        }
+        listener = row.listener;
+        events.push(row);
+    }
+
+    if (events.length > 0) retention.add(events);
+    return retention.result();
+}
+
+module.exports = {
+    DEFAULT_BUCKET_SECONDS,
+    buildRetention,
+    buildRetentionFromRows
+};
@@ -0,0 +1,213 @@
+// lib/rss-import.js
+// Parsing of podcast RSS feeds into episodes, and the field-level diff that
+// decides what a re-sync changes on an episode already imported
+
+const { XMLParser } = require('fast-xml-parser');
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    htmlEntities: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+    isArray: (name, jpath) => jpath === 'rss.channel.item'
+});
+
+// Episodes of a feed, in feed order. Items without a title or an audio
+// enclosure are skipped.
+function parseRSSFeed(rssXml) {
+    const parsed = xmlParser.parse(rssXml);
+    const channel = parsed.rss?.channel;
+
+    if (!channel) {
+        throw new Error('Not an RSS feed: missing <rss><channel>');
+    }
+
+    const episodes = [];
+
+    for (const item of channel.item || []) {
+        const title = cleanHtml(xmlText(item.title));
+        const enclosure = first(item.enclosure);
+        const audioUrl = enclosure?.['@_url']?.trim();
+
+        // Items without audio are blog posts or announcements, not episodes
+        if (!title || !audioUrl) continue;
+
+        const pubDate = new Date(xmlText(item.pubDate));
+        const durationSeconds = parseDuration(xmlText(item['itunes:duration']));
+
+        episodes.push({
+            guid: xmlText(item.guid).substring(0, 500) || null,
+            title,
+            description: cleanHtml(xmlText(item.description) || xmlText(item['itunes:summary']) || xmlText(item['content:encoded'])),
+            audioUrl,
+            fileSize: parsePositiveInt(enclosure['@_length']),
+            mimeType: enclosure['@_type'] || null,
+            imageUrl: first(item['itunes:image'])?.['@_href'] || null,
+            pubDate: Number.isNaN(pubDate.getTime()) ? null : pubDate,
+            duration: durationSeconds !== null ? formatDuration(durationSeconds) : '00:00',
+            durationSeconds,
+            season: parsePositiveInt(xmlText(item['itunes:season'])),
+            episodeNumber: parsePositiveInt(xmlText(item['itunes:episode'])),
+            episodeType: parseEpisodeType(xmlText(item['itunes:episodeType'])),
+            explicit: parseExplicit(xmlText(item['itunes:explicit']))
+        });
+    }
+
+    return episodes;
+}
+
+// Helper functions for XML parsing
+
+// Text content of an element, whether or not it carried attributes
+function xmlText(value) {
+    value = first(value);
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') value = value['#text'] ?? '';
+    return String(value).trim();
+}
+
+// Repeated elements parse as arrays; the first occurrence wins
+function first(value) {
+    return Array.isArray(value) ? value[0] : value;
+}
+
+function parsePositiveInt(value) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+// itunes:duration is either plain seconds or [HH:]MM:SS
+function parseDuration(value) {
+    if (!value) return null;
+
+    const parts = value.split(':').map(Number);
+    if (parts.length > 3 || parts.some(part => !Number.isFinite(part) || part < 0)) return null;
+
+    return Math.round(parts.reduce((total, part) => total * 60 + part, 0));
+}
+
+function formatDuration(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    return [hours, minutes, seconds].map(part => String(part).padStart(2, '0')).join(':');
+}
+
+function parseEpisodeType(value) {
+    const type = value.toLowerCase();
+    return ['full', 'trailer', 'bonus'].includes(type) ? type : 'full';
+}
+
+function parseExplicit(value) {
+    return ['true', 'yes', 'explicit'].includes(value.toLowerCase());
+}
+
+// Plain text from feed HTML. Entities are decoded before tags are stripped, so
+// escaped markup (in CDATA, or escaped twice) can't come out as a real tag.
+function cleanHtml(text) {
+    if (!text) return '';
+    return text
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(code))
+        .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+        .replace(/&amp;/g, '&') // Last, so escaped entities are not decoded twice
+        .replace(/<[^>]*>/g, '') // Remove HTML tags
+        .trim();
+}
+
+// Episode columns as imported from a feed item; null means the feed does not set the field
+function toEpisodeColumns(episodeData) {
+    return {
+        title: episodeData.title.substring(0, 255), // Limit title length
+        description: episodeData.description.substring(0, 2000) || null, // Limit description length
+        audio_url: episodeData.audioUrl,
+        image_url: episodeData.imageUrl,
+        duration: episodeData.durationSeconds !== null ? episodeData.duration : null,
+        duration_seconds: episodeData.durationSeconds,
+        file_size: episodeData.fileSize,
+        mime_type: episodeData.mimeType,
+        season: episodeData.season,
+        episode_number: episodeData.episodeNumber,
+        episode_type: episodeData.episodeType,
+        explicit: episodeData.explicit,
+        publish_date: episodeData.pubDate
+    };
+}
+
+// Comparable form of a column value, so DB rows (0/1 booleans, Date objects)
+// and parsed feed values can be diffed
+function normalizeField(column, value) {
+    if (value === null || value === undefined) return null;
+    if (column === 'explicit') return Boolean(Number(value));
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+function toSnapshot(columns) {
+    return Object.fromEntries(
+        Object.entries(columns)
+            .filter(([, value]) => value !== null)
+            .map(([column, value]) => [column, normalizeField(column, value)])
+    );
+}
+
+function parseSnapshot(value) {
+    if (!value) return null;
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Fields of a stored episode the feed item would change. Fields the feed
+// does not set are left alone. A stored value that no longer matches the
+// snapshot of the last import was edited in CastBuzz; with the show's
+// sync_update_policy at 'overwrite' the feed wins, otherwise the local edit is
+// kept and the field is reported as skipped. Episodes imported before
+// snapshots existed have nothing to compare against and are treated as
+// unedited. Returns the changes and the snapshot to store.
+function diffEpisode(episode, episodeData, policy) {
+    const incoming = toEpisodeColumns(episodeData);
+    const snapshot = parseSnapshot(episode.sync_snapshot);
+    const oldValues = {};
+    const newValues = {};
+    const skipped = [];
+
+    for (const [column, value] of Object.entries(incoming)) {
+        if (value === null) continue;
+
+        const stored = normalizeField(column, episode[column]);
+        if (stored === normalizeField(column, value)) continue;
+
+        const editedLocally = snapshot !== null && column in snapshot && snapshot[column] !== stored;
+        if (editedLocally && policy !== 'overwrite') {
+            skipped.push(column);
+            continue;
+        }
+
+        oldValues[column] = episode[column];
+        newValues[column] = value;
+    }
+
+    return {
+        oldValues,
+        newValues,
+        skipped,
+        snapshot: { ...snapshot, ...toSnapshot(incoming) }
+    };
+}
+
+module.exports = {
+    parseRSSFeed,
+    toEpisodeColumns,
+    toSnapshot,
+    diffEpisode
+};
@@ -0,0 +1,346 @@
+// lib/rss-sync.js
+// Import of new and changed episodes from show RSS feeds, run by the rss_sync job
+
+const db = require('./database');
+const feedCache = require('./feed-cache');
+const { parseRSSFeed, toEpisodeColumns, toSnapshot, diffEpisode } = require('./rss-import');
+
+// Healthy feeds are re-checked after the sync interval. Failing feeds back off
+// exponentially (base, 2x base, 4x base, ...) up to the maximum.
+const SYNC_INTERVAL_MINUTES = parseInt(process.env.RSS_SYNC_INTERVAL_MINUTES) || 60;
+const BACKOFF_BASE_MINUTES = parseInt(process.env.RSS_SYNC_BACKOFF_MINUTES) || 60;
+const BACKOFF_MAX_MINUTES = parseInt(process.env.RSS_SYNC_BACKOFF_MAX_MINUTES) || 7 * 24 * 60;
+
+// Sync every feed that is due. Called by the scheduler's rss_sync job.
+async function runRSSSync() {
+    console.log('🔄 Starting RSS sync...');
+    const syncResults = {
+        startTime: new Date().toISOString(),
+        processed: 0,
+        notModified: 0,
+        newEpisodes: 0,
+        errors: [],
+        feeds: []
+    };
+
+    // Get shows with RSS URLs that are due (or whose URL changed since the last check)
+    const showsWithRSS = await db.query(`
+        SELECT s.id, s.name, s.slug, s.rss_url, s.sync_update_policy,
+               st.feed_url as sync_feed_url, st.etag, st.last_modified, st.consecutive_failures
+        FROM shows s
+        LEFT JOIN show_sync_state st ON st.show_id = s.id
+        WHERE s.rss_url IS NOT NULL 
+        AND s.rss_url != '' 
+        AND s.is_active = TRUE
+        AND (st.next_due_at IS NULL OR st.next_due_at <= NOW() OR st.feed_url != s.rss_url)
+    `);
+
+    console.log(`📡 Found ${showsWithRSS.length} shows with RSS feeds due for sync`);
+
+    for (const show of showsWithRSS) {
+        try {
+            console.log(`🎙️ Syncing ${show.name} (${show.rss_url})`);
+
+            const feedResult = await syncRSSFeed(show);
+            syncResults.feeds.push(feedResult);
+            syncResults.processed++;
+            syncResults.newEpisodes += feedResult.newEpisodes;
+            if (feedResult.notModified) syncResults.notModified++;
+
+        } catch (showError) {
+            console.error(`❌ Error syncing ${show.name}:`, showError.message);
+            syncResults.errors.push({
+                show: show.name,
+                error: showError.message
+            });
+        }
+    }
+
+    // Log the sync activity
+    try {
+        await db.query(`
+            INSERT INTO activity_logs (user_id, action, entity_type, new_values, created_at)
+            VALUES (NULL, 'rss_sync', 'cron', ?, NOW())
+        `, [JSON.stringify(syncResults)]);
+    } catch (logError) {
+        console.log('Could not log sync activity:', logError.message);
+    }
+
+    syncResults.endTime = new Date().toISOString();
+    syncResults.duration = new Date(syncResults.endTime) - new Date(syncResults.startTime);
+
+    console.log('✅ RSS sync completed:', syncResults);
+    return syncResults;
+}
+
+// Helper function to sync a single RSS feed
+async function syncRSSFeed(show) {
+    const result = {
+        showId: show.id,
+        showName: show.name,
+        feedUrl: show.rss_url,
+        notModified: false,
+        newEpisodes: 0,
+        updatedEpisodes: 0,
+        unchangedEpisodes: 0,
+        skippedFields: [],
+        errors: []
+    };
+
+    // Validators only apply to the URL they were received from
+    const validators = show.sync_feed_url === show.rss_url
+        ? { etag: show.etag, lastModified: show.last_modified }
+        : { etag: null, lastModified: null };
+    let httpStatus = null;
+
+    try {
+        // Fetch RSS feed, conditionally when the last response carried validators
+        const headers = {
+            'User-Agent': 'CastBuzz RSS Sync Bot 1.0'
+        };
+        if (validators.etag) headers['If-None-Match'] = validators.etag;
+        if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+        const response = await fetch(show.rss_url, {
+            headers,
+            signal: AbortSignal.timeout(30000)
+        });
+        httpStatus = response.status;
+
+        if (response.status === 304) {
+            result.notModified = true;
+            console.log(`⏭️ ${show.name} feed not modified since last sync`);
+            await recordSyncSuccess(show, httpStatus, validators);
+            return result;
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const rssText = await response.text();
+
+        // Parse the whole RSS feed, including the back catalogue
+        const episodes = parseRSSFeed(rssText);
+
+        console.log(`📊 Found ${episodes.length} episodes in ${show.name} RSS feed`);
+
+        // Process each episode
+        for (const episodeData of episodes) {
+            try {
+                const existingEpisode = await findExistingEpisode(show.id, episodeData);
+
+                if (!existingEpisode) {
+                    // Create new episode
+                    await createEpisodeFromRSS(show.id, episodeData);
+                    result.newEpisodes++;
+                    console.log(`➕ Added new episode: ${episodeData.title}`);
+                } else {
+                    const { changed, skipped } = await updateEpisodeFromRSS(show, existingEpisode, episodeData);
+
+                    if (changed.length > 0) {
+                        result.updatedEpisodes++;
+                        console.log(`✏️ Updated ${changed.join(', ')} on: ${episodeData.title}`);
+                    } else {
+                        result.unchangedEpisodes++;
+                    }
+
+                    if (skipped.length > 0) {
+                        result.skippedFields.push({ episode: episodeData.title, fields: skipped });
+                    }
+                }
+
+            } catch (episodeError) {
+                result.errors.push({
+                    episode: episodeData.title,
+                    error: episodeError.message
+                });
+            }
+        }
+
+        if (result.newEpisodes > 0 || result.updatedEpisodes > 0) {
+            feedCache.invalidate(show.id);
+        }
+
+        await recordSyncSuccess(show, httpStatus, {
+            etag: response.headers.get('etag'),
+            lastModified: response.headers.get('last-modified')
+        });
+
+    } catch (fetchError) {
+        result.errors.push({
+            type: 'fetch',
+            error: fetchError.message
+        });
+
+        const delayMinutes = await recordSyncFailure(show, httpStatus, fetchError.message);
+        console.log(`⏳ ${show.name} will be retried in ${delayMinutes} minutes`);
+    }
+
+    return result;
+}
+
+async function recordSyncSuccess(show, httpStatus, { etag, lastModified }) {
+    await db.query(`
+        INSERT INTO show_sync_state (
+            show_id, feed_url, etag, last_modified, last_http_status,
+            last_checked_at, last_success_at, consecutive_failures, next_due_at
+        ) VALUES (?, ?, ?, ?, ?, NOW(), NOW(), 0, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+        ON DUPLICATE KEY UPDATE
+            feed_url = VALUES(feed_url),
+            etag = VALUES(etag),
+            last_modified = VALUES(last_modified),
+            last_http_status = VALUES(last_http_status),
+            last_checked_at = VALUES(last_checked_at),
+            last_success_at = VALUES(last_success_at),
+            consecutive_failures = 0,
+            next_due_at = VALUES(next_due_at)
+    `, [show.id, show.rss_url, etag || null, lastModified || null, httpStatus, SYNC_INTERVAL_MINUTES]);
+}
+
+// Returns the backoff delay in minutes before the feed is tried again
+async function recordSyncFailure(show, httpStatus, errorMessage) {
+    const previousFailures = show.sync_feed_url === show.rss_url ? show.consecutive_failures || 0 : 0;
+    const failures = previousFailures + 1;
+    const delayMinutes = Math.min(BACKOFF_BASE_MINUTES * 2 ** (failures - 1), BACKOFF_MAX_MINUTES);
+
+    await db.query(`
+        INSERT INTO show_sync_state (
+            show_id, feed_url, last_http_status, last_checked_at,
+            last_error, last_error_at, consecutive_failures, next_due_at
+        ) VALUES (?, ?, ?, NOW(), ?, NOW(), ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+        ON DUPLICATE KEY UPDATE
+            etag = IF(feed_url = VALUES(feed_url), etag, NULL),
+            last_modified = IF(feed_url = VALUES(feed_url), last_modified, NULL),
+            feed_url = VALUES(feed_url),
+            last_http_status = VALUES(last_http_status),
+            last_checked_at = VALUES(last_checked_at),
+            last_error = VALUES(last_error),
+            last_error_at = VALUES(last_error_at),
+            consecutive_failures = VALUES(consecutive_failures),
+            next_due_at = VALUES(next_due_at)
+    `, [show.id, show.rss_url, httpStatus, errorMessage.substring(0, 2000), failures, delayMinutes]);
+
+    return delayMinutes;
+}
+
+// Match a feed item to a stored episode on its GUID, falling back to the
+// audio URL for items without a GUID and for episodes imported before GUIDs
+// were stored
+async function findExistingEpisode(showId, episodeData) {
+    if (episodeData.guid) {
+        const [byGuid] = await db.query(
+            'SELECT * FROM episodes WHERE guid = ? AND show_id = ?',
+            [episodeData.guid, showId]
+        );
+        if (byGuid) return byGuid;
+    }
+
+    const [byUrl] = await db.query(
+        'SELECT * FROM episodes WHERE audio_url = ? AND show_id = ?',
+        [episodeData.audioUrl, showId]
+    );
+
+    // A URL match that already carries another GUID is a different episode
+    if (byUrl && (!byUrl.guid || !episodeData.guid)) return byUrl;
+
+    return null;
+}
+
+// Helper function to create episode from RSS data
+async function createEpisodeFromRSS(showId, episodeData) {
+    // Generate slug from title
+    const slug = episodeData.title.toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .replace(/[\s_-]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+
+    // Number repeated titles (-2, -3, ...) so a whole back catalogue can be
+    // imported in one run without slug collisions
+    let finalSlug = slug;
+    let suffix = 2;
+    while ((await db.query('SELECT id FROM episodes WHERE slug = ? AND show_id = ?', [finalSlug, showId])).length > 0) {
+        finalSlug = `${slug}-${suffix++}`;
+    }
+
+    const columns = toEpisodeColumns(episodeData);
+    columns.publish_date = columns.publish_date || new Date();
+    columns.mime_type = columns.mime_type || 'audio/mpeg';
+
+    // Insert episode
+    const result = await db.query(`
+        INSERT INTO episodes (
+            show_id, slug, guid, sync_snapshot, ${Object.keys(columns).join(', ')},
+            is_published, created_by
+        ) VALUES (?, ?, ?, ?, ${Object.keys(columns).map(() => '?').join(', ')}, TRUE, 1)
+    `, [
+        showId,
+        finalSlug,
+        episodeData.guid,
+        JSON.stringify(toSnapshot(columns)),
+        ...Object.values(columns)
+    ]);
+
+    // Update show episode count
+    await db.query(
+        'UPDATE shows SET episode_count = (SELECT COUNT(*) FROM episodes WHERE show_id = ? AND is_published = TRUE) WHERE id = ?',
+        [showId, showId]
+    );
+
+    return result.insertId;
+}
+
+// Field-level update of an existing episode from its feed item; diffEpisode
+// decides which fields change
+async function updateEpisodeFromRSS(show, episode, episodeData) {
+    const { oldValues, newValues, skipped, snapshot } = diffEpisode(episode, episodeData, show.sync_update_policy);
+
+    const changed = Object.keys(newValues);
+    const assignments = changed.map(column => `${column} = ?`);
+    const params = Object.values(newValues);
+
+    // Episodes matched on their URL before GUIDs were stored get the GUID now
+    if (episodeData.guid && !episode.guid) {
+        assignments.push('guid = ?');
+        params.push(episodeData.guid);
+    }
+
+    assignments.push('sync_snapshot = ?');
+    params.push(JSON.stringify(snapshot));
+
+    // Refreshing only the snapshot must not bump updated_at (it drives feed Last-Modified)
+    assignments.push(changed.length > 0 ? 'updated_at = NOW()' : 'updated_at = updated_at');
+
+    await db.query(`UPDATE episodes SET ${assignments.join(', ')} WHERE id = ?`, [...params, episode.id]);
+
+    if (changed.length > 0) {
+        await db.query(`
+            INSERT INTO activity_logs (user_id, action, entity_type, entity_id, old_values, new_values)
+            VALUES (NULL, 'episode_synced', 'episode', ?, ?, ?)
+        `, [episode.id, JSON.stringify(oldValues), JSON.stringify(newValues)]);
+    }
+
+    return { changed, skipped };
+}
+
+// Helper function to get last sync time
+async function getLastSyncTime() {
+    try {
+        const logs = await db.query(`
+            SELECT created_at 
+            FROM activity_logs 
+            WHERE action = 'rss_sync' 
+            ORDER BY created_at DESC 
+            LIMIT 1
+        `);
+
+        return logs.length > 0 ? logs[0].created_at : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    runRSSSync,
+    getLastSyncTime
+};
@@ -1,88 +1,124 @@
 // lib/rss-utils.js
 // RSS feed utility functions
 
+const crypto = require('crypto');
 const RSS = require('rss');
 const config = require('../config/app.config');
+const { DEFAULT_CATEGORY, parseCategory } = require('./itunes-categories');
+const { TRANSCRIPT_FORMATS } = require('./transcript');
+
+// UUIDv5 namespace defined by the Podcasting 2.0 spec for podcast:guid
+const PODCAST_GUID_NAMESPACE = 'ead4c236-bf58-58c6-a2c6-a6b28d128cb6';
 
 class RSSManager {
-    static generatePodcastFeed(show, episodes) {
+    // Every feed route renders through here so the XML cannot drift between them.
+    // Options: feedUrl overrides the self link (feed pages, private feeds), pages
+    // holds RFC 5005 first/previous/next/last URLs, isPrivate keeps the feed
+    // out of podcast directories and feedToken lets the download redirect
+    // serve a private feed's premium episodes. trackDownloads: false links
+    // enclosures straight to the audio, for episodes that aren't database rows.
+    static buildFeed(show, episodes, options = {}) {
+        return this.generatePodcastFeed(show, episodes, options).xml({ indent: true });
+    }
+
+    static generatePodcastFeed(show, episodes, { feedUrl, pages = {}, isPrivate = false, feedToken = null, trackDownloads = true } = {}) {
+        const owner = this.getOwner(show);
+        const { category, subcategory } = this.getCategory(show);
+        
         const feed = new RSS({
             title: show.name,
             description: show.description || `Podcast episodes from ${show.name}`,
-            feed_url: `${config.app.url}/api/rss/${show.slug}`,
+            feed_url: feedUrl || this.getFeedUrl(show),
             site_url: config.app.url,
             image_url: show.image_url,
-            managingEditor: config.app.adminEmail,
-            webMaster: config.app.adminEmail,
-            copyright: `© ${new Date().getFullYear()} ${show.name}`,
-            language: 'en-us',
-            categories: ['Technology', 'Education'],
+            managingEditor: owner.email,
+            webMaster: owner.email,
+            copyright: show.copyright || `© ${new Date().getFullYear()} ${show.name}`,
+            language: show.language || 'en',
+            categories: [category, subcategory].filter(Boolean),
             pubDate: episodes[0]?.publish_date || new Date(),
             ttl: 60,
+            generator: 'CastBuzz Podcast Network',
             custom_namespaces: {
                 'itunes': 'http://www.itunes.com/dtds/podcast-1.0.dtd',
                 'content': 'http://purl.org/rss/1.0/modules/content/',
                 'podcast': 'https://podcastindex.org/namespace/1.0',
                 'googleplay': 'http://www.google.com/schemas/play-podcasts/1.0'
             },
-            custom_elements: this.getShowMetadata(show)
+            custom_elements: [
+                ...this.getPagingElements(pages),
+                ...this.getShowMetadata(show),
+                isPrivate && {'itunes:block': 'Yes'}
+            ]
         });
 
         // Add episodes
         episodes.forEach(episode => {
-            feed.item(this.getEpisodeItem(show, episode));
+            feed.item(this.getEpisodeItem(show, episode, { feedToken, trackDownloads }));
         });
 
         return feed;
     }
 
     static getShowMetadata(show) {
+        const owner = this.getOwner(show);
+        const { category } = this.getCategory(show);
+        
         return [
             {'itunes:subtitle': show.description?.substring(0, 255) || ''},
-            {'itunes:author': show.name},
+            {'itunes:author': show.author || show.name},
             {'itunes:summary': show.description || ''},
             {'itunes:owner': [
-                {'itunes:name': show.name},
-                {'itunes:email': config.app.adminEmail}
+                {'itunes:name': owner.name},
+                {'itunes:email': owner.email}
             ]},
             {'itunes:image': {
                 _attr: {
                     href: show.image_url || `${config.app.url}/default-podcast-image.jpg`
                 }
             }},
-            {'itunes:category': [
-                {_attr: {text: 'Technology'}},
-                {'itunes:category': {_attr: {text: 'Podcasting'}}}
-            ]},
-            {'itunes:explicit': 'false'},
+            this.getCategoryElement(show),
+            {'itunes:explicit': show.explicit ? 'true' : 'false'},
             {'itunes:type': 'episodic'},
             {'itunes:complete': 'no'},
-            {'googleplay:author': show.name},
+            {'googleplay:author': show.author || show.name},
             {'googleplay:description': show.description || ''},
-            {'googleplay:category': {_attr: {text: 'Technology'}}},
+            {'googleplay:category': {_attr: {text: category}}},
             {'googleplay:image': {
                 _attr: {
                     href: show.image_url || `${config.app.url}/default-podcast-image.jpg`
                 }
             }},
-            {'language': 'en-us'}
+            {'podcast:guid': show.podcast_guid || this.generatePodcastGuid(this.getFeedUrl(show))},
+            {'podcast:locked': [
+                {_attr: {owner: owner.email}},
+                show.podcast_locked ? 'yes' : 'no'
+            ]},
+            show.funding_url && {'podcast:funding': [
+                {_attr: {url: show.funding_url}},
+                show.funding_message || `Support ${show.name}`
+            ]},
+            ...this.getPersonElements(show.persons)
         ];
     }
 
-    static getEpisodeItem(show, episode) {
+    static getEpisodeItem(show, episode, { feedToken = null, trackDownloads = true } = {}) {
         const episodeUrl = `${config.app.url}/episode/${show.slug}/${episode.slug}`;
+        const tags = this.parseJsonColumn(episode.tags).map(tag => (typeof tag === 'string' ? tag : tag.name)).sort();
         
         return {
             title: episode.title,
             description: this.formatDescription(episode.description),
             url: episodeUrl,
-            guid: `${config.app.url}/episode/${episode.id}`,
+            // Synced episodes keep the GUID of their source feed so apps do not re-download them
+            guid: episode.guid || `${config.app.url}/episode/${episode.id}`,
             date: episode.publish_date,
             enclosure: {
-                url: episode.audio_url,
-                type: this.getAudioMimeType(episode.audio_url),
+                url: this.getEnclosureUrl(episode, { feedToken, trackDownloads }),
+                type: episode.mime_type || this.getAudioMimeType(episode.audio_url),
                 size: episode.file_size || 0
             },
+            categories: tags,
             custom_elements: [
                 {'itunes:title': episode.title},
                 {'itunes:subtitle': episode.description ? episode.description.substring(0, 255) : ''},
@@ -93,8 +129,9 @@ class RSSManager {
                         href: episode.image_url || show.image_url || `${config.app.url}/default-episode-image.jpg`
                     }
                 }},
-                {'itunes:explicit': 'false'},
-                {'itunes:episodeType': 'full'},
+                {'itunes:explicit': episode.explicit ? 'true' : 'false'},
+                {'itunes:episodeType': episode.episode_type || 'full'},
+                tags.length > 0 && {'itunes:keywords': tags.join(',')},
                 {'content:encoded': this.formatDescription(episode.description, true)},
                 {'googleplay:description': episode.description || ''},
                 {'googleplay:image': {
@@ -102,12 +139,227 @@ class RSSManager {
                         href: episode.image_url || show.image_url || `${config.app.url}/default-episode-image.jpg`
                     }
                 }},
-                ...(episode.season && [{'itunes:season': episode.season}]),
-                ...(episode.episode_number && [{'itunes:episode': episode.episode_number}])
+                episode.season && {'itunes:season': episode.season},
+                episode.episode_number && {'itunes:episode': episode.episode_number},
+                episode.season && {'podcast:season': episode.season},
+                episode.episode_number && {'podcast:episode': episode.episode_number},
+                ...this.getTranscriptElements(show, episode, feedToken),
+                this.parseJsonColumn(episode.chapter_marks).length > 0 && {'podcast:chapters': {
+                    _attr: {
+                        url: this.getChaptersUrl(show, episode, feedToken),
+                        type: 'application/json+chapters'
+                    }
+                }},
+                ...this.getSoundbiteElements(episode.soundbites)
             ]
         };
     }
 
+    // Feed owner contact, falling back to the network admin for older shows
+    static getOwner(show) {
+        return {
+            name: show.owner_name || show.author || show.name,
+            email: show.owner_email || config.app.adminEmail
+        };
+    }
+
+    static getCategory(show) {
+        return parseCategory(show.category) || parseCategory(DEFAULT_CATEGORY);
+    }
+
+    static getCategoryElement(show) {
+        const { category, subcategory } = this.getCategory(show);
+
+        if (!subcategory) {
+            return {'itunes:category': {_attr: {text: category}}};
+        }
+
+        return {'itunes:category': [
+            {_attr: {text: category}},
+            {'itunes:category': {_attr: {text: subcategory}}}
+        ]};
+    }
+
+    // podcast:person elements from a show's persons JSON column
+    static getPersonElements(persons) {
+        return this.parseJsonColumn(persons)
+            .filter(person => person && person.name)
+            .map(person => ({'podcast:person': [
+                {_attr: this.compactAttributes({
+                    role: person.role,
+                    group: person.group,
+                    img: person.img,
+                    href: person.href
+                })},
+                person.name
+            ]}));
+    }
+
+    // One podcast:transcript per format for hosted transcripts (the feed query
+    // sets transcript_language when one exists), else the external transcript_url
+    static getTranscriptElements(show, episode, feedToken = null) {
+        if (episode.transcript_language) {
+            return Object.entries(TRANSCRIPT_FORMATS).map(([format, { mimeType }]) => ({'podcast:transcript': {
+                _attr: this.compactAttributes({
+                    url: this.getTranscriptUrl(show, episode, format, feedToken),
+                    type: mimeType,
+                    language: episode.transcript_language,
+                    rel: format === 'json' ? undefined : 'captions'
+                })
+            }}));
+        }
+
+        if (episode.transcript_url) {
+            return [{'podcast:transcript': {
+                _attr: {
+                    url: episode.transcript_url,
+                    type: this.getTranscriptMimeType(episode.transcript_url)
+                }
+            }}];
+        }
+
+        return [];
+    }
+
+    // podcast:soundbite elements from an episode's soundbites JSON column
+    static getSoundbiteElements(soundbites) {
+        return this.parseJsonColumn(soundbites)
+            .filter(soundbite => soundbite && soundbite.duration > 0)
+            .map(soundbite => {
+                const attributes = {_attr: {
+                    startTime: Number(soundbite.start_time) || 0,
+                    duration: Number(soundbite.duration)
+                }};
+
+                return {'podcast:soundbite': soundbite.title ? [attributes, soundbite.title] : attributes};
+            });
+    }
+
+    // RFC 5005 paged feed links, in first/previous/next/last order
+    static getPagingElements(pages) {
+        return ['first', 'previous', 'next', 'last']
+            .filter(rel => pages[rel])
+            .map(rel => ({'atom:link': {
+                _attr: {
+                    href: pages[rel],
+                    rel,
+                    type: 'application/rss+xml'
+                }
+            }}));
+    }
+
+    static getFeedUrl(show) {
+        return `${config.app.url}/api/rss/${show.slug}`;
+    }
+
+    static getPrivateFeedUrl(show, feedToken) {
+        return `${config.app.url}/api/rss/${show.slug}/private/${feedToken}`;
+    }
+
+    // Enclosures go through the download tracking redirect unless it is turned off
+    static getEnclosureUrl(episode, { feedToken = null, trackDownloads = true } = {}) {
+        if (!trackDownloads || !config.analytics.enabled || !config.analytics.trackDownloads ||
+            !episode.id || !episode.audio_url) {
+            return episode.audio_url;
+        }
+
+        // Keep the file's own name so apps still see its extension
+        const filename = new URL(episode.audio_url, config.app.url).pathname.split('/').pop() ||
+            `${episode.slug || episode.id}.mp3`;
+        const url = `${config.app.url}/api/downloads/${episode.id}/${filename}`;
+
+        return feedToken ? `${url}?token=${feedToken}` : url;
+    }
+
+    // Private feeds pass their token so premium episodes' extras can be fetched
+    static getChaptersUrl(show, episode, feedToken = null) {
+        const url = `${config.app.url}/api/rss/${show.slug}/${episode.slug}/chapters.json`;
+        return feedToken ? `${url}?token=${feedToken}` : url;
+    }
+
+    static getTranscriptUrl(show, episode, format, feedToken = null) {
+        const url = `${config.app.url}/api/rss/${show.slug}/${episode.slug}/transcript.${format}`;
+        return feedToken ? `${url}?token=${feedToken}` : url;
+    }
+
+    // Convert the chapter_marks column into the Podcasting 2.0 JSON chapters format
+    static toJsonChapters(chapterMarks) {
+        const chapters = this.parseJsonColumn(chapterMarks)
+            .map(chapter => this.compactAttributes({
+                startTime: this.toSeconds(chapter.startTime ?? chapter.start_time ?? chapter.time),
+                endTime: this.toSeconds(chapter.endTime ?? chapter.end_time),
+                title: chapter.title,
+                img: chapter.img || chapter.image_url,
+                url: chapter.url,
+                // Chapters left out of the table of contents are still used for artwork
+                toc: chapter.toc === false ? false : undefined
+            }))
+            .filter(chapter => chapter.startTime !== undefined)
+            .sort((a, b) => a.startTime - b.startTime);
+
+        return {
+            version: '1.2.0',
+            chapters
+        };
+    }
+
+    // Accepts seconds or a HH:MM:SS / MM:SS string
+    static toSeconds(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string' || value.trim() === '') return null;
+
+        const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        return Number.isFinite(seconds) ? seconds : null;
+    }
+
+    static getTranscriptMimeType(transcriptUrl) {
+        const extension = transcriptUrl.split('?')[0].split('.').pop().toLowerCase();
+
+        const mimeTypes = {
+            'srt': 'application/x-subrip',
+            'vtt': 'text/vtt',
+            'json': 'application/json',
+            'html': 'text/html',
+            'txt': 'text/plain'
+        };
+
+        return mimeTypes[extension] || 'text/plain';
+    }
+
+    // Name-based UUIDv5 of the feed URL without its protocol scheme or trailing slashes
+    static generatePodcastGuid(feedUrl) {
+        const name = feedUrl.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').replace(/\/+$/, '');
+        const namespace = Buffer.from(PODCAST_GUID_NAMESPACE.replace(/-/g, ''), 'hex');
+        const hash = crypto.createHash('sha1').update(namespace).update(name).digest();
+
+        hash[6] = (hash[6] & 0x0f) | 0x50;
+        hash[8] = (hash[8] & 0x3f) | 0x80;
+
+        const hex = hash.subarray(0, 16).toString('hex');
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    // JSON columns come back parsed from mysql2, but tolerate raw strings
+    static parseJsonColumn(value) {
+        if (!value) return [];
+
+        if (typeof value === 'string') {
+            try {
+                value = JSON.parse(value);
+            } catch (error) {
+                return [];
+            }
+        }
+
+        return Array.isArray(value) ? value : [];
+    }
+
+    static compactAttributes(attributes) {
+        return Object.fromEntries(
+            Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
+    }
+
     static formatDescription(description, isHTML = false) {
         if (!description) return '';
         
@@ -181,6 +433,17 @@ class RSSManager {
             validation.valid = false;
         }
 
+        if (!show.category) {
+            validation.warnings.push(`Show category is not set, feed falls back to ${DEFAULT_CATEGORY}`);
+        } else if (!parseCategory(show.category)) {
+            validation.errors.push(`Show category "${show.category}" is not an Apple Podcasts category`);
+            validation.valid = false;
+        }
+
+        if (!show.owner_email) {
+            validation.warnings.push('Show owner email is not set, feed uses the network admin email');
+        }
+
         // Episode validation
         episodes.forEach(episode => {
             if (!episode.audio_url) {
@@ -0,0 +1,321 @@
+// lib/scheduler.js
+// In-process scheduler for recurring jobs backed by the scheduled_jobs table
+
+const os = require('os');
+const cronParser = require('cron-parser');
+const db = require('./database');
+const dbConfig = require('../config/database.config');
+const config = require('../config/app.config');
+
+class Scheduler {
+    constructor({ pollInterval, lockTimeout, historyDays, instanceId }) {
+        this.pollInterval = pollInterval;
+        this.lockTimeout = lockTimeout;
+        this.historyDays = historyDays;
+        this.instanceId = instanceId || `${os.hostname()}:${process.pid}`;
+        this.jobs = new Map(); // job name -> { schedule, description, handler, timeout }
+        this.running = new Set(); // names of jobs running on this instance
+        this.timer = null;
+        this.ticking = false;
+        this.seeded = false;
+    }
+
+    // Register a job handler. The schedule only seeds the table; once the row
+    // exists, admins own the cron expression and enabled flag.
+    register(name, { schedule, description = null, handler, timeout = this.lockTimeout }) {
+        Scheduler.nextRunAt(schedule);
+        this.jobs.set(name, { schedule, description, handler, timeout });
+        return this;
+    }
+
+    async start() {
+        if (this.timer) return;
+
+        await this.ready();
+
+        this.timer = setInterval(() => this.tick(), this.pollInterval);
+        this.timer.unref();
+
+        console.log(`⏰ Scheduler started on ${this.instanceId} with ${this.jobs.size} jobs`);
+        await this.tick();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Transactions need the pool, and runNow may be called on an instance
+    // that never started polling
+    async ready() {
+        await db.connect();
+
+        if (!this.seeded) {
+            await this.seedJobs();
+            this.seeded = true;
+        }
+    }
+
+    async seedJobs() {
+        for (const [name, job] of this.jobs) {
+            await db.query(`
+                INSERT IGNORE INTO scheduled_jobs (name, description, cron_expression, next_run_at)
+                VALUES (?, ?, ?, ?)
+            `, [name, job.description, job.schedule, Scheduler.nextRunAt(job.schedule)]);
+        }
+    }
+
+    // Start every due job this instance knows about. Jobs run side by side, so
+    // an hour-long export never holds up the every-minute publisher; the lock
+    // on each job's row keeps it from overlapping with itself.
+    async tick() {
+        if (this.ticking) return;
+        this.ticking = true;
+
+        try {
+            let claimed;
+            while ((claimed = await this.claimDueJob())) {
+                this.execute(claimed.job, claimed.runId);
+            }
+        } catch (error) {
+            console.error('❌ Scheduler tick failed:', error.message);
+        } finally {
+            this.ticking = false;
+        }
+    }
+
+    // SKIP LOCKED lets several instances poll at once: each sees only rows no
+    // other transaction holds, and the claim moves next_run_at forward before
+    // the row is released.
+    async claimDueJob() {
+        // A job still running here after its lock expired must not start again
+        const names = [...this.jobs.keys()].filter(name => !this.running.has(name));
+        if (names.length === 0) return null;
+
+        const now = new Date();
+
+        return db.transaction(async (query) => {
+            const [job] = await query(`
+                SELECT * FROM scheduled_jobs
+                WHERE is_enabled = TRUE
+                AND next_run_at <= ?
+                AND (locked_until IS NULL OR locked_until < ?)
+                AND name IN (${names.map(() => '?').join(', ')})
+                ORDER BY next_run_at
+                LIMIT 1
+                FOR UPDATE SKIP LOCKED
+            `, [now, now, ...names]);
+
+            if (!job) return null;
+
+            await query(
+                'UPDATE scheduled_jobs SET next_run_at = ? WHERE id = ?',
+                [Scheduler.nextRunAt(job.cron_expression, now), job.id]
+            );
+
+            const runId = await this.lockJob(query, job, now, { triggerType: 'schedule' });
+            return { job, runId };
+        });
+    }
+
+    // Start a job outside its schedule. Resolves once the run is recorded, or
+    // once it has finished when wait is set.
+    async runNow(name, { triggeredBy = null, triggerType = 'manual', wait = false } = {}) {
+        if (!this.jobs.has(name)) {
+            throw new Error('Job not found');
+        }
+        if (this.running.has(name)) {
+            throw new Error('Job is already running');
+        }
+
+        await this.ready();
+        const now = new Date();
+
+        const { job, runId } = await db.transaction(async (query) => {
+            const [job] = await query('SELECT * FROM scheduled_jobs WHERE name = ? FOR UPDATE', [name]);
+
+            if (!job) {
+                throw new Error('Job not found');
+            }
+            if (job.locked_until && new Date(job.locked_until) >= now) {
+                throw new Error('Job is already running');
+            }
+
+            const runId = await this.lockJob(query, job, now, { triggerType, triggeredBy });
+            return { job, runId };
+        });
+
+        const execution = this.execute(job, runId);
+        if (wait) {
+            await execution;
+        }
+
+        return this.getRun(runId);
+    }
+
+    // Must be called inside the claiming transaction. Runs still marked as
+    // running belong to an instance whose lock expired, so they are closed first.
+    async lockJob(query, job, now, { triggerType, triggeredBy = null }) {
+        const { timeout } = this.jobs.get(job.name);
+
+        await query(`
+            UPDATE job_runs
+            SET status = 'failed', finished_at = ?, error = 'Run did not finish before its lock expired'
+            WHERE job_id = ? AND status = 'running'
+        `, [now, job.id]);
+
+        await query(
+            'UPDATE scheduled_jobs SET locked_by = ?, locked_until = ? WHERE id = ?',
+            [this.instanceId, new Date(now.getTime() + timeout), job.id]
+        );
+
+        const result = await query(`
+            INSERT INTO job_runs (job_id, trigger_type, triggered_by, instance_id, status, started_at)
+            VALUES (?, ?, ?, ?, 'running', ?)
+        `, [job.id, triggerType, triggeredBy, this.instanceId, now]);
+
+        return result.insertId;
+    }
+
+    // Never rejects; failures are recorded on the run
+    async execute(job, runId) {
+        this.running.add(job.name);
+
+        try {
+            await this.runJob(job, runId);
+        } finally {
+            this.running.delete(job.name);
+        }
+    }
+
+    async runJob(job, runId) {
+        const startedAt = Date.now();
+        let status = 'succeeded';
+        let result = null;
+        let errorMessage = null;
+
+        // Several jobs run every minute on every instance, so routine runs are
+        // only logged when debugging; failures always are
+        if (dbConfig.debug) {
+            console.log(`▶️ Running job ${job.name} (run ${runId})`);
+        }
+
+        try {
+            result = await this.jobs.get(job.name).handler();
+        } catch (error) {
+            status = 'failed';
+            errorMessage = error.message;
+            console.error(`❌ Job ${job.name} failed:`, error);
+        }
+
+        try {
+            await db.query(`
+                UPDATE job_runs
+                SET status = ?, result = ?, error = ?, finished_at = ?, duration_ms = ?
+                WHERE id = ?
+            `, [status, result === null || result === undefined ? null : JSON.stringify(result),
+                errorMessage, new Date(), Date.now() - startedAt, runId]);
+
+            // Only release the lock if it is still ours
+            await db.query(`
+                UPDATE scheduled_jobs
+                SET last_run_at = ?, last_status = ?, locked_by = NULL, locked_until = NULL
+                WHERE id = ? AND locked_by = ?
+            `, [new Date(startedAt), status, job.id, this.instanceId]);
+
+            // Frequent jobs would otherwise grow the history without bound
+            await db.query(
+                'DELETE FROM job_runs WHERE job_id = ? AND started_at < ?',
+                [job.id, new Date(startedAt - this.historyDays * 24 * 60 * 60 * 1000)]
+            );
+        } catch (error) {
+            console.error(`❌ Could not record run ${runId} of job ${job.name}:`, error.message);
+        }
+
+        if (status !== 'succeeded' || dbConfig.debug) {
+            console.log(`${status === 'succeeded' ? '✅' : '⚠️'} Job ${job.name} ${status} in ${Date.now() - startedAt}ms`);
+        }
+    }
+
+    async getJobs() {
+        const sql = `
+            SELECT j.*,
+                   (SELECT COUNT(*) FROM job_runs r WHERE r.job_id = j.id) as run_count
+            FROM scheduled_jobs j
+            ORDER BY j.name
+        `;
+
+        return await db.query(sql);
+    }
+
+    async getJob(name) {
+        const [job] = await db.query('SELECT * FROM scheduled_jobs WHERE name = ?', [name]);
+        return job || null;
+    }
+
+    async getRun(runId) {
+        const sql = `
+            SELECT r.*, j.name as job_name, u.email as triggered_by_email
+            FROM job_runs r
+            JOIN scheduled_jobs j ON r.job_id = j.id
+            LEFT JOIN users u ON r.triggered_by = u.id
+            WHERE r.id = ?
+        `;
+
+        const [run] = await db.query(sql, [runId]);
+        return run || null;
+    }
+
+    async getRuns(name, { status = null, limit = 50, offset = 0 } = {}) {
+        let sql = `
+            SELECT r.*, j.name as job_name, u.email as triggered_by_email
+            FROM job_runs r
+            JOIN scheduled_jobs j ON r.job_id = j.id
+            LEFT JOIN users u ON r.triggered_by = u.id
+            WHERE j.name = ?
+        `;
+        const params = [name];
+
+        if (status) {
+            sql += ' AND r.status = ?';
+            params.push(status);
+        }
+
+        sql += ' ORDER BY r.started_at DESC, r.id DESC LIMIT ? OFFSET ?';
+        params.push(limit, offset);
+
+        return await db.query(sql, params);
+    }
+
+    async updateJob(name, { cronExpression, isEnabled }) {
+        const job = await this.getJob(name);
+        if (!job) {
+            throw new Error('Job not found');
+        }
+
+        const cron = cronExpression !== undefined ? cronExpression : job.cron_expression;
+        const enabled = isEnabled !== undefined ? isEnabled : Boolean(job.is_enabled);
+
+        await db.query(`
+            UPDATE scheduled_jobs
+            SET cron_expression = ?, is_enabled = ?, next_run_at = ?
+            WHERE id = ?
+        `, [cron, enabled, Scheduler.nextRunAt(cron), job.id]);
+
+        return this.getJob(name);
+    }
+
+    // Throws 'Invalid cron expression' for anything cron-parser rejects
+    static nextRunAt(cronExpression, from = new Date()) {
+        try {
+            return cronParser.parseExpression(cronExpression, { currentDate: from, tz: 'UTC' }).next().toDate();
+        } catch (error) {
+            throw new Error('Invalid cron expression');
+        }
+    }
+}
+
+module.exports = new Scheduler(config.scheduler);
+module.exports.Scheduler = Scheduler;
@@ -0,0 +1,266 @@
+// lib/search.js
+// Full-text search across shows, episodes (including transcripts) and tags,
+// using the FULLTEXT indexes with MATCH ... AGAINST
+
+const db = require('./database');
+const Episode = require('../models/episode');
+const { extractTerms, highlight, makeSnippet, containsTerm, stripHtml } = require('./highlight');
+const { storedIp } = require('./analytics-privacy');
+const { lookupIp } = require('./geoip');
+const config = require('../config/app.config');
+
+const SEARCH_MODES = {
+    natural: 'IN NATURAL LANGUAGE MODE',
+    boolean: 'IN BOOLEAN MODE'
+};
+
+const SEARCH_TYPES = ['all', 'shows', 'episodes', 'tags'];
+
+// Transcript matches count for less than title/description matches
+const TRANSCRIPT_WEIGHT = 0.5;
+
+async function search({ q, mode = 'natural', type = 'all', showId, season, year, limit = 20, offset = 0 }) {
+    const against = `AGAINST (? ${SEARCH_MODES[mode]})`;
+    const terms = extractTerms(q, mode);
+    const wants = name => type === 'all' || type === name;
+
+    const [shows, episodes, tags] = await Promise.all([
+        wants('shows') ? searchShows(q, against, { showId, limit, offset }) : null,
+        wants('episodes') ? searchEpisodes(q, against, { showId, season, year, limit, offset }) : null,
+        wants('tags') ? searchTags(q, against, { limit, offset }) : null
+    ]);
+
+    const results = {};
+    const totals = {};
+
+    if (shows) {
+        results.shows = shows.rows.map(show => ({
+            id: show.id,
+            name: show.name,
+            slug: show.slug,
+            image_url: show.image_url,
+            color: show.color,
+            episode_count: show.episode_count,
+            score: Number(show.score),
+            highlights: {
+                name: highlight(show.name, terms),
+                snippet: makeSnippet(show.description, terms)
+            }
+        }));
+        totals.shows = shows.total;
+    }
+
+    if (episodes) {
+        results.episodes = await withTranscriptSnippets(episodes.rows, terms);
+        totals.episodes = episodes.total;
+    }
+
+    if (tags) {
+        results.tags = tags.rows.map(tag => ({
+            id: tag.id,
+            name: tag.name,
+            slug: tag.slug,
+            color: tag.color,
+            usage_count: tag.usage_count,
+            score: Number(tag.score),
+            highlights: { name: highlight(tag.name, terms) }
+        }));
+        totals.tags = tags.total;
+    }
+
+    return {
+        results,
+        totals,
+        facets: episodes ? episodes.facets : null
+    };
+}
+
+async function searchShows(q, against, { showId, limit, offset }) {
+    const where = [`s.is_active = TRUE`, `MATCH(s.name, s.description) ${against}`];
+    const params = [q];
+
+    if (showId) {
+        where.push('s.id = ?');
+        params.push(showId);
+    }
+
+    const whereSql = where.join(' AND ');
+
+    const [rows, [count]] = await Promise.all([
+        db.query(`
+            SELECT s.id, s.name, s.slug, s.description, s.image_url, s.color, s.episode_count,
+                   MATCH(s.name, s.description) ${against} as score
+            FROM shows s
+            WHERE ${whereSql}
+            ORDER BY score DESC, s.name ASC
+            LIMIT ? OFFSET ?
+        `, [q, ...params, limit, offset]),
+        db.query(`SELECT COUNT(*) as total FROM shows s WHERE ${whereSql}`, params)
+    ]);
+
+    return { rows, total: count.total };
+}
+
+// Facet counts cover every match for the query, before the show, season and
+// year filters, so a client can offer the other values as refinements
+async function searchEpisodes(q, against, { showId, season, year, limit, offset }) {
+    const baseWhere = [
+        'e.is_published = TRUE',
+        Episode.publicFeedCondition(),
+        `(MATCH(e.title, e.description) ${against} OR MATCH(t.body_text) ${against})`
+    ];
+    const baseParams = [q, q];
+
+    const filters = [];
+    const filterParams = [];
+
+    if (showId) {
+        filters.push('e.show_id = ?');
+        filterParams.push(showId);
+    }
+    if (season) {
+        filters.push('e.season = ?');
+        filterParams.push(season);
+    }
+    if (year) {
+        filters.push('YEAR(e.publish_date) = ?');
+        filterParams.push(year);
+    }
+
+    const from = `
+        FROM episodes e
+        JOIN shows s ON e.show_id = s.id AND s.is_active = TRUE
+        LEFT JOIN episode_transcripts t ON t.episode_id = e.id
+    `;
+    const baseSql = `${from} WHERE ${baseWhere.join(' AND ')}`;
+    const filteredSql = [baseSql, ...filters].join(' AND ');
+    const filteredParams = [...baseParams, ...filterParams];
+
+    const [rows, [count], showFacets, seasonFacets, yearFacets] = await Promise.all([
+        db.query(`
+            SELECT e.id, e.title, e.slug, e.description, e.season, e.episode_number, e.publish_date,
+                   e.duration, e.image_url, s.id as show_id, s.name as show_name, s.slug as show_slug,
+                   MATCH(e.title, e.description) ${against} as content_score,
+                   IFNULL(MATCH(t.body_text) ${against}, 0) as transcript_score
+            ${filteredSql}
+            ORDER BY (content_score + transcript_score * ${TRANSCRIPT_WEIGHT}) DESC, e.publish_date DESC
+            LIMIT ? OFFSET ?
+        `, [q, q, ...filteredParams, limit, offset]),
+        db.query(`SELECT COUNT(*) as total ${filteredSql}`, filteredParams),
+        db.query(`
+            SELECT s.id, s.name, s.slug, COUNT(*) as count
+            ${baseSql}
+            GROUP BY s.id, s.name, s.slug
+            ORDER BY count DESC, s.name ASC
+        `, baseParams),
+        db.query(`
+            SELECT e.season, COUNT(*) as count
+            ${baseSql} AND e.season IS NOT NULL
+            GROUP BY e.season
+            ORDER BY e.season ASC
+        `, baseParams),
+        db.query(`
+            SELECT YEAR(e.publish_date) as year, COUNT(*) as count
+            ${baseSql}
+            GROUP BY year
+            ORDER BY year DESC
+        `, baseParams)
+    ]);
+
+    return {
+        rows,
+        total: count.total,
+        facets: {
+            shows: showFacets,
+            seasons: seasonFacets,
+            years: yearFacets
+        }
+    };
+}
+
+async function searchTags(q, against, { limit, offset }) {
+    const [rows, [count]] = await Promise.all([
+        db.query(`
+            SELECT id, name, slug, color, usage_count, MATCH(name) ${against} as score
+            FROM tags
+            WHERE MATCH(name) ${against}
+            ORDER BY score DESC, usage_count DESC
+            LIMIT ? OFFSET ?
+        `, [q, q, limit, offset]),
+        db.query(`SELECT COUNT(*) as total FROM tags WHERE MATCH(name) ${against}`, [q])
+    ]);
+
+    return { rows, total: count.total };
+}
+
+// Episodes matched only by what was said get their snippet from the transcript
+async function withTranscriptSnippets(rows, terms) {
+    const needTranscript = rows
+        .filter(row => Number(row.transcript_score) > 0 && !containsTerm(stripHtml(row.description), terms))
+        .map(row => row.id);
+
+    const transcripts = new Map();
+    if (needTranscript.length > 0) {
+        const placeholders = needTranscript.map(() => '?').join(', ');
+        const found = await db.query(
+            `SELECT episode_id, body_text FROM episode_transcripts WHERE episode_id IN (${placeholders})`,
+            needTranscript
+        );
+        found.forEach(row => transcripts.set(row.episode_id, row.body_text));
+    }
+
+    return rows.map(row => {
+        const transcript = transcripts.get(row.id);
+
+        return {
+            id: row.id,
+            title: row.title,
+            slug: row.slug,
+            season: row.season,
+            episode_number: row.episode_number,
+            publish_date: row.publish_date,
+            duration: row.duration,
+            image_url: row.image_url,
+            show: { id: row.show_id, name: row.show_name, slug: row.show_slug },
+            score: Number(row.content_score) + Number(row.transcript_score) * TRANSCRIPT_WEIGHT,
+            matched_transcript: Number(row.transcript_score) > 0,
+            highlights: {
+                title: highlight(row.title, terms),
+                snippet: makeSnippet(transcript || row.description, terms),
+                source: transcript ? 'transcript' : 'description'
+            }
+        };
+    });
+}
+
+// Record a search as a 'search' analytics event, unless analytics are off
+async function recordSearch(req, { q, mode, type, filters, totals }) {
+    if (!config.analytics.enabled) return;
+
+    const location = await lookupIp(req.ip);
+
+    await db.query(`
+        INSERT INTO analytics_events (
+            event_type, user_id, session_id, show_id, ip_address, country, region, city,
+            user_agent, referer, metadata
+        ) VALUES ('search', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+        req.user ? req.user.id : null,
+        req.get('X-Session-Id') || null,
+        filters.showId || null,
+        await storedIp(req.ip),
+        location.country,
+        location.region,
+        location.city,
+        req.get('User-Agent') || null,
+        (req.get('Referer') || '').substring(0, 500) || null,
+        JSON.stringify({ query: q, mode, type, filters, totals })
+    ]);
+}
+
+module.exports = {
+    SEARCH_MODES,
+    SEARCH_TYPES,
+    search,
+    recordSearch
+};
@@ -0,0 +1,279 @@
+// lib/transcript.js
+// Parses SRT, WebVTT and Podcasting 2.0 JSON transcripts into one cue list
+// and renders that list back out in any of the three formats.
+
+const TRANSCRIPT_FORMATS = {
+    srt: { mimeType: 'application/x-subrip', extension: 'srt' },
+    vtt: { mimeType: 'text/vtt', extension: 'vtt' },
+    json: { mimeType: 'application/json', extension: 'json' }
+};
+
+const MAX_SEGMENTS = 50000;
+
+// Guess the format of an upload that didn't say what it is
+function detectFormat(content) {
+    const text = stripBom(String(content)).trimStart();
+
+    if (text.startsWith('WEBVTT')) return 'vtt';
+    if (text.startsWith('{')) return 'json';
+    if (/^\d+\s*\r?\n\s*[\d:,.]+\s*-->/.test(text)) return 'srt';
+
+    return null;
+}
+
+// Cues as [{start_time, end_time, speaker, body}] in start-time order.
+// Throws 'Invalid transcript: ...' describing the first problem found.
+function parseTranscript(content, format) {
+    if (!TRANSCRIPT_FORMATS[format]) {
+        throw new Error('Invalid transcript: unsupported format');
+    }
+
+    const text = stripBom(String(content)).replace(/\r\n?/g, '\n');
+    let segments;
+
+    if (format === 'srt') segments = parseSrt(text);
+    else if (format === 'vtt') segments = parseVtt(text);
+    else segments = parseJson(text);
+
+    if (segments.length === 0) {
+        throw new Error('Invalid transcript: no cues found');
+    }
+    if (segments.length > MAX_SEGMENTS) {
+        throw new Error(`Invalid transcript: more than ${MAX_SEGMENTS} cues`);
+    }
+
+    return segments
+        .map((segment, index) => ({ ...segment, index }))
+        .sort((a, b) => a.start_time - b.start_time || a.index - b.index)
+        .map(({ index, ...segment }) => segment);
+}
+
+function renderTranscript(segments, format) {
+    if (format === 'srt') return toSrt(segments);
+    if (format === 'vtt') return toVtt(segments);
+    if (format === 'json') return JSON.stringify(toJson(segments));
+
+    throw new Error('Invalid transcript: unsupported format');
+}
+
+// Spoken text only, one cue per line, for the search index
+function toPlainText(segments) {
+    return segments.map(segment => segment.body).join('\n');
+}
+
+// ------------------------------------------------------------------
+// Parsers
+// ------------------------------------------------------------------
+
+function parseSrt(text) {
+    return splitBlocks(text).map((lines, blockIndex) => {
+        const cueNumber = blockIndex + 1;
+
+        // The sequence number is required by the format but some tools drop it
+        if (/^\d+$/.test(lines[0].trim()) && lines.length > 1) {
+            lines = lines.slice(1);
+        }
+
+        const timing = parseTimingLine(lines[0], ',');
+        if (!timing) {
+            throw new Error(`Invalid transcript: cue ${cueNumber} has no valid timing line`);
+        }
+
+        return makeSegment(timing, lines.slice(1).join('\n'), null, cueNumber);
+    });
+}
+
+function parseVtt(text) {
+    const blocks = splitBlocks(text);
+
+    if (blocks.length === 0 || !/^WEBVTT(?:[ \t].*)?$/.test(blocks[0][0])) {
+        throw new Error('Invalid transcript: WebVTT files must start with "WEBVTT"');
+    }
+
+    const segments = [];
+
+    for (const lines of blocks.slice(1)) {
+        if (/^(NOTE|STYLE|REGION)(?:\s|$)/.test(lines[0])) continue;
+
+        // An optional cue identifier comes before the timing line
+        const timingIndex = lines[0].includes('-->') ? 0 : 1;
+        const timing = parseTimingLine(lines[timingIndex] || '', '.');
+        const cueNumber = segments.length + 1;
+
+        if (!timing) {
+            throw new Error(`Invalid transcript: cue ${cueNumber} has no valid timing line`);
+        }
+
+        let body = lines.slice(timingIndex + 1).join('\n');
+        let speaker = null;
+
+        const voice = body.match(/<v(?:\.[^\s>]+)*\s+([^>]+)>/);
+        if (voice) {
+            speaker = voice[1].trim();
+        }
+
+        // Drop markup (voice, class, bold, inline timestamps) and decode entities
+        body = decodeEntities(body.replace(/<[^>]*>/g, ''));
+
+        segments.push(makeSegment(timing, body, speaker, cueNumber));
+    }
+
+    return segments;
+}
+
+function parseJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Invalid transcript: not valid JSON');
+    }
+
+    if (!data || !Array.isArray(data.segments)) {
+        throw new Error('Invalid transcript: JSON transcripts need a segments array');
+    }
+
+    return data.segments.map((segment, index) => {
+        const cueNumber = index + 1;
+
+        if (!segment || typeof segment !== 'object') {
+            throw new Error(`Invalid transcript: segment ${cueNumber} is not an object`);
+        }
+
+        const timing = {
+            start: Number(segment.startTime),
+            end: Number(segment.endTime)
+        };
+        if (segment.startTime === undefined || segment.endTime === undefined ||
+            !Number.isFinite(timing.start) || !Number.isFinite(timing.end)) {
+            throw new Error(`Invalid transcript: segment ${cueNumber} needs numeric startTime and endTime`);
+        }
+        if (typeof segment.body !== 'string') {
+            throw new Error(`Invalid transcript: segment ${cueNumber} needs a text body`);
+        }
+
+        return makeSegment(timing, segment.body, segment.speaker || null, cueNumber);
+    });
+}
+
+function makeSegment(timing, body, speaker, cueNumber) {
+    if (timing.start < 0 || timing.end < timing.start) {
+        throw new Error(`Invalid transcript: cue ${cueNumber} ends before it starts`);
+    }
+
+    const text = body.trim();
+    if (!text) {
+        throw new Error(`Invalid transcript: cue ${cueNumber} has no text`);
+    }
+
+    return {
+        start_time: timing.start,
+        end_time: timing.end,
+        speaker: speaker ? String(speaker).trim() : null,
+        body: text
+    };
+}
+
+// Blocks of non-empty lines separated by blank lines
+function splitBlocks(text) {
+    return text
+        .split(/\n[ \t]*\n/)
+        .map(block => block.split('\n').filter(line => line.trim() !== ''))
+        .filter(lines => lines.length > 0);
+}
+
+// "00:01:02,500 --> 00:01:05,000" (SRT) or "01:02.500 --> 01:05.000 align:start" (VTT)
+function parseTimingLine(line, separator) {
+    const match = line.match(/^\s*(\S+)\s+-->\s+(\S+)/);
+    if (!match) return null;
+
+    const start = parseTimestamp(match[1], separator);
+    const end = parseTimestamp(match[2], separator);
+
+    return start === null || end === null ? null : { start, end };
+}
+
+function parseTimestamp(value, separator) {
+    const pattern = separator === ','
+        ? /^(\d+):(\d{2}):(\d{2})[,.](\d{1,3})$/
+        : /^(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})$/;
+    const match = value.match(pattern);
+    if (!match) return null;
+
+    const [, hours = '0', minutes, seconds, fraction] = match;
+    if (Number(minutes) > 59 || Number(seconds) > 59) return null;
+
+    return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+}
+
+// ------------------------------------------------------------------
+// Renderers
+// ------------------------------------------------------------------
+
+function toSrt(segments) {
+    return segments.map((segment, index) => [
+        index + 1,
+        `${formatTimestamp(segment.start_time, ',')} --> ${formatTimestamp(segment.end_time, ',')}`,
+        segment.body
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+function toVtt(segments) {
+    const cues = segments.map((segment) => {
+        const body = escapeVtt(segment.body);
+        return [
+            `${formatTimestamp(segment.start_time, '.')} --> ${formatTimestamp(segment.end_time, '.')}`,
+            segment.speaker ? `<v ${escapeVtt(segment.speaker)}>${body}` : body
+        ].join('\n');
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function toJson(segments) {
+    return {
+        version: '1.0.0',
+        segments: segments.map(segment => ({
+            ...(segment.speaker ? { speaker: segment.speaker } : {}),
+            startTime: segment.start_time,
+            endTime: segment.end_time,
+            body: segment.body
+        }))
+    };
+}
+
+function formatTimestamp(totalSeconds, separator) {
+    const totalMs = Math.round(totalSeconds * 1000);
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor(totalMs / 60000) % 60;
+    const seconds = Math.floor(totalMs / 1000) % 60;
+    const ms = totalMs % 1000;
+
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms, 3)}`;
+}
+
+function escapeVtt(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lrm;|&rlm;/g, '')
+        .replace(/&amp;/g, '&');
+}
+
+function stripBom(text) {
+    return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    detectFormat,
+    parseTranscript,
+    renderTranscript,
+    toPlainText
+};
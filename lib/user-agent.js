@@ -0,0 +1,65 @@
+// lib/user-agent.js
+// Device type, browser and operating system from a User-Agent header
+
+// First match wins, so more specific products come before the engines they
+// are built on (Edge and Opera report Chrome, Chrome reports Safari)
+const BROWSERS = [
+    ['Edge', /Edg(?:e|A|iOS)?\/([\d.]+)/],
+    ['Opera', /(?:OPR|Opera)\/([\d.]+)/],
+    ['Samsung Internet', /SamsungBrowser\/([\d.]+)/],
+    ['Firefox', /(?:Firefox|FxiOS)\/([\d.]+)/],
+    ['Chrome', /(?:Chrome|CriOS)\/([\d.]+)/],
+    ['Safari', /Version\/([\d.]+).*Safari\//],
+    ['Internet Explorer', /(?:MSIE |Trident\/.*rv:)([\d.]+)/]
+];
+
+const OPERATING_SYSTEMS = [
+    ['iOS', /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/],
+    ['Android', /Android ([\d.]+)?/],
+    ['Windows', /Windows NT ([\d.]+)/],
+    ['ChromeOS', /CrOS \S+ ([\d.]+)/],
+    ['macOS', /Mac OS X ([\d_.]+)?/],
+    ['Linux', /Linux/]
+];
+
+const TABLET = /iPad|Tablet|PlayBook|Silk|Kindle|Android(?!.*Mobile)/i;
+const MOBILE = /Mobi|iPhone|iPod|Android|Windows Phone|BlackBerry|Opera Mini/i;
+const DESKTOP = /Windows NT|Macintosh|X11|CrOS/;
+
+function matchFirst(userAgent, patterns) {
+    for (const [name, pattern] of patterns) {
+        const match = userAgent.match(pattern);
+        if (match) {
+            const version = match[1] ? match[1].replace(/_/g, '.').split('.')[0] : null;
+            return version ? `${name} ${version}` : name;
+        }
+    }
+    return null;
+}
+
+function getDeviceType(userAgent) {
+    if (TABLET.test(userAgent)) return 'tablet';
+    if (MOBILE.test(userAgent)) return 'mobile';
+    if (DESKTOP.test(userAgent)) return 'desktop';
+    return 'unknown';
+}
+
+// { device_type, browser, os } with the columns' 'unknown' / null defaults
+// when the header is missing or not recognised
+function parseUserAgent(userAgent) {
+    if (!userAgent) {
+        return { device_type: 'unknown', browser: null, os: null };
+    }
+
+    const ua = String(userAgent);
+
+    return {
+        device_type: getDeviceType(ua),
+        browser: matchFirst(ua, BROWSERS),
+        os: matchFirst(ua, OPERATING_SYSTEMS)
+    };
+}
+
+module.exports = {
+    parseUserAgent
+};
@@ -100,10 +100,72 @@ exports.validateEpisode = [
         .isInt({ min: 1 })
         .withMessage('Episode number must be a positive integer'),
     
+    body('transcript_url')
+        .optional()
+        .isURL()
+        .withMessage('Transcript URL must be a valid URL'),
+    
+    body('soundbites')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Soundbites must be an array of at most 20 clips'),
+    
+    body('soundbites.*.start_time')
+        .isFloat({ min: 0 })
+        .withMessage('Soundbite start_time must be a non-negative number of seconds'),
+    
+    body('soundbites.*.duration')
+        .isFloat({ min: 1, max: 120 })
+        .withMessage('Soundbite duration must be between 1 and 120 seconds'),
+    
+    body('soundbites.*.title')
+        .optional()
+        .trim()
+        .isLength({ max: 128 })
+        .withMessage('Soundbite title must not exceed 128 characters'),
+    
+    body('tags')
+        .optional()
+        .isArray({ max: 20 })
+        .withMessage('Tags must be an array of at most 20 names'),
+    
+    body('tags.*')
+        .isString()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Each tag must be between 1 and 100 characters'),
+    
+    body('access_level')
+        .optional()
+        .isIn(['public', 'premium', 'early_access'])
+        .withMessage('access_level must be public, premium or early_access'),
+    
+    body('public_release_date')
+        .if(body('access_level').equals('early_access'))
+        .notEmpty()
+        .withMessage('Early-access episodes need a public_release_date')
+        .isISO8601()
+        .withMessage('public_release_date must be an ISO 8601 date'),
+    
     body('is_published')
         .optional()
         .isBoolean()
-        .withMessage('is_published must be a boolean value')
+        .withMessage('is_published must be a boolean value'),
+    
+    body('status')
+        .optional()
+        .isIn(['draft', 'scheduled', 'published'])
+        .withMessage('status must be draft, scheduled or published'),
+    
+    body('publish_date')
+        .if(body('status').equals('scheduled'))
+        .notEmpty()
+        .withMessage('Scheduled episodes need a publish_date'),
+    
+    body('publish_date')
+        .optional({ values: 'null' })
+        .isISO8601()
+        .withMessage('publish_date must be an ISO 8601 date; without an offset it is read in the show time zone')
 ];
 
 // User validation rules
@@ -0,0 +1,12 @@
+-- Rollback for: Add Podcasting 2.0 fields
+-- Created: 2026-10-19T09:00:00.000Z
+
+ALTER TABLE episodes
+    DROP COLUMN soundbites;
+
+ALTER TABLE shows
+    DROP COLUMN persons,
+    DROP COLUMN funding_message,
+    DROP COLUMN funding_url,
+    DROP COLUMN podcast_locked,
+    DROP COLUMN podcast_guid;
@@ -0,0 +1,14 @@
+-- Migration: Add Podcasting 2.0 fields
+-- Created: 2026-10-19T09:00:00.000Z
+
+-- Show-level values for podcast:guid, podcast:locked, podcast:funding and podcast:person
+ALTER TABLE shows
+    ADD COLUMN podcast_guid CHAR(36) AFTER rss_url,
+    ADD COLUMN podcast_locked BOOLEAN DEFAULT FALSE AFTER podcast_guid,
+    ADD COLUMN funding_url VARCHAR(500) AFTER podcast_locked,
+    ADD COLUMN funding_message VARCHAR(128) AFTER funding_url,
+    ADD COLUMN persons JSON AFTER funding_message;
+
+-- Episode highlight clips for podcast:soundbite
+ALTER TABLE episodes
+    ADD COLUMN soundbites JSON AFTER chapter_marks;
@@ -0,0 +1,15 @@
+-- Rollback for: Add paged and private feeds
+-- Created: 2026-10-19T10:00:00.000Z
+
+ALTER TABLE show_subscriptions
+    DROP INDEX unique_feed_token,
+    DROP COLUMN token_revoked_at,
+    DROP COLUMN feed_token;
+
+ALTER TABLE episodes
+    DROP INDEX idx_access_level,
+    DROP COLUMN public_release_date,
+    DROP COLUMN access_level;
+
+ALTER TABLE shows
+    DROP COLUMN feed_item_limit;
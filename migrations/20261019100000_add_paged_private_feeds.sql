@@ -0,0 +1,19 @@
+-- Migration: Add paged and private feeds
+-- Created: 2026-10-19T10:00:00.000Z
+
+-- Optional cap on how many of the latest episodes a show's feed lists
+ALTER TABLE shows
+    ADD COLUMN feed_item_limit INT NULL AFTER persons;
+
+-- Premium episodes are only listed in private feeds; early-access episodes
+-- join the public feed once their public_release_date has passed
+ALTER TABLE episodes
+    ADD COLUMN access_level ENUM('public', 'premium', 'early_access') DEFAULT 'public' AFTER is_published,
+    ADD COLUMN public_release_date TIMESTAMP NULL AFTER access_level,
+    ADD INDEX idx_access_level (access_level);
+
+-- Per-subscriber token for private RSS feeds
+ALTER TABLE show_subscriptions
+    ADD COLUMN feed_token CHAR(64) NULL AFTER subscription_type,
+    ADD COLUMN token_revoked_at TIMESTAMP NULL AFTER feed_token,
+    ADD UNIQUE KEY unique_feed_token (feed_token);
@@ -0,0 +1,6 @@
+-- Rollback for: Add episode GUID
+-- Created: 2026-10-19T11:00:00.000Z
+
+ALTER TABLE episodes
+    DROP INDEX unique_show_guid,
+    DROP COLUMN guid;
@@ -0,0 +1,8 @@
+-- Migration: Add episode GUID
+-- Created: 2026-10-19T11:00:00.000Z
+
+-- The <guid> of the source feed item, so synced episodes are matched on it
+-- rather than on an audio URL that can change
+ALTER TABLE episodes
+    ADD COLUMN guid VARCHAR(500) NULL AFTER slug,
+    ADD UNIQUE KEY unique_show_guid (show_id, guid);
@@ -0,0 +1,8 @@
+-- Rollback for: Add sync update policy
+-- Created: 2026-10-19T12:00:00.000Z
+
+ALTER TABLE episodes
+    DROP COLUMN sync_snapshot;
+
+ALTER TABLE shows
+    DROP COLUMN sync_update_policy;
@@ -0,0 +1,12 @@
+-- Migration: Add sync update policy
+-- Created: 2026-10-19T12:00:00.000Z
+
+-- How RSS re-sync treats episode fields that were edited in CastBuzz:
+-- overwrite them with the feed, or keep the local edit
+ALTER TABLE shows
+    ADD COLUMN sync_update_policy ENUM('overwrite', 'preserve_local') DEFAULT 'preserve_local' AFTER feed_item_limit;
+
+-- Field values as last imported from the feed; a stored value that differs
+-- from its snapshot has been edited locally
+ALTER TABLE episodes
+    ADD COLUMN sync_snapshot JSON NULL AFTER guid;
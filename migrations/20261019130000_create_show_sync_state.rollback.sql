@@ -0,0 +1,4 @@
+-- Rollback for: Create show sync state
+-- Created: 2026-10-19T13:00:00.000Z
+
+DROP TABLE IF EXISTS show_sync_state;
@@ -0,0 +1,22 @@
+-- Migration: Create show sync state
+-- Created: 2026-10-19T13:00:00.000Z
+
+-- Per-show RSS sync state: HTTP validators for conditional fetches, outcome
+-- of the last attempts and when the feed is due again
+CREATE TABLE IF NOT EXISTS show_sync_state (
+    show_id INT PRIMARY KEY,
+    feed_url VARCHAR(500) NOT NULL, -- URL the validators below belong to
+    etag VARCHAR(255),
+    last_modified VARCHAR(64), -- Raw Last-Modified header, sent back as If-Modified-Since
+    last_http_status SMALLINT,
+    last_checked_at TIMESTAMP NULL,
+    last_success_at TIMESTAMP NULL,
+    last_error TEXT,
+    last_error_at TIMESTAMP NULL,
+    consecutive_failures INT DEFAULT 0,
+    next_due_at TIMESTAMP NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_next_due_at (next_due_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+-- Rollback for: Create scheduled jobs
+-- Created: 2026-10-19T14:00:00.000Z
+
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS scheduled_jobs;
@@ -0,0 +1,41 @@
+-- Migration: Create scheduled jobs
+-- Created: 2026-10-19T14:00:00.000Z
+
+-- Recurring background jobs. A row is locked by the instance running it until
+-- locked_until, so only one of several app instances runs a job at a time.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    cron_expression VARCHAR(100) NOT NULL, -- Five-field cron expression, evaluated in UTC
+    is_enabled BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP NULL,
+    last_run_at TIMESTAMP NULL,
+    last_status ENUM('succeeded', 'failed') NULL,
+    locked_by VARCHAR(255), -- Instance currently running the job
+    locked_until TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    INDEX idx_next_run_at (is_enabled, next_run_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per job run, scheduled or triggered by hand
+CREATE TABLE IF NOT EXISTS job_runs (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    job_id INT NOT NULL,
+    trigger_type ENUM('schedule', 'manual', 'external') NOT NULL DEFAULT 'schedule',
+    triggered_by INT,
+    instance_id VARCHAR(255),
+    status ENUM('running', 'succeeded', 'failed') NOT NULL DEFAULT 'running',
+    result JSON,
+    error TEXT,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP NULL,
+    duration_ms INT,
+
+    FOREIGN KEY (job_id) REFERENCES scheduled_jobs(id) ON DELETE CASCADE,
+    FOREIGN KEY (triggered_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_job_started (job_id, started_at),
+    INDEX idx_status (status)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
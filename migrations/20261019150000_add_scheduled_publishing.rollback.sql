@@ -0,0 +1,9 @@
+-- Rollback for: Add scheduled publishing
+-- Created: 2026-10-19T15:00:00.000Z
+
+ALTER TABLE episodes
+    DROP INDEX idx_status_publish_date,
+    DROP COLUMN status;
+
+ALTER TABLE shows
+    DROP COLUMN timezone;
@@ -0,0 +1,14 @@
+-- Migration: Add scheduled publishing
+-- Created: 2026-10-19T15:00:00.000Z
+
+-- Publish dates without an explicit offset are read in the show's time zone
+ALTER TABLE shows
+    ADD COLUMN timezone VARCHAR(50) DEFAULT 'UTC' AFTER language;
+
+-- Scheduled episodes are not yet live; the publisher job flips them to
+-- published once publish_date has passed. is_published mirrors status = 'published'.
+ALTER TABLE episodes
+    ADD COLUMN status ENUM('draft', 'scheduled', 'published') NOT NULL DEFAULT 'published' AFTER publish_date,
+    ADD INDEX idx_status_publish_date (status, publish_date);
+
+UPDATE episodes SET status = 'draft' WHERE is_published = FALSE;
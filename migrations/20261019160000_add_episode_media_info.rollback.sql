@@ -0,0 +1,9 @@
+-- Rollback for: Add episode media info
+-- Created: 2026-10-19T16:00:00.000Z
+
+UPDATE episodes SET mime_type = 'audio/mpeg' WHERE mime_type IS NULL;
+
+ALTER TABLE episodes
+    DROP COLUMN media_probed_at,
+    DROP COLUMN media_info,
+    MODIFY COLUMN mime_type VARCHAR(100) DEFAULT 'audio/mpeg';
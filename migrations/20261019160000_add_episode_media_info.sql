@@ -0,0 +1,13 @@
+-- Migration: Add episode media info
+-- Created: 2026-10-19T16:00:00.000Z
+
+-- Results of inspecting the uploaded audio: codec, bitrate, sample rate,
+-- channels and container, plus when the file was last inspected
+ALTER TABLE episodes
+    MODIFY COLUMN mime_type VARCHAR(100) NULL DEFAULT NULL,
+    ADD COLUMN media_info JSON NULL AFTER mime_type,
+    ADD COLUMN media_probed_at TIMESTAMP NULL AFTER media_info;
+
+-- Only synced episodes ever had a real MIME type; the rest carry the old
+-- 'audio/mpeg' default, which feeds now fall back from by file extension
+UPDATE episodes SET mime_type = NULL WHERE guid IS NULL;
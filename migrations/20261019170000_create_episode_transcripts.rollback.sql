@@ -0,0 +1,4 @@
+-- Rollback for: Create episode transcripts
+-- Created: 2026-10-19T17:00:00.000Z
+
+DROP TABLE IF EXISTS episode_transcripts;
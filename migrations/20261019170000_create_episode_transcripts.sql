@@ -0,0 +1,21 @@
+-- Migration: Create episode transcripts
+-- Created: 2026-10-19T17:00:00.000Z
+
+-- Hosted transcripts. Cues are stored once in a neutral form and rendered as
+-- SRT, WebVTT or JSON on request; the plain text is indexed for search.
+CREATE TABLE IF NOT EXISTS episode_transcripts (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL UNIQUE,
+    language VARCHAR(10) DEFAULT 'en',
+    source_format ENUM('srt', 'vtt', 'json') NOT NULL, -- Format the producer uploaded
+    segments JSON NOT NULL, -- [{start_time, end_time, speaker, body}], times in seconds
+    segment_count INT DEFAULT 0,
+    body_text MEDIUMTEXT NOT NULL, -- Spoken text without timings, for full-text search
+    created_by INT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    FULLTEXT idx_search (body_text)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,4 @@
+-- Rollback for: Add tag search index
+-- Created: 2026-10-19T18:00:00.000Z
+
+ALTER TABLE tags DROP INDEX idx_search;
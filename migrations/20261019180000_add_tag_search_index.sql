@@ -0,0 +1,6 @@
+-- Migration: Add tag search index
+-- Created: 2026-10-19T18:00:00.000Z
+
+-- Shows and episodes already have FULLTEXT idx_search; tags get the same so
+-- /api/search can rank all three with MATCH ... AGAINST
+ALTER TABLE tags ADD FULLTEXT idx_search (name);
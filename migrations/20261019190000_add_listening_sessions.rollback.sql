@@ -0,0 +1,11 @@
+-- Rollback for: Add listening sessions
+-- Created: 2026-10-19T19:00:00.000Z
+
+ALTER TABLE listening_history
+    DROP INDEX unique_session_episode,
+    DROP COLUMN session_id;
+
+DELETE FROM analytics_events WHERE event_type IN ('skip', 'heartbeat', 'unsubscribe', 'rate');
+
+ALTER TABLE analytics_events
+    MODIFY event_type ENUM('play', 'pause', 'complete', 'download', 'share', 'subscribe', 'like', 'comment', 'search', 'page_view') NOT NULL;
@@ -0,0 +1,12 @@
+-- Migration: Add listening sessions
+-- Created: 2026-10-19T19:00:00.000Z
+
+-- Event types sent by the web player that the column did not accept
+ALTER TABLE analytics_events
+    MODIFY event_type ENUM('play', 'pause', 'complete', 'skip', 'heartbeat', 'download', 'share', 'subscribe', 'unsubscribe', 'rate', 'like', 'comment', 'search', 'page_view') NOT NULL;
+
+-- Anonymous listeners are tracked per player session; signed-in listeners
+-- keep one row per episode through unique_user_episode
+ALTER TABLE listening_history
+    ADD COLUMN session_id VARCHAR(128) NULL AFTER user_id,
+    ADD UNIQUE KEY unique_session_episode (session_id, episode_id);
@@ -0,0 +1,5 @@
+-- Rollback for: Create download tracking
+-- Created: 2026-10-19T20:00:00.000Z
+
+DROP TABLE IF EXISTS episode_downloads;
+DROP TABLE IF EXISTS download_requests;
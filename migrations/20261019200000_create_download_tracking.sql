@@ -0,0 +1,45 @@
+-- Migration: Create download tracking
+-- Created: 2026-10-19T20:00:00.000Z
+
+-- Enclosure requests through the download tracking redirect, one row each
+CREATE TABLE IF NOT EXISTS download_requests (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(500),
+    referer VARCHAR(500),
+    range_header VARCHAR(100), -- Raw Range header
+    range_start BIGINT,
+    range_end BIGINT,
+    bytes_requested BIGINT, -- NULL when the file size is unknown
+    excluded_reason ENUM('bot', 'prefetch'), -- NULL when the request can count
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_episode_requested (episode_id, requested_at),
+    INDEX idx_requested_at (requested_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Unique downloads: one per episode, IP address and user agent per day
+CREATE TABLE IF NOT EXISTS episode_downloads (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    download_date DATE NOT NULL,
+    ip_address VARCHAR(45),
+    user_agent_hash CHAR(64) NOT NULL, -- SHA-256 of the user agent, for the unique key
+    user_agent VARCHAR(500),
+    first_requested_at TIMESTAMP NULL,
+    bytes_requested BIGINT,
+    counted BOOLEAN DEFAULT FALSE, -- Added to episodes.download_count
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    UNIQUE KEY unique_download (episode_id, download_date, ip_address, user_agent_hash),
+    INDEX idx_show_date (show_id, download_date),
+    INDEX idx_download_date (download_date),
+    INDEX idx_counted (counted)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,13 @@
+-- Rollback for: Create analytics rollups
+-- Created: 2026-10-19T21:00:00.000Z
+
+ALTER TABLE episode_downloads
+    DROP COLUMN country,
+    DROP COLUMN device_type;
+
+ALTER TABLE download_requests
+    DROP COLUMN country,
+    DROP COLUMN device_type;
+
+DROP TABLE IF EXISTS analytics_daily;
+DROP TABLE IF EXISTS analytics_hourly;
@@ -0,0 +1,50 @@
+-- Migration: Create analytics rollups
+-- Created: 2026-10-19T21:00:00.000Z
+
+-- Hourly analytics rollup per episode, country and device, rebuilt by the
+-- analytics_rollup job. unique_listeners is only unique within its row.
+CREATE TABLE IF NOT EXISTS analytics_hourly (
+    bucket_start DATETIME NOT NULL, -- Start of the hour
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    country CHAR(2) NOT NULL DEFAULT '', -- Empty when unknown
+    device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') NOT NULL DEFAULT 'unknown',
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0, -- Unique downloads from episode_downloads
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_start, episode_id, country, device_type),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_start),
+    INDEX idx_episode_bucket (episode_id, bucket_start)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Daily analytics rollup, same shape as analytics_hourly
+CREATE TABLE IF NOT EXISTS analytics_daily (
+    bucket_date DATE NOT NULL,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    country CHAR(2) NOT NULL DEFAULT '',
+    device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') NOT NULL DEFAULT 'unknown',
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0,
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_date, episode_id, country, device_type),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_date),
+    INDEX idx_episode_bucket (episode_id, bucket_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Downloads are broken down by device and country like listener events
+ALTER TABLE download_requests
+    ADD COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown' AFTER user_agent,
+    ADD COLUMN country VARCHAR(2) NULL AFTER device_type;
+
+ALTER TABLE episode_downloads
+    ADD COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown' AFTER user_agent,
+    ADD COLUMN country VARCHAR(2) NULL AFTER device_type;
@@ -0,0 +1,4 @@
+-- Rollback for: Create analytics exports
+-- Created: 2026-10-19T22:00:00.000Z
+
+DROP TABLE IF EXISTS analytics_exports;
@@ -0,0 +1,25 @@
+-- Migration: Create analytics exports
+-- Created: 2026-10-19T22:00:00.000Z
+
+-- Analytics exports queued to run in the background. The file is written to
+-- the export directory by the analytics_exports job and deleted on expiry.
+CREATE TABLE IF NOT EXISTS analytics_exports (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    user_id INT,
+    dataset ENUM('events', 'downloads', 'hourly', 'daily') NOT NULL,
+    format ENUM('csv', 'ndjson', 'parquet') NOT NULL,
+    filters JSON, -- { from, to, showIds, episodeIds, eventTypes }
+    status ENUM('queued', 'running', 'completed', 'failed', 'expired') NOT NULL DEFAULT 'queued',
+    row_count BIGINT,
+    file_size BIGINT,
+    error_message TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    expires_at TIMESTAMP NULL, -- When the file is deleted
+    
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_status_created (status, created_at),
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,6 @@
+-- Rollback for: Add analytics privacy
+-- Created: 2026-10-19T23:00:00.000Z
+
+ALTER TABLE episode_downloads DROP INDEX idx_first_requested_at;
+
+DROP TABLE IF EXISTS analytics_salts;
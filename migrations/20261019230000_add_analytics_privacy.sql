@@ -0,0 +1,13 @@
+-- Migration: Add analytics privacy
+-- Created: 2026-10-19T23:00:00.000Z
+
+-- Daily salt for hashing IP addresses before they are stored. Each day's salt is
+-- deleted by the analytics_purge job once the day is over.
+CREATE TABLE IF NOT EXISTS analytics_salts (
+    salt_date DATE PRIMARY KEY,
+    salt CHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- The retention purge deletes unique downloads by first request time
+ALTER TABLE episode_downloads ADD INDEX idx_first_requested_at (first_requested_at);
@@ -0,0 +1,36 @@
+-- Rollback for: Add podcast client detection
+-- Created: 2026-10-19T23:30:00.000Z
+
+DROP TABLE IF EXISTS analytics_platforms_daily;
+
+-- Devices the old columns can't hold become 'unknown'
+UPDATE analytics_events SET device_type = 'unknown' WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+UPDATE listening_history SET device_type = 'unknown' WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+UPDATE download_requests SET device_type = 'unknown' WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+UPDATE episode_downloads SET device_type = 'unknown' WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+DELETE FROM analytics_hourly WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+DELETE FROM analytics_daily WHERE device_type IN ('smart_speaker', 'watch', 'tv', 'car');
+
+ALTER TABLE analytics_daily
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') NOT NULL DEFAULT 'unknown';
+
+ALTER TABLE analytics_hourly
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') NOT NULL DEFAULT 'unknown';
+
+ALTER TABLE episode_downloads
+    DROP COLUMN os,
+    DROP COLUMN app,
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown';
+
+ALTER TABLE download_requests
+    DROP COLUMN os,
+    DROP COLUMN app,
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown';
+
+ALTER TABLE listening_history
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown';
+
+ALTER TABLE analytics_events
+    DROP COLUMN is_bot,
+    DROP COLUMN app,
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'unknown') DEFAULT 'unknown';
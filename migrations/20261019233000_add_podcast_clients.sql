@@ -0,0 +1,48 @@
+-- Migration: Add podcast client detection
+-- Created: 2026-10-19T23:30:00.000Z
+
+-- Device types from the podcast user agent database
+ALTER TABLE analytics_events
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    ADD COLUMN app VARCHAR(100) AFTER device_type,
+    ADD COLUMN is_bot BOOLEAN DEFAULT FALSE AFTER os;
+
+ALTER TABLE listening_history
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown';
+
+ALTER TABLE download_requests
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    ADD COLUMN app VARCHAR(100) AFTER device_type,
+    ADD COLUMN os VARCHAR(100) AFTER app;
+
+ALTER TABLE episode_downloads
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') DEFAULT 'unknown',
+    ADD COLUMN app VARCHAR(100) AFTER device_type,
+    ADD COLUMN os VARCHAR(100) AFTER app;
+
+ALTER TABLE analytics_hourly
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown';
+
+ALTER TABLE analytics_daily
+    MODIFY COLUMN device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown';
+
+-- Daily rollup per podcast app, device and OS family, rebuilt by the
+-- analytics_rollup job alongside analytics_daily
+CREATE TABLE IF NOT EXISTS analytics_platforms_daily (
+    bucket_date DATE NOT NULL,
+    episode_id INT NOT NULL,
+    show_id INT NOT NULL,
+    app VARCHAR(100) NOT NULL DEFAULT '', -- Empty for browsers and unknown clients
+    device_type ENUM('desktop', 'mobile', 'tablet', 'smart_speaker', 'watch', 'tv', 'car', 'unknown') NOT NULL DEFAULT 'unknown',
+    os VARCHAR(50) NOT NULL DEFAULT '', -- Family without version, empty when unknown
+    plays INT UNSIGNED DEFAULT 0,
+    downloads INT UNSIGNED DEFAULT 0,
+    unique_listeners INT UNSIGNED DEFAULT 0,
+    listen_seconds BIGINT UNSIGNED DEFAULT 0,
+    
+    PRIMARY KEY (bucket_date, episode_id, app, device_type, os),
+    FOREIGN KEY (episode_id) REFERENCES episodes(id) ON DELETE CASCADE,
+    FOREIGN KEY (show_id) REFERENCES shows(id) ON DELETE CASCADE,
+    INDEX idx_show_bucket (show_id, bucket_date),
+    INDEX idx_episode_bucket (episode_id, bucket_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
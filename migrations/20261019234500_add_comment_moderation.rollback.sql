@@ -0,0 +1,10 @@
+-- Rollback for: Add comment moderation
+-- Created: 2026-10-19T23:45:00.000Z
+
+ALTER TABLE comments
+    DROP INDEX idx_status_created_at,
+    DROP INDEX idx_episode_status;
+
+ALTER TABLE shows
+    DROP COLUMN comments_require_approval,
+    DROP COLUMN comments_enabled;
@@ -0,0 +1,18 @@
+-- Migration: Add comment moderation
+-- Created: 2026-10-19T23:45:00.000Z
+
+-- Per-show comment settings; NULL follows the site-wide system setting
+ALTER TABLE shows
+    ADD COLUMN comments_enabled BOOLEAN NULL AFTER sync_update_policy,
+    ADD COLUMN comments_require_approval BOOLEAN NULL AFTER comments_enabled;
+
+-- Public threads list an episode's approved comments; the moderation queue
+-- lists one status oldest first
+ALTER TABLE comments
+    ADD INDEX idx_episode_status (episode_id, status),
+    ADD INDEX idx_status_created_at (status, created_at);
+
+-- comment_count was never maintained. Replies under hidden comments drop out
+-- of it the next time the episode's comments are moderated.
+UPDATE episodes e
+SET comment_count = (SELECT COUNT(*) FROM comments c WHERE c.episode_id = e.id AND c.status = 'approved');
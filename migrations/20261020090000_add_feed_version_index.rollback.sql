@@ -0,0 +1,4 @@
+-- Rollback for: Add feed version index
+-- Created: 2026-10-20T09:00:00.000Z
+
+ALTER TABLE episodes DROP INDEX idx_show_updated_at;
@@ -0,0 +1,6 @@
+-- Migration: Add feed version index
+-- Created: 2026-10-20T09:00:00.000Z
+
+-- Every public feed request reads MAX(updated_at) of the show's episodes to
+-- check its cached copy is still current
+ALTER TABLE episodes ADD INDEX idx_show_updated_at (show_id, updated_at);
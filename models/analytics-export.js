@@ -0,0 +1,101 @@
+// models/analytics-export.js
+// Background analytics exports and their status
+
+const db = require('../lib/database');
+const config = require('../config/app.config');
+
+class AnalyticsExport {
+    static async create({ userId, dataset, format, filters }) {
+        const result = await db.query(`
+            INSERT INTO analytics_exports (user_id, dataset, format, filters)
+            VALUES (?, ?, ?, ?)
+        `, [userId, dataset, format, JSON.stringify(filters)]);
+
+        return this.findById(result.insertId);
+    }
+
+    static async findById(id) {
+        const [exportJob] = await db.query('SELECT * FROM analytics_exports WHERE id = ?', [id]);
+        return exportJob ? this.parse(exportJob) : null;
+    }
+
+    static async findByUser(userId, limit = 50) {
+        const exports = await db.query(`
+            SELECT * FROM analytics_exports
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `, [userId, limit]);
+
+        return exports.map(exportJob => this.parse(exportJob));
+    }
+
+    // Take the oldest queued export. The status check in the update keeps two
+    // runners from taking the same one.
+    static async claimNext() {
+        const [next] = await db.query(`
+            SELECT id FROM analytics_exports
+            WHERE status = 'queued'
+            ORDER BY created_at ASC, id ASC
+            LIMIT 1
+        `);
+        if (!next) return null;
+
+        const result = await db.query(`
+            UPDATE analytics_exports
+            SET status = 'running', started_at = NOW()
+            WHERE id = ? AND status = 'queued'
+        `, [next.id]);
+
+        return result.affectedRows === 1 ? this.findById(next.id) : this.claimNext();
+    }
+
+    static async markCompleted(id, { rowCount, fileSize }) {
+        await db.query(`
+            UPDATE analytics_exports
+            SET status = 'completed', row_count = ?, file_size = ?, completed_at = NOW(),
+                expires_at = NOW() + INTERVAL ? HOUR
+            WHERE id = ?
+        `, [rowCount, fileSize, config.analytics.exportRetentionHours, id]);
+    }
+
+    static async markFailed(id, message) {
+        await db.query(`
+            UPDATE analytics_exports
+            SET status = 'failed', error_message = ?, completed_at = NOW()
+            WHERE id = ?
+        `, [message, id]);
+    }
+
+    static async failInterrupted() {
+        const result = await db.query(`
+            UPDATE analytics_exports
+            SET status = 'failed', error_message = 'Export was interrupted', completed_at = NOW()
+            WHERE status = 'running'
+        `);
+
+        return result.affectedRows;
+    }
+
+    static async findExpired() {
+        const exports = await db.query(`
+            SELECT * FROM analytics_exports
+            WHERE status = 'completed' AND expires_at <= NOW()
+        `);
+
+        return exports.map(exportJob => this.parse(exportJob));
+    }
+
+    static async markExpired(id) {
+        await db.query("UPDATE analytics_exports SET status = 'expired' WHERE id = ?", [id]);
+    }
+
+    static parse(exportJob) {
+        return {
+            ...exportJob,
+            filters: typeof exportJob.filters === 'string' ? JSON.parse(exportJob.filters) : (exportJob.filters || {})
+        };
+    }
+}
+
+module.exports = AnalyticsExport;
@@ -0,0 +1,247 @@
+// models/chapter.js
+// Episode chapters, stored in the episodes.chapter_marks JSON column
+
+const db = require('../lib/database');
+const User = require('./user');
+const feedCache = require('../lib/feed-cache');
+const RSSManager = require('../lib/rss-utility');
+
+const MAX_CHAPTERS = 500;
+
+class Chapter {
+    static async findByEpisode(episodeId) {
+        const episode = await this.getEpisode(db.query.bind(db), episodeId);
+        return this.normalize(episode.chapter_marks);
+    }
+
+    static async findById(episodeId, chapterId) {
+        const chapters = await this.findByEpisode(episodeId);
+        const chapter = chapters.find(chapter => chapter.id === Number(chapterId));
+
+        if (!chapter) {
+            throw new Error('Chapter not found');
+        }
+
+        return chapter;
+    }
+
+    // Replace every chapter of an episode
+    static async replaceAll(episodeId, chapters, userId) {
+        return this.modify(episodeId, userId, 'episode_chapters_replaced', () => {
+            return chapters.map((chapter, index) => ({ ...chapter, id: index + 1 }));
+        });
+    }
+
+    static async create(episodeId, chapterData, userId) {
+        let created;
+
+        const chapters = await this.modify(episodeId, userId, 'episode_chapter_created', (current) => {
+            created = { ...chapterData, id: this.nextId(current) };
+            return [...current, created];
+        });
+
+        return { chapter: chapters.find(chapter => chapter.id === created.id), chapters };
+    }
+
+    static async update(episodeId, chapterId, updateData, userId) {
+        const id = Number(chapterId);
+
+        const chapters = await this.modify(episodeId, userId, 'episode_chapter_updated', (current) => {
+            const existing = current.find(chapter => chapter.id === id);
+            if (!existing) {
+                throw new Error('Chapter not found');
+            }
+
+            const allowedFields = ['start_time', 'end_time', 'title', 'img', 'url', 'toc'];
+            const updated = { ...existing };
+
+            for (const [key, value] of Object.entries(updateData)) {
+                if (allowedFields.includes(key) && value !== undefined) {
+                    updated[key] = value;
+                }
+            }
+
+            return current.map(chapter => (chapter.id === id ? updated : chapter));
+        });
+
+        return { chapter: chapters.find(chapter => chapter.id === id), chapters };
+    }
+
+    static async delete(episodeId, chapterId, userId) {
+        const id = Number(chapterId);
+
+        return this.modify(episodeId, userId, 'episode_chapter_deleted', (current) => {
+            if (!current.some(chapter => chapter.id === id)) {
+                throw new Error('Chapter not found');
+            }
+
+            return current.filter(chapter => chapter.id !== id);
+        });
+    }
+
+    // Chapters read from an uploaded file. Chapters already on the episode win,
+    // and marks past the end of the audio are dropped rather than rejected.
+    static async importFromAudio(episodeId, chapters) {
+        if (chapters.length === 0) {
+            return 0;
+        }
+
+        return db.transaction(async (query) => {
+            const episode = await this.getEpisode(query, episodeId, true);
+
+            if (this.normalize(episode.chapter_marks).length > 0) {
+                return 0;
+            }
+
+            const duration = this.getDuration(episode);
+            const usable = chapters
+                .filter(chapter => chapter.start_time >= 0 && (!duration || chapter.start_time < duration))
+                .map((chapter, index) => {
+                    const endTime = duration && chapter.end_time > duration ? duration : chapter.end_time;
+
+                    return {
+                        ...chapter,
+                        id: index + 1,
+                        title: chapter.title || `Chapter ${index + 1}`,
+                        end_time: endTime > chapter.start_time ? endTime : undefined
+                    };
+                });
+
+            const imported = this.validate(usable, duration);
+            if (imported.length === 0) {
+                return 0;
+            }
+
+            await query('UPDATE episodes SET chapter_marks = ?, updated_at = NOW() WHERE id = ?', [
+                JSON.stringify(imported),
+                episodeId
+            ]);
+            feedCache.invalidate(episode.show_id);
+
+            return imported.length;
+        });
+    }
+
+    // Read-modify-write of the chapter list under a row lock, so two editors
+    // adding chapters at once don't overwrite each other
+    static async modify(episodeId, userId, action, change) {
+        const { episode, chapters } = await db.transaction(async (query) => {
+            const episode = await this.getEpisode(query, episodeId, true);
+            const chapters = this.validate(change(this.normalize(episode.chapter_marks)), this.getDuration(episode));
+
+            await query('UPDATE episodes SET chapter_marks = ?, updated_at = NOW() WHERE id = ?', [
+                chapters.length > 0 ? JSON.stringify(chapters) : null,
+                episodeId
+            ]);
+
+            return { episode, chapters };
+        });
+
+        // The podcast:chapters tag only appears while an episode has chapters
+        feedCache.invalidate(episode.show_id);
+
+        await User.logActivity(userId, action, {
+            entityType: 'episode',
+            entityId: episodeId,
+            data: { title: episode.title, chapters: chapters.length }
+        });
+
+        return chapters;
+    }
+
+    static async getEpisode(query, episodeId, forUpdate = false) {
+        const [episode] = await query(`
+            SELECT id, show_id, title, duration, duration_seconds, chapter_marks
+            FROM episodes
+            WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}
+        `, [episodeId]);
+
+        if (!episode) {
+            throw new Error('Episode not found');
+        }
+
+        return episode;
+    }
+
+    // Episode length in seconds, or null while the audio hasn't been measured
+    static getDuration(episode) {
+        return episode.duration_seconds || RSSManager.toSeconds(episode.duration) || null;
+    }
+
+    // Stored chapters in a consistent shape. Marks imported from feeds may use
+    // the JSON chapters field names and have no ids yet.
+    static normalize(chapterMarks) {
+        const chapters = RSSManager.parseJsonColumn(chapterMarks).filter(chapter => chapter && typeof chapter === 'object');
+        let nextId = this.nextId(chapters);
+
+        return chapters
+            .map(chapter => RSSManager.compactAttributes({
+                id: Number.isInteger(chapter.id) ? chapter.id : nextId++,
+                start_time: RSSManager.toSeconds(chapter.start_time ?? chapter.startTime ?? chapter.time),
+                end_time: RSSManager.toSeconds(chapter.end_time ?? chapter.endTime),
+                title: chapter.title,
+                img: chapter.img || chapter.image_url,
+                url: chapter.url,
+                toc: chapter.toc === false ? false : undefined
+            }))
+            .filter(chapter => chapter.start_time !== undefined)
+            .sort((a, b) => a.start_time - b.start_time);
+    }
+
+    // Checks a chapter list against the episode duration and returns it sorted
+    static validate(chapters, duration) {
+        if (chapters.length > MAX_CHAPTERS) {
+            throw new Error(`Invalid chapter: an episode can have at most ${MAX_CHAPTERS} chapters`);
+        }
+
+        const validated = chapters.map((chapter) => {
+            const startTime = RSSManager.toSeconds(chapter.start_time);
+            const endTime = chapter.end_time === undefined || chapter.end_time === null || chapter.end_time === ''
+                ? null
+                : RSSManager.toSeconds(chapter.end_time);
+            const title = typeof chapter.title === 'string' ? chapter.title.trim() : '';
+
+            if (startTime === null || startTime < 0) {
+                throw new Error('Invalid chapter: start_time must be zero or more seconds');
+            }
+            if (duration && startTime >= duration) {
+                throw new Error(`Invalid chapter: start_time ${startTime} is past the end of the episode (${duration}s)`);
+            }
+            if (endTime !== null && !(endTime > startTime)) {
+                throw new Error('Invalid chapter: end_time must be after start_time');
+            }
+            if (endTime !== null && duration && endTime > duration) {
+                throw new Error(`Invalid chapter: end_time ${endTime} is past the end of the episode (${duration}s)`);
+            }
+            if (!title) {
+                throw new Error('Invalid chapter: title is required');
+            }
+
+            return RSSManager.compactAttributes({
+                id: chapter.id,
+                start_time: startTime,
+                end_time: endTime,
+                title,
+                img: chapter.img,
+                url: chapter.url,
+                toc: chapter.toc === false ? false : undefined
+            });
+        });
+
+        validated.sort((a, b) => a.start_time - b.start_time);
+
+        for (let i = 1; i < validated.length; i++) {
+            if (validated[i].start_time === validated[i - 1].start_time) {
+                throw new Error(`Invalid chapter: two chapters start at ${validated[i].start_time}s`);
+            }
+        }
+
+        return validated;
+    }
+
+    static nextId(chapters) {
+        return chapters.reduce((max, chapter) => (Number.isInteger(chapter.id) && chapter.id > max ? chapter.id : max), 0) + 1;
+    }
+}
+
+module.exports = Chapter;
@@ -0,0 +1,212 @@
+// models/comment.js
+// Episode comments: public threads, posting and the moderation queue
+
+const db = require('../lib/database');
+const User = require('./user');
+const Episode = require('./episode');
+const { resolveCommentSettings, buildThreads, countVisible } = require('../lib/comments');
+
+class Comment {
+    // A published episode anyone can listen to, with the comment settings
+    // that apply to it
+    static async findEpisode(episodeId) {
+        const [episode] = await db.query(`
+            SELECT e.id, e.show_id, s.comments_enabled, s.comments_require_approval
+            FROM episodes e
+            JOIN shows s ON e.show_id = s.id
+            WHERE e.id = ? AND e.is_published = TRUE AND e.publish_date <= NOW() AND s.is_active = TRUE
+              AND ${Episode.publicFeedCondition()}
+        `, [episodeId]);
+
+        if (!episode) {
+            throw new Error('Episode not found');
+        }
+
+        const siteSettings = await db.query(`
+            SELECT setting_key, setting_value FROM system_settings
+            WHERE setting_key IN ('comments_enabled', 'comments_require_approval')
+        `);
+
+        return {
+            id: episode.id,
+            show_id: episode.show_id,
+            settings: resolveCommentSettings(
+                Object.fromEntries(siteSettings.map(setting => [setting.setting_key, setting.setting_value])),
+                episode
+            )
+        };
+    }
+
+    static async findById(id) {
+        const [comment] = await db.query('SELECT * FROM comments WHERE id = ?', [id]);
+        return comment || null;
+    }
+
+    // Approved comments of an episode as threads, paginated by top-level
+    // comment. Threads are built in memory, so replies of any depth come along.
+    static async findThreads(episodeId, { sort = 'oldest', limit = 20, offset = 0 } = {}) {
+        const comments = await db.query(`
+            SELECT id, parent_id, author_name, content, like_count, created_at
+            FROM comments
+            WHERE episode_id = ? AND status = 'approved'
+        `, [episodeId]);
+
+        const threads = buildThreads(comments, { newestFirst: sort === 'newest' });
+
+        return {
+            threads: threads.slice(offset, offset + limit),
+            total: threads.length
+        };
+    }
+
+    // episode: from findEpisode. Moderators' comments skip the queue.
+    static async create(episode, { parentId, authorName, authorEmail, content }, { userId, isModerator, ipAddress, userAgent }) {
+        if (!episode.settings.enabled) {
+            throw new Error('Comments are disabled for this show');
+        }
+
+        if (parentId) {
+            const [parent] = await db.query(
+                "SELECT id FROM comments WHERE id = ? AND episode_id = ? AND status = 'approved'",
+                [parentId, episode.id]
+            );
+            if (!parent) {
+                throw new Error('Parent comment not found');
+            }
+        }
+
+        const status = isModerator || !episode.settings.requireApproval ? 'approved' : 'pending';
+
+        const result = await db.query(`
+            INSERT INTO comments (
+                episode_id, user_id, parent_id, author_name, author_email, content, status, ip_address, user_agent
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            episode.id,
+            userId || null,
+            parentId || null,
+            authorName,
+            authorEmail || null,
+            content,
+            status,
+            ipAddress,
+            userAgent
+        ]);
+
+        if (status === 'approved') {
+            await this.refreshCommentCounts([episode.id]);
+        }
+
+        return this.findById(result.insertId);
+    }
+
+    // Moderation queue, oldest first so nothing waits longest at the back
+    static async findForModeration({ status = 'pending', showId, episodeId, limit = 50, offset = 0 } = {}) {
+        const conditions = ['c.status = ?'];
+        const params = [status];
+
+        if (showId) {
+            conditions.push('e.show_id = ?');
+            params.push(showId);
+        }
+
+        if (episodeId) {
+            conditions.push('c.episode_id = ?');
+            params.push(episodeId);
+        }
+
+        const where = `WHERE ${conditions.join(' AND ')}`;
+
+        const [comments, [{ total }]] = await Promise.all([
+            db.query(`
+                SELECT c.id, c.episode_id, e.title as episode_title, e.show_id, s.name as show_name,
+                       c.parent_id, p.content as parent_content, c.user_id, c.author_name, c.author_email,
+                       c.content, c.status, c.ip_address, c.created_at, c.updated_at
+                FROM comments c
+                JOIN episodes e ON c.episode_id = e.id
+                JOIN shows s ON e.show_id = s.id
+                LEFT JOIN comments p ON c.parent_id = p.id
+                ${where}
+                ORDER BY c.created_at ASC, c.id ASC
+                LIMIT ? OFFSET ?
+            `, [...params, parseInt(limit), parseInt(offset)]),
+            db.query(`
+                SELECT COUNT(*) as total
+                FROM comments c
+                JOIN episodes e ON c.episode_id = e.id
+                ${where}
+            `, params)
+        ]);
+
+        return { comments, total };
+    }
+
+    // Approve, reject or mark as spam in one go. Ids that don't exist are
+    // reported back rather than failing the rest.
+    static async setStatus(ids, status, userId) {
+        const requested = [...new Set(ids.map(Number))];
+        const found = await db.query(
+            `SELECT id, episode_id FROM comments WHERE id IN (${requested.map(() => '?').join(', ')})`,
+            requested
+        );
+
+        if (found.length === 0) {
+            throw new Error('Comment not found');
+        }
+
+        const foundIds = found.map(comment => comment.id);
+        await db.query(
+            `UPDATE comments SET status = ? WHERE id IN (${foundIds.map(() => '?').join(', ')})`,
+            [status, ...foundIds]
+        );
+
+        await this.refreshCommentCounts(found.map(comment => comment.episode_id));
+
+        await User.logActivity(userId, 'comments_moderated', {
+            entityType: 'comment',
+            entityId: foundIds.length === 1 ? foundIds[0] : null,
+            data: { ids: foundIds, status }
+        });
+
+        return {
+            updated: foundIds,
+            not_found: requested.filter(id => !foundIds.includes(id))
+        };
+    }
+
+    // Replies go with the comment (ON DELETE CASCADE)
+    static async delete(id, userId) {
+        const comment = await this.findById(id);
+        if (!comment) {
+            throw new Error('Comment not found');
+        }
+
+        await db.query('DELETE FROM comments WHERE id = ?', [id]);
+        await this.refreshCommentCounts([comment.episode_id]);
+
+        await User.logActivity(userId, 'comment_deleted', {
+            entityType: 'comment',
+            entityId: id,
+            data: { episode_id: comment.episode_id, status: comment.status }
+        });
+    }
+
+    // episodes.comment_count is the number of comments listeners can see:
+    // approved ones whose thread isn't cut off by a hidden parent
+    static async refreshCommentCounts(episodeIds) {
+        for (const episodeId of new Set(episodeIds)) {
+            const comments = await db.query(
+                "SELECT id, parent_id, created_at FROM comments WHERE episode_id = ? AND status = 'approved'",
+                [episodeId]
+            );
+
+            // Comments aren't in the feed, so updated_at is left alone
+            await db.query('UPDATE episodes SET comment_count = ?, updated_at = updated_at WHERE id = ?', [
+                countVisible(comments),
+                episodeId
+            ]);
+        }
+    }
+}
+
+module.exports = Comment;
@@ -0,0 +1,114 @@
+// models/download.js
+// Enclosure download requests and IAB-style unique download counting
+
+const db = require('../lib/database');
+const Episode = require('./episode');
+const { parseRange, classifyRequest } = require('../lib/download-filter');
+const { classifyUserAgent } = require('../lib/podcast-user-agents');
+const { storedIp } = require('../lib/analytics-privacy');
+const { lookupIp } = require('../lib/geoip');
+
+// One minute of audio at 128 kbps, for episodes without a size or duration
+const DEFAULT_MINUTE_BYTES = 960000;
+
+class Download {
+    // Episode the tracking redirect may send a listener to
+    static async findEpisode(episodeId) {
+        const [episode] = await db.query(`
+            SELECT e.id, e.show_id, e.audio_url, e.file_size, e.access_level,
+                   ${Episode.publicFeedCondition()} as is_public
+            FROM episodes e
+            JOIN shows s ON e.show_id = s.id
+            WHERE e.id = ? AND e.is_published = TRUE AND e.publish_date <= NOW() AND s.is_active = TRUE
+        `, [episodeId]);
+
+        return episode || null;
+    }
+
+    static async recordRequest(episode, req) {
+        const userAgent = req.get('User-Agent') || null;
+        const rangeHeader = req.get('Range') || null;
+        const range = parseRange(rangeHeader, episode.file_size);
+        const client = classifyUserAgent(userAgent);
+
+        await db.query(`
+            INSERT INTO download_requests (
+                episode_id, show_id, ip_address, user_agent, device_type, app, os, country, referer,
+                range_header, range_start, range_end, bytes_requested, excluded_reason
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            episode.id,
+            episode.show_id,
+            await storedIp(req.ip),
+            userAgent ? userAgent.substring(0, 500) : null,
+            client.device_type,
+            client.app,
+            client.os,
+            (await lookupIp(req.ip)).country,
+            (req.get('Referer') || '').substring(0, 500) || null,
+            rangeHeader ? rangeHeader.substring(0, 100) : null,
+            range ? range.start : null,
+            range ? range.end : null,
+            // Whole-file requests count as the full file; null when its size is unknown
+            range ? range.bytes : (episode.file_size || null),
+            classifyRequest({
+                userAgent,
+                purpose: req.get('Sec-Purpose') || req.get('Purpose') || req.get('X-Purpose') || req.get('X-Moz')
+            }) || (client.bot ? 'bot' : null)
+        ]);
+    }
+
+    // Count unique downloads: one per episode, IP address and user agent in
+    // each calendar day, once the requests in that window add up to at least
+    // a minute of audio. Pre-fetch probes such as "bytes=0-1" never get there
+    // on their own. Re-runs are safe: yesterday is re-checked for late
+    // requests and existing downloads are left alone.
+    static async rollup() {
+        const minuteBytes = `LEAST(
+            COALESCE(e.file_size / NULLIF(e.duration_seconds, 0) * 60, ${DEFAULT_MINUTE_BYTES}),
+            COALESCE(NULLIF(e.file_size, 0), ${DEFAULT_MINUTE_BYTES})
+        )`;
+
+        return db.transaction(async (query) => {
+            const inserted = await query(`
+                INSERT IGNORE INTO episode_downloads (
+                    episode_id, show_id, download_date, ip_address, user_agent_hash, user_agent,
+                    device_type, app, os, country, first_requested_at, bytes_requested
+                )
+                SELECT r.episode_id, r.show_id, DATE(r.requested_at), r.ip_address,
+                       SHA2(IFNULL(r.user_agent, ''), 256), r.user_agent,
+                       ANY_VALUE(r.device_type), ANY_VALUE(r.app), ANY_VALUE(r.os), ANY_VALUE(r.country),
+                       MIN(r.requested_at), SUM(r.bytes_requested)
+                FROM download_requests r
+                JOIN episodes e ON r.episode_id = e.id
+                WHERE r.excluded_reason IS NULL
+                AND r.requested_at >= CURDATE() - INTERVAL 1 DAY
+                GROUP BY r.episode_id, r.show_id, DATE(r.requested_at), r.ip_address, r.user_agent,
+                         e.file_size, e.duration_seconds
+                HAVING SUM(COALESCE(r.bytes_requested, ${minuteBytes})) >= ${minuteBytes}
+            `);
+
+            // Fold the new downloads into the episode counters exactly once
+            const counted = await query(`
+                UPDATE episodes e
+                JOIN (
+                    SELECT episode_id, COUNT(*) as downloads
+                    FROM episode_downloads
+                    WHERE counted = FALSE
+                    GROUP BY episode_id
+                ) d ON d.episode_id = e.id
+                SET e.download_count = e.download_count + d.downloads,
+                    e.updated_at = e.updated_at
+            `);
+
+            await query('UPDATE episode_downloads SET counted = TRUE WHERE counted = FALSE');
+
+            return {
+                downloads: inserted.affectedRows,
+                episodesUpdated: counted.affectedRows
+            };
+        });
+    }
+}
+
+module.exports = Download;
@@ -3,6 +3,10 @@
 
 const db = require('../lib/database');
 const User = require('./User');
+const feedCache = require('../lib/feed-cache');
+const RSSManager = require('../lib/rss-utility');
+const { resolvePublishState, resolvePublishUpdate } = require('../lib/publish-schedule');
+const { normalizeTagNames, assignEpisodeTags, getEpisodeTags, refreshTagUsage } = require('../lib/episode-tags');
 
 class Episode {
     static async findAll(filters = {}) {
@@ -27,10 +31,18 @@ class Episode {
             params.push(filters.is_published);
         }
         
+        if (filters.status) {
+            conditions.push('e.status = ?');
+            params.push(filters.status);
+        }
+        
         if (filters.search) {
-            conditions.push('(e.title LIKE ? OR e.description LIKE ?)');
+            // Spoken content is matched through the transcript full-text index
+            conditions.push(`(e.title LIKE ? OR e.description LIKE ? OR e.id IN (
+                SELECT episode_id FROM episode_transcripts WHERE MATCH(body_text) AGAINST (? IN NATURAL LANGUAGE MODE)
+            ))`);
             const searchTerm = `%${filters.search}%`;
-            params.push(searchTerm, searchTerm);
+            params.push(searchTerm, searchTerm, filters.search);
         }
         
         if (conditions.length > 0) {
@@ -42,11 +54,30 @@ class Episode {
         if (filters.limit) {
             sql += ' LIMIT ?';
             params.push(parseInt(filters.limit));
+            
+            if (filters.offset) {
+                sql += ' OFFSET ?';
+                params.push(parseInt(filters.offset));
+            }
         }
         
         return await db.query(sql, params);
     }
     
+    static async countByStatus(showId) {
+        const sql = `
+            SELECT
+                COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft,
+                COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as scheduled,
+                COUNT(CASE WHEN status = 'published' THEN 1 END) as published
+            FROM episodes
+            WHERE show_id = ?
+        `;
+        
+        const [counts] = await db.query(sql, [showId]);
+        return counts;
+    }
+    
     static async findById(id) {
         const sql = `
             SELECT e.*, s.name as show_name, s.color as show_color,
@@ -58,7 +89,10 @@ class Episode {
         `;
         
         const [episode] = await db.query(sql, [id]);
-        return episode || null;
+        if (!episode) return null;
+        
+        episode.tags = await getEpisodeTags(db.query.bind(db), id);
+        return episode;
     }
     
     static async findBySlug(showId, slug) {
@@ -73,12 +107,32 @@ class Episode {
         return episode || null;
     }
     
+    // A published episode as its feed lists it; is_public is false for premium
+    // episodes and for early-access ones before their public release
+    static async findPublishedBySlug(showId, slug) {
+        const sql = `
+            SELECT e.*, ${this.publicFeedCondition()} as is_public
+            FROM episodes e
+            WHERE e.show_id = ? AND e.slug = ? AND e.is_published = TRUE AND e.publish_date <= NOW()
+        `;
+        
+        const [episode] = await db.query(sql, [showId, slug]);
+        return episode || null;
+    }
+    
     static async create(episodeData, userId) {
         const { 
             show_id, title, description, audio_url, image_url, 
-            duration, season, episode_number, is_published = false 
+            duration, season, episode_number, transcript_url, soundbites,
+            is_published = false, status, publish_date, access_level = 'public', public_release_date, tags
         } = episodeData;
         
+        const timeZone = await this.getShowTimeZone(show_id);
+        const publishState = resolvePublishState({ status, is_published, publish_date }, timeZone);
+        
+        // Check tags up front so a bad list doesn't leave a half-created episode
+        if (tags !== undefined) normalizeTagNames(tags);
+        
         // Generate slug from title
         const slug = this.generateSlug(title);
         
@@ -91,46 +145,70 @@ class Episode {
         const sql = `
             INSERT INTO episodes (
                 show_id, title, slug, description, audio_url, image_url, 
-                duration, season, episode_number, is_published, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                duration, season, episode_number, transcript_url, soundbites,
+                status, is_published, publish_date, access_level, public_release_date, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, NOW()), ?, ?, ?)
         `;
         
-        const result = await db.query(sql, [
-            show_id, title, slug, description || null, audio_url,
-            image_url || null, duration || null, season || null,
-            episode_number || null, is_published, userId
-        ]);
+        // The episode and its tags are written together
+        const episodeId = await db.transaction(async (query) => {
+            const result = await query(sql, [
+                show_id, title, slug, description || null, audio_url,
+                image_url || null, duration || null, season || null,
+                episode_number || null, transcript_url || null,
+                soundbites ? JSON.stringify(soundbites) : null,
+                publishState.status, publishState.is_published, publishState.publish_date,
+                access_level, public_release_date || null, userId
+            ]);
+            
+            if (tags !== undefined) {
+                await assignEpisodeTags(query, result.insertId, tags);
+            }
+            
+            return result.insertId;
+        });
         
         // Update show episode count
         await this.updateShowEpisodeCount(show_id);
+        feedCache.invalidate(show_id);
         
         // Log activity
         await User.logActivity(userId, 'episode_created', {
             entityType: 'episode',
-            entityId: result.insertId,
-            data: { title, show_id, is_published }
+            entityId: episodeId,
+            data: { title, show_id, status: publishState.status, publish_date: publishState.publish_date }
         });
         
-        return this.findById(result.insertId);
+        return this.findById(episodeId);
     }
     
     static async update(id, updateData, userId) {
         const allowedFields = [
             'title', 'description', 'audio_url', 'image_url', 'duration',
-            'season', 'episode_number', 'is_published'
+            'season', 'episode_number', 'transcript_url', 'soundbites',
+            'access_level', 'public_release_date'
         ];
         const updates = [];
         const values = [];
         
+        const current = await this.findById(id);
+        if (!current) throw new Error('Episode not found');
+        
+        if (updateData.tags !== undefined) normalizeTagNames(updateData.tags);
+        
+        // status, is_published and publish_date are resolved together
+        const publishState = resolvePublishUpdate(current, updateData, await this.getShowTimeZone(current.show_id));
+        if (publishState) {
+            updates.push('status = ?', 'is_published = ?', 'publish_date = ?');
+            values.push(publishState.status, publishState.is_published, publishState.publish_date);
+        }
+        
         // Handle title change (update slug)
         if (updateData.title) {
-            const episode = await this.findById(id);
-            if (!episode) throw new Error('Episode not found');
-            
             const newSlug = this.generateSlug(updateData.title);
             
             // Check if new slug conflicts with existing episode in same show
-            const existingEpisode = await this.findBySlug(episode.show_id, newSlug);
+            const existingEpisode = await this.findBySlug(current.show_id, newSlug);
             if (existingEpisode && existingEpisode.id !== parseInt(id)) {
                 throw new Error('An episode with this title already exists in this show');
             }
@@ -143,28 +221,37 @@ class Episode {
         for (const [key, value] of Object.entries(updateData)) {
             if (allowedFields.includes(key) && key !== 'title') {
                 updates.push(`${key} = ?`);
-                values.push(value);
+                values.push(key === 'soundbites' && value !== null ? JSON.stringify(value) : value);
             }
         }
         
-        if (updates.length === 0) {
+        if (updates.length === 0 && updateData.tags === undefined) {
             throw new Error('No valid fields to update');
         }
         
+        // updated_at also moves for tag-only changes so feed caches see them
         values.push(id);
-        const sql = `UPDATE episodes SET ${updates.join(', ')}, updated_at = NOW() WHERE id = ?`;
+        const sql = `UPDATE episodes SET ${[...updates, 'updated_at = NOW()'].join(', ')} WHERE id = ?`;
         
-        const result = await db.query(sql, values);
+        await db.transaction(async (query) => {
+            const result = await query(sql, values);
+            
+            if (result.affectedRows === 0) {
+                throw new Error('Episode not found');
+            }
+            
+            if (updateData.tags !== undefined) {
+                await assignEpisodeTags(query, id, updateData.tags);
+            }
+        });
         
-        if (result.affectedRows === 0) {
-            throw new Error('Episode not found');
-        }
+        const episode = await this.findById(id);
         
         // Update show episode count if publication status changed
-        if (updateData.is_published !== undefined) {
-            const episode = await this.findById(id);
+        if (publishState) {
             await this.updateShowEpisodeCount(episode.show_id);
         }
+        feedCache.invalidate(episode.show_id);
         
         // Log activity
         await User.logActivity(userId, 'episode_updated', {
@@ -177,40 +264,43 @@ class Episode {
     }
     
     static async delete(id, userId) {
-        return await db.transaction(async (connection) => {
-            // Get episode details for logging
-            const episode = await this.findById(id);
-            if (!episode) {
-                throw new Error('Episode not found');
-            }
-            
-            // Delete the episode
-            const result = await connection.execute('DELETE FROM episodes WHERE id = ?', [id]);
+        // Get episode details for logging
+        const episode = await this.findById(id);
+        if (!episode) {
+            throw new Error('Episode not found');
+        }
+        
+        await db.transaction(async (query) => {
+            const result = await query('DELETE FROM episodes WHERE id = ?', [id]);
             
-            if (result[0].affectedRows === 0) {
+            if (result.affectedRows === 0) {
                 throw new Error('Episode not found');
             }
             
-            // Update show episode count
-            await this.updateShowEpisodeCount(episode.show_id);
-            
-            // Log activity
-            await User.logActivity(userId, 'episode_deleted', {
-                entityType: 'episode',
-                entityId: id,
-                data: { 
-                    title: episode.title, 
-                    show_id: episode.show_id,
-                    show_name: episode.show_name
-                }
-            });
-            
-            return true;
+            // The episode's tag links cascaded away with it
+            await refreshTagUsage(query, episode.tags.map(tag => tag.id));
+        });
+        
+        // Update show episode count
+        await this.updateShowEpisodeCount(episode.show_id);
+        feedCache.invalidate(episode.show_id);
+        
+        // Log activity
+        await User.logActivity(userId, 'episode_deleted', {
+            entityType: 'episode',
+            entityId: id,
+            data: { 
+                title: episode.title, 
+                show_id: episode.show_id,
+                show_name: episode.show_name
+            }
         });
+        
+        return true;
     }
     
     static async publish(id, userId) {
-        const sql = 'UPDATE episodes SET is_published = TRUE, publish_date = NOW(), updated_at = NOW() WHERE id = ?';
+        const sql = `UPDATE episodes SET status = 'published', is_published = TRUE, publish_date = NOW(), updated_at = NOW() WHERE id = ?`;
         const result = await db.query(sql, [id]);
         
         if (result.affectedRows === 0) {
@@ -219,6 +309,7 @@ class Episode {
         
         const episode = await this.findById(id);
         await this.updateShowEpisodeCount(episode.show_id);
+        feedCache.invalidate(episode.show_id);
         
         await User.logActivity(userId, 'episode_published', {
             entityType: 'episode',
@@ -230,7 +321,7 @@ class Episode {
     }
     
     static async unpublish(id, userId) {
-        const sql = 'UPDATE episodes SET is_published = FALSE, updated_at = NOW() WHERE id = ?';
+        const sql = `UPDATE episodes SET status = 'draft', is_published = FALSE, updated_at = NOW() WHERE id = ?`;
         const result = await db.query(sql, [id]);
         
         if (result.affectedRows === 0) {
@@ -239,6 +330,7 @@ class Episode {
         
         const episode = await this.findById(id);
         await this.updateShowEpisodeCount(episode.show_id);
+        feedCache.invalidate(episode.show_id);
         
         await User.logActivity(userId, 'episode_unpublished', {
             entityType: 'episode',
@@ -249,13 +341,114 @@ class Episode {
         return episode;
     }
     
+    static async schedule(id, publishDate, userId) {
+        return this.update(id, { status: 'scheduled', publish_date: publishDate }, userId);
+    }
+    
+    // Flip scheduled episodes whose publish date has passed to published.
+    // Run by the episode_publisher job.
+    static async publishDue() {
+        const dueEpisodes = await db.query(`
+            SELECT id, show_id, title, publish_date
+            FROM episodes
+            WHERE status = 'scheduled' AND publish_date <= NOW()
+            ORDER BY publish_date
+        `);
+        
+        const showIds = new Set();
+        let published = 0;
+        
+        for (const episode of dueEpisodes) {
+            // Guard against the episode being rescheduled since it was selected
+            const result = await db.query(`
+                UPDATE episodes
+                SET status = 'published', is_published = TRUE, updated_at = NOW()
+                WHERE id = ? AND status = 'scheduled' AND publish_date <= NOW()
+            `, [episode.id]);
+            
+            if (result.affectedRows === 0) continue;
+            
+            published++;
+            showIds.add(episode.show_id);
+            
+            await User.logActivity(null, 'episode_published', {
+                entityType: 'episode',
+                entityId: episode.id,
+                data: { title: episode.title, scheduled_for: episode.publish_date }
+            });
+        }
+        
+        // Early-access episodes join the public feed at their public release
+        // date. Nothing else changes then, so updated_at is moved once to
+        // move the feed version that cached feeds are checked against.
+        const releaseCondition = `
+            access_level = 'early_access' AND is_published = TRUE
+            AND public_release_date <= NOW() AND updated_at < public_release_date
+        `;
+        const releasedShows = await db.query(`SELECT DISTINCT show_id FROM episodes WHERE ${releaseCondition}`);
+        const released = releasedShows.length > 0
+            ? (await db.query(`UPDATE episodes SET updated_at = NOW() WHERE ${releaseCondition}`)).affectedRows
+            : 0;
+        
+        for (const showId of showIds) {
+            await this.updateShowEpisodeCount(showId);
+        }
+        
+        const changedShows = new Set([...showIds, ...releasedShows.map(row => row.show_id)]);
+        changedShows.forEach(showId => feedCache.invalidate(showId));
+        
+        return { published, released, shows: changedShows.size };
+    }
+    
+    // Store what the audio probe learned about an uploaded file
+    static async updateMediaInfo(id, probe, fileSize) {
+        const durationSeconds = Math.round(probe.duration);
+        
+        const sql = `
+            UPDATE episodes
+            SET duration = ?, duration_seconds = ?, file_size = ?, mime_type = ?,
+                media_info = ?, media_probed_at = NOW(), updated_at = NOW()
+            WHERE id = ?
+        `;
+        
+        const result = await db.query(sql, [
+            RSSManager.formatDuration(durationSeconds),
+            durationSeconds,
+            fileSize,
+            probe.mimeType,
+            JSON.stringify({
+                container: probe.container,
+                codec: probe.codec,
+                bitrate: probe.bitrate,
+                sample_rate: probe.sampleRate,
+                channels: probe.channels
+            }),
+            id
+        ]);
+        
+        if (result.affectedRows === 0) {
+            throw new Error('Episode not found');
+        }
+        
+        const episode = await this.findById(id);
+        feedCache.invalidate(episode.show_id);
+        
+        return episode;
+    }
+    
+    static async getShowTimeZone(showId) {
+        const [show] = await db.query('SELECT timezone FROM shows WHERE id = ?', [showId]);
+        return (show && show.timezone) || 'UTC';
+    }
+    
+    // Counters aren't edits: updated_at stays put so feed caches keep their version
     static async incrementPlayCount(id) {
-        const sql = 'UPDATE episodes SET play_count = play_count + 1 WHERE id = ?';
+        const sql = 'UPDATE episodes SET play_count = play_count + 1, updated_at = updated_at WHERE id = ?';
         await db.query(sql, [id]);
     }
     
     static async incrementDownloadCount(id) {
-        const sql = 'UPDATE episodes SET download_count = download_count + 1 WHERE id = ?';
+        const sql = 'UPDATE episodes SET download_count = download_count + 1, updated_at = updated_at WHERE id = ?';
         await db.query(sql, [id]);
     }
     
@@ -278,7 +471,8 @@ class Episode {
             SELECT 
                 COUNT(*) as total_episodes,
                 COUNT(CASE WHEN is_published = TRUE THEN 1 END) as published_episodes,
-                COUNT(CASE WHEN is_published = FALSE THEN 1 END) as draft_episodes,
+                COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft_episodes,
+                COUNT(CASE WHEN status = 'scheduled' THEN 1 END) as scheduled_episodes,
                 SUM(play_count) as total_plays,
                 SUM(download_count) as total_downloads,
                 AVG(play_count) as avg_plays_per_episode
@@ -337,6 +531,70 @@ class Episode {
         return await db.query(sql, params);
     }
     
+    // Published episodes for one page of a feed, newest first. Public feeds skip
+    // premium episodes and early-access episodes that are not yet released.
+    static async getFeedEpisodes(showId, { limit, offset = 0, includePrivate = false }) {
+        const sql = `
+            SELECT e.*, t.language as transcript_language,
+                   (SELECT JSON_ARRAYAGG(tg.name) FROM episode_tags et JOIN tags tg ON et.tag_id = tg.id
+                    WHERE et.episode_id = e.id) as tags
+            FROM episodes e
+            LEFT JOIN episode_transcripts t ON t.episode_id = e.id
+            WHERE e.show_id = ? AND e.is_published = TRUE
+            ${includePrivate ? '' : `AND ${this.publicFeedCondition()}`}
+            ORDER BY e.publish_date DESC, e.id DESC
+            LIMIT ? OFFSET ?
+        `;
+        
+        return await db.query(sql, [showId, limit, offset]);
+    }
+    
+    // Published public episodes carrying a tag, across all active shows
+    static async findByTag(tagId, { limit = 20, offset = 0 } = {}) {
+        const sql = `
+            SELECT e.id, e.title, e.slug, e.description, e.image_url, e.duration, e.season,
+                   e.episode_number, e.publish_date, s.id as show_id, s.name as show_name,
+                   s.slug as show_slug, s.color as show_color
+            FROM episode_tags et
+            JOIN episodes e ON et.episode_id = e.id
+            JOIN shows s ON e.show_id = s.id AND s.is_active = TRUE
+            WHERE et.tag_id = ? AND e.is_published = TRUE AND ${this.publicFeedCondition()}
+            ORDER BY e.publish_date DESC, e.id DESC
+            LIMIT ? OFFSET ?
+        `;
+        
+        return await db.query(sql, [tagId, parseInt(limit), parseInt(offset)]);
+    }
+    
+    static async countByTag(tagId) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM episode_tags et
+            JOIN episodes e ON et.episode_id = e.id
+            JOIN shows s ON e.show_id = s.id AND s.is_active = TRUE
+            WHERE et.tag_id = ? AND e.is_published = TRUE AND ${this.publicFeedCondition()}
+        `;
+        
+        const [result] = await db.query(sql, [tagId]);
+        return result.count;
+    }
+    
+    static async countFeedEpisodes(showId, includePrivate = false) {
+        const sql = `
+            SELECT COUNT(*) as count
+            FROM episodes e
+            WHERE e.show_id = ? AND e.is_published = TRUE
+            ${includePrivate ? '' : `AND ${this.publicFeedCondition()}`}
+        `;
+        
+        const [result] = await db.query(sql, [showId]);
+        return result.count;
+    }
+    
+    static publicFeedCondition() {
+        return `(e.access_level = 'public' OR (e.access_level = 'early_access' AND e.public_release_date <= NOW()))`;
+    }
+    
     static generateSlug(title) {
         return title
             .toLowerCase()
@@ -3,6 +3,25 @@
 
 const db = require('../lib/database');
 const User = require('./User');
+const RSSManager = require('../lib/rss-utility');
+const feedCache = require('../lib/feed-cache');
+const config = require('../config/app.config');
+const { normalizeCategory } = require('../lib/itunes-categories');
+const { refreshTagUsage } = require('../lib/episode-tags');
+
+// API field names that differ from their column name
+const COLUMN_NAMES = {
+    imageUrl: 'image_url',
+    podcastLocked: 'podcast_locked',
+    fundingUrl: 'funding_url',
+    fundingMessage: 'funding_message',
+    ownerName: 'owner_name',
+    ownerEmail: 'owner_email',
+    feedItemLimit: 'feed_item_limit',
+    syncUpdatePolicy: 'sync_update_policy',
+    commentsEnabled: 'comments_enabled',
+    commentsRequireApproval: 'comments_require_approval'
+};
 
 class Show {
     static async findAll(filters = {}) {
@@ -77,9 +96,45 @@ class Show {
         const [show] = await db.query(sql, [slug]);
         return show || null;
     }
-    
+
+    // Cheap fingerprint of everything a show's feed is built from, so any
+    // instance can tell its cached feed is out of date. Edits that reach the
+    // feed move shows.updated_at or an episode's updated_at (early-access
+    // releases too, see Episode.publishDue); deleted episodes change the
+    // count. Counters leave updated_at alone.
+    static async getFeedVersion(slug) {
+        const sql = `
+            SELECT s.id, s.is_active, s.updated_at,
+                   COUNT(e.id) as episodes,
+                   MAX(e.updated_at) as episodes_updated_at
+            FROM shows s
+            LEFT JOIN episodes e ON s.id = e.show_id
+            WHERE s.slug = ?
+            GROUP BY s.id
+        `;
+
+        const [show] = await db.query(sql, [slug]);
+        if (!show) return null;
+
+        const time = value => (value ? new Date(value).getTime() : 0);
+
+        return {
+            id: show.id,
+            is_active: show.is_active,
+            version: `${time(show.updated_at)}:${show.episodes}:${time(show.episodes_updated_at)}`
+        };
+    }
+
     static async create(showData, userId) {
-        const { name, description, color, imageUrl } = showData;
+        const {
+            name, description, color, imageUrl,
+            category, explicit = false, language, author, ownerName, ownerEmail, copyright,
+            podcastLocked = false, fundingUrl, fundingMessage, persons, feedItemLimit,
+            syncUpdatePolicy = 'preserve_local', timezone = 'UTC',
+            commentsEnabled = null, commentsRequireApproval = null
+        } = showData;
+        
+        this.validateFeedMetadata({ category, explicit, language, ownerEmail, feedItemLimit });
         
         // Generate slug from name
         const slug = this.generateSlug(name);
@@ -90,9 +145,17 @@ class Show {
             throw new Error('A show with this name already exists');
         }
         
+        // The podcast:guid is derived from the first feed URL and never changes afterwards
+        const podcastGuid = RSSManager.generatePodcastGuid(`${config.app.url}/api/rss/${slug}`);
+        
         const sql = `
-            INSERT INTO shows (name, slug, description, image_url, color, created_by, is_active)
-            VALUES (?, ?, ?, ?, ?, ?, TRUE)
+            INSERT INTO shows (
+                name, slug, description, image_url, color,
+                category, explicit, language, author, owner_name, owner_email, copyright,
+                podcast_guid, podcast_locked, funding_url, funding_message, persons,
+                feed_item_limit, sync_update_policy, timezone, comments_enabled, comments_require_approval,
+                created_by, is_active
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, TRUE)
         `;
         
         const result = await db.query(sql, [
@@ -101,6 +164,23 @@ class Show {
             description || null,
             imageUrl || null,
             color || '#6366f1',
+            category ? normalizeCategory(category) : null,
+            explicit,
+            language ? language.toLowerCase() : 'en',
+            author || null,
+            ownerName || null,
+            ownerEmail || null,
+            copyright || null,
+            podcastGuid,
+            podcastLocked,
+            fundingUrl || null,
+            fundingMessage || null,
+            persons ? JSON.stringify(persons) : null,
+            feedItemLimit || null,
+            syncUpdatePolicy,
+            timezone,
+            commentsEnabled,
+            commentsRequireApproval,
             userId
         ]);
         
@@ -115,10 +195,17 @@ class Show {
     }
     
     static async update(id, updateData, userId) {
-        const allowedFields = ['name', 'description', 'image_url', 'color', 'is_active'];
+        const allowedFields = [
+            'name', 'description', 'image_url', 'color', 'is_active',
+            'category', 'explicit', 'language', 'author', 'owner_name', 'owner_email', 'copyright',
+            'podcast_locked', 'funding_url', 'funding_message', 'persons', 'feed_item_limit',
+            'sync_update_policy', 'timezone', 'comments_enabled', 'comments_require_approval'
+        ];
         const updates = [];
         const values = [];
         
+        this.validateFeedMetadata(updateData);
+        
         // Handle name change (update slug)
         if (updateData.name) {
             const newSlug = this.generateSlug(updateData.name);
@@ -135,10 +222,10 @@ class Show {
         
         // Handle other fields
         for (const [key, value] of Object.entries(updateData)) {
-            if (allowedFields.includes(key) && key !== 'name') {
-                const dbField = key === 'imageUrl' ? 'image_url' : key;
+            const dbField = COLUMN_NAMES[key] || key;
+            if (allowedFields.includes(dbField) && dbField !== 'name') {
                 updates.push(`${dbField} = ?`);
-                values.push(value);
+                values.push(this.toColumnValue(dbField, value));
             }
         }
         
@@ -155,6 +242,8 @@ class Show {
             throw new Error('Show not found');
         }
         
+        feedCache.invalidate(id);
+        
         // Log activity
         await User.logActivity(userId, 'show_updated', {
             entityType: 'show',
@@ -183,6 +272,11 @@ class Show {
                 throw new Error('Show not found');
             }
             
+            feedCache.invalidate(id);
+            
+            // Tags lose the links of every deleted episode
+            await refreshTagUsage(db.query.bind(db));
+            
             // Log activity
             await User.logActivity(userId, 'show_deleted', {
                 entityType: 'show',
@@ -212,6 +306,29 @@ class Show {
         await db.query(sql, [showId, showId]);
     }
     
+    // Roll per-episode counters up into every show's totals
+    static async refreshTotals() {
+        const sql = `
+            UPDATE shows s
+            LEFT JOIN (
+                SELECT show_id,
+                       SUM(play_count) as plays,
+                       SUM(download_count) as downloads,
+                       SUM(duration_seconds) as duration
+                FROM episodes
+                WHERE is_published = TRUE
+                GROUP BY show_id
+            ) totals ON totals.show_id = s.id
+            SET s.total_plays = COALESCE(totals.plays, 0),
+                s.total_downloads = COALESCE(totals.downloads, 0),
+                s.total_duration = COALESCE(totals.duration, 0),
+                s.updated_at = s.updated_at
+        `;
+        
+        const result = await db.query(sql);
+        return result.changedRows;
+    }
+    
     static async getStats() {
         const sql = `
             SELECT 
@@ -257,6 +374,42 @@ class Show {
         return await db.query(sql);
     }
     
+    // Rejects feed metadata that podcast directories would refuse
+    static validateFeedMetadata({ category, explicit, language, ownerEmail, feedItemLimit }) {
+        if (category !== undefined && category !== null && !normalizeCategory(category)) {
+            throw new Error(`Invalid feed metadata: "${category}" is not an Apple Podcasts category`);
+        }
+        
+        if (explicit !== undefined && typeof explicit !== 'boolean' && ![0, 1].includes(explicit)) {
+            throw new Error('Invalid feed metadata: explicit must be a boolean');
+        }
+        
+        if (language !== undefined && language !== null && !/^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(language)) {
+            throw new Error(`Invalid feed metadata: "${language}" is not an ISO 639 language code`);
+        }
+        
+        // shows.language is a VARCHAR(10)
+        if (language !== undefined && language !== null && language.length > 10) {
+            throw new Error('Invalid feed metadata: language must not exceed 10 characters');
+        }
+        
+        if (ownerEmail !== undefined && ownerEmail !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(ownerEmail)) {
+            throw new Error('Invalid feed metadata: owner email must be a valid email address');
+        }
+        
+        if (feedItemLimit !== undefined && feedItemLimit !== null && !(Number.isInteger(feedItemLimit) && feedItemLimit > 0)) {
+            throw new Error('Invalid feed metadata: feed item limit must be a positive integer');
+        }
+    }
+    
+    static toColumnValue(column, value) {
+        if (value === null) return null;
+        if (column === 'persons') return JSON.stringify(value);
+        if (column === 'category') return normalizeCategory(value);
+        if (column === 'language') return value.toLowerCase();
+        return value;
+    }
+    
     static generateSlug(name) {
         return name
             .toLowerCase()
@@ -282,6 +435,7 @@ class Show {
     static async updateRSSUrl(showId, rssUrl) {
         const sql = 'UPDATE shows SET rss_url = ?, updated_at = NOW() WHERE id = ?';
         const result = await db.query(sql, [rssUrl, showId]);
+        feedCache.invalidate(showId);
         return result.affectedRows > 0;
     }
     
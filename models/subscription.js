@@ -0,0 +1,95 @@
+// models/Subscription.js
+// Show subscription model, including per-subscriber private feed tokens
+
+const crypto = require('crypto');
+const db = require('../lib/database');
+const User = require('./user');
+
+class Subscription {
+    static async findById(id) {
+        const sql = `
+            SELECT sub.*, s.name as show_name, s.slug as show_slug
+            FROM show_subscriptions sub
+            LEFT JOIN shows s ON sub.show_id = s.id
+            WHERE sub.id = ?
+        `;
+
+        const [subscription] = await db.query(sql, [id]);
+        return subscription || null;
+    }
+
+    // Only tokens that are still active and not revoked grant feed access
+    static async findByFeedToken(token) {
+        const sql = `
+            SELECT sub.*
+            FROM show_subscriptions sub
+            WHERE sub.feed_token = ? AND sub.is_active = TRUE AND sub.token_revoked_at IS NULL
+        `;
+
+        const [subscription] = await db.query(sql, [token]);
+        return subscription || null;
+    }
+
+    static async getPrivateFeeds(showId) {
+        const sql = `
+            SELECT sub.id, sub.user_id, sub.email, sub.feed_token, sub.is_active,
+                   sub.subscribed_at, sub.token_revoked_at,
+                   u.email as user_email, u.first_name, u.last_name
+            FROM show_subscriptions sub
+            LEFT JOIN users u ON sub.user_id = u.id
+            WHERE sub.show_id = ? AND sub.feed_token IS NOT NULL
+            ORDER BY sub.subscribed_at DESC
+        `;
+
+        return await db.query(sql, [showId]);
+    }
+
+    static async createPrivateFeed(showId, { userId = null, email = null }, createdBy) {
+        if (!userId && !email) {
+            throw new Error('A user or email is required for a private feed');
+        }
+
+        const feedToken = crypto.randomBytes(32).toString('hex');
+
+        const sql = `
+            INSERT INTO show_subscriptions (user_id, show_id, email, subscription_type, feed_token)
+            VALUES (?, ?, ?, 'rss', ?)
+        `;
+
+        const result = await db.query(sql, [userId, showId, email, feedToken]);
+
+        await User.logActivity(createdBy, 'private_feed_created', {
+            entityType: 'show',
+            entityId: showId,
+            data: { subscription_id: result.insertId, user_id: userId, email }
+        });
+
+        return this.findById(result.insertId);
+    }
+
+    static async revokePrivateFeed(showId, id, revokedBy) {
+        const sql = `
+            UPDATE show_subscriptions
+            SET token_revoked_at = NOW(), is_active = FALSE, unsubscribed_at = NOW()
+            WHERE id = ? AND show_id = ? AND feed_token IS NOT NULL AND token_revoked_at IS NULL
+        `;
+
+        const result = await db.query(sql, [id, showId]);
+
+        if (result.affectedRows === 0) {
+            throw new Error('Private feed not found');
+        }
+
+        const subscription = await this.findById(id);
+
+        await User.logActivity(revokedBy, 'private_feed_revoked', {
+            entityType: 'show',
+            entityId: subscription.show_id,
+            data: { subscription_id: subscription.id, user_id: subscription.user_id, email: subscription.email }
+        });
+
+        return subscription;
+    }
+}
+
+module.exports = Subscription;
@@ -0,0 +1,200 @@
+// models/tag.js
+// Tag model for database operations
+
+const db = require('../lib/database');
+const User = require('./user');
+const feedCache = require('../lib/feed-cache');
+const { slugifyTag, refreshTagUsage, touchTaggedEpisodes } = require('../lib/episode-tags');
+
+class Tag {
+    static async findAll(filters = {}) {
+        let sql = 'SELECT id, name, slug, color, usage_count, created_at FROM tags';
+        const params = [];
+
+        if (filters.search) {
+            sql += ' WHERE name LIKE ?';
+            params.push(`%${filters.search}%`);
+        }
+
+        sql += filters.sort === 'name'
+            ? ' ORDER BY name ASC'
+            : ' ORDER BY usage_count DESC, name ASC';
+
+        if (filters.limit) {
+            sql += ' LIMIT ? OFFSET ?';
+            params.push(parseInt(filters.limit), parseInt(filters.offset) || 0);
+        }
+
+        return await db.query(sql, params);
+    }
+
+    static async findById(id) {
+        const [tag] = await db.query('SELECT * FROM tags WHERE id = ?', [id]);
+        return tag || null;
+    }
+
+    static async findBySlug(slug) {
+        const [tag] = await db.query('SELECT * FROM tags WHERE slug = ?', [slug]);
+        return tag || null;
+    }
+
+    static async create({ name, color }, userId) {
+        const slug = slugifyTag(name);
+        if (!slug) {
+            throw new Error('Tag name needs at least one letter or digit');
+        }
+
+        if (await this.findBySlug(slug)) {
+            throw new Error('A tag with this name already exists');
+        }
+
+        const result = await db.query(
+            'INSERT INTO tags (name, slug, color) VALUES (?, ?, ?)',
+            [name.trim(), slug, color || '#6B7280']
+        );
+
+        await User.logActivity(userId, 'tag_created', {
+            entityType: 'tag',
+            entityId: result.insertId,
+            data: { name, slug }
+        });
+
+        return this.findById(result.insertId);
+    }
+
+    // Renaming keeps the tag's id, so its episodes and usage_count carry over.
+    // A name that belongs to another tag is a merge, not a rename.
+    static async update(id, { name, color }, userId) {
+        const current = await this.findById(id);
+        if (!current) {
+            throw new Error('Tag not found');
+        }
+
+        const updates = [];
+        const values = [];
+
+        if (name !== undefined) {
+            const slug = slugifyTag(name);
+            if (!slug) {
+                throw new Error('Tag name needs at least one letter or digit');
+            }
+
+            const existing = await this.findBySlug(slug);
+            if (existing && existing.id !== current.id) {
+                throw new Error('A tag with this name already exists');
+            }
+
+            updates.push('name = ?', 'slug = ?');
+            values.push(name.trim(), slug);
+        }
+
+        if (color !== undefined) {
+            updates.push('color = ?');
+            values.push(color);
+        }
+
+        if (updates.length === 0) {
+            throw new Error('No valid fields to update');
+        }
+
+        values.push(id);
+        await db.query(`UPDATE tags SET ${updates.join(', ')} WHERE id = ?`, values);
+
+        if (name !== undefined) {
+            await this.invalidateFeeds([id]);
+        }
+
+        await User.logActivity(userId, 'tag_updated', {
+            entityType: 'tag',
+            entityId: id,
+            data: { from: current.name, name, color }
+        });
+
+        return this.findById(id);
+    }
+
+    static async delete(id, userId) {
+        const tag = await this.findById(id);
+        if (!tag) {
+            throw new Error('Tag not found');
+        }
+
+        // Collect the feeds to refresh before the episode links cascade away
+        const showIds = await this.getShowIds([id]);
+        await touchTaggedEpisodes(db.query.bind(db), [id]);
+        await db.query('DELETE FROM tags WHERE id = ?', [id]);
+        showIds.forEach(showId => feedCache.invalidate(showId));
+
+        await User.logActivity(userId, 'tag_deleted', {
+            entityType: 'tag',
+            entityId: id,
+            data: { name: tag.name, usage_count: tag.usage_count }
+        });
+
+        return true;
+    }
+
+    // Move every episode from the source tags onto the target, then delete the
+    // sources. Episodes that had both count once.
+    static async merge(targetId, sourceIds, userId) {
+        const ids = [...new Set(sourceIds.map(Number))].filter(id => id !== Number(targetId));
+        if (ids.length === 0) {
+            throw new Error('Choose at least one other tag to merge');
+        }
+
+        const placeholders = ids.map(() => '?').join(', ');
+        const showIds = await this.getShowIds([targetId, ...ids]);
+
+        const { target, sources } = await db.transaction(async (query) => {
+            const [target] = await query('SELECT * FROM tags WHERE id = ? FOR UPDATE', [targetId]);
+            if (!target) {
+                throw new Error('Tag not found');
+            }
+
+            const sources = await query(`SELECT id, name FROM tags WHERE id IN (${placeholders}) FOR UPDATE`, ids);
+            if (sources.length !== ids.length) {
+                throw new Error('Tag not found');
+            }
+
+            await touchTaggedEpisodes(query, ids);
+            await query(`
+                INSERT IGNORE INTO episode_tags (episode_id, tag_id)
+                SELECT episode_id, ? FROM episode_tags WHERE tag_id IN (${placeholders})
+            `, [targetId, ...ids]);
+
+            await query(`DELETE FROM tags WHERE id IN (${placeholders})`, ids);
+            await refreshTagUsage(query, [Number(targetId)]);
+
+            return { target, sources };
+        });
+
+        showIds.forEach(showId => feedCache.invalidate(showId));
+
+        await User.logActivity(userId, 'tags_merged', {
+            entityType: 'tag',
+            entityId: target.id,
+            data: { into: target.name, merged: sources.map(source => source.name) }
+        });
+
+        return this.findById(targetId);
+    }
+
+    static async getShowIds(tagIds) {
+        const rows = await db.query(`
+            SELECT DISTINCT e.show_id
+            FROM episode_tags et
+            JOIN episodes e ON et.episode_id = e.id
+            WHERE et.tag_id IN (${tagIds.map(() => '?').join(', ')})
+        `, tagIds);
+
+        return rows.map(row => row.show_id);
+    }
+
+    static async invalidateFeeds(tagIds) {
+        await touchTaggedEpisodes(db.query.bind(db), tagIds);
+        const showIds = await this.getShowIds(tagIds);
+        showIds.forEach(showId => feedCache.invalidate(showId));
+    }
+}
+
+module.exports = Tag;
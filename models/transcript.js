@@ -0,0 +1,112 @@
+// models/transcript.js
+// Hosted episode transcripts
+
+const db = require('../lib/database');
+const User = require('./user');
+const feedCache = require('../lib/feed-cache');
+const RSSManager = require('../lib/rss-utility');
+const { detectFormat, parseTranscript, toPlainText } = require('../lib/transcript');
+
+class Transcript {
+    static async findByEpisode(episodeId) {
+        const sql = `
+            SELECT id, episode_id, language, source_format, segments, segment_count, created_by, created_at, updated_at
+            FROM episode_transcripts
+            WHERE episode_id = ?
+        `;
+
+        const [transcript] = await db.query(sql, [episodeId]);
+        if (!transcript) return null;
+
+        return {
+            ...transcript,
+            segments: RSSManager.parseJsonColumn(transcript.segments)
+        };
+    }
+
+    // Parse, check and store a transcript, replacing any the episode had
+    static async save(episodeId, { content, format, language }, userId) {
+        const [episode] = await db.query(
+            'SELECT id, show_id, title, duration_seconds FROM episodes WHERE id = ?',
+            [episodeId]
+        );
+
+        if (!episode) {
+            throw new Error('Episode not found');
+        }
+
+        const sourceFormat = format || detectFormat(content);
+        if (!sourceFormat) {
+            throw new Error('Invalid transcript: could not tell the format; send format as srt, vtt or json');
+        }
+
+        const segments = parseTranscript(content, sourceFormat);
+
+        // Allow a little slack for encoders that pad the end of the audio
+        const lastEnd = segments.reduce((max, segment) => Math.max(max, segment.end_time), 0);
+        if (episode.duration_seconds && lastEnd > episode.duration_seconds + 5) {
+            throw new Error(`Invalid transcript: cues run to ${lastEnd}s but the episode is ${episode.duration_seconds}s long`);
+        }
+
+        const sql = `
+            INSERT INTO episode_transcripts (
+                episode_id, language, source_format, segments, segment_count, body_text, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                language = VALUES(language),
+                source_format = VALUES(source_format),
+                segments = VALUES(segments),
+                segment_count = VALUES(segment_count),
+                body_text = VALUES(body_text),
+                created_by = VALUES(created_by)
+        `;
+
+        await db.query(sql, [
+            episodeId,
+            language || 'en',
+            sourceFormat,
+            JSON.stringify(segments),
+            segments.length,
+            toPlainText(segments),
+            userId
+        ]);
+
+        // The transcript lives in its own table; moving the episode's
+        // updated_at is what tells other instances their cached feed is stale
+        await db.query('UPDATE episodes SET updated_at = NOW() WHERE id = ?', [episodeId]);
+        feedCache.invalidate(episode.show_id);
+
+        await User.logActivity(userId, 'episode_transcript_saved', {
+            entityType: 'episode',
+            entityId: episodeId,
+            data: { title: episode.title, format: sourceFormat, segments: segments.length }
+        });
+
+        return this.findByEpisode(episodeId);
+    }
+
+    static async delete(episodeId, userId) {
+        const [episode] = await db.query('SELECT id, show_id, title FROM episodes WHERE id = ?', [episodeId]);
+        if (!episode) {
+            throw new Error('Episode not found');
+        }
+
+        const result = await db.query('DELETE FROM episode_transcripts WHERE episode_id = ?', [episodeId]);
+        if (result.affectedRows === 0) {
+            throw new Error('Transcript not found');
+        }
+
+        await db.query('UPDATE episodes SET updated_at = NOW() WHERE id = ?', [episodeId]);
+        feedCache.invalidate(episode.show_id);
+
+        await User.logActivity(userId, 'episode_transcript_deleted', {
+            entityType: 'episode',
+            entityId: episodeId,
+            data: { title: episode.title }
+        });
+
+        return true;
+    }
+}
+
+module.exports = Transcript;
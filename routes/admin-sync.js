@@ -1,46 +1,34 @@
 // routes/admin-sync.js - Manual RSS sync trigger for admin
 import express from 'express';
 import { verifyAdmin } from './auth.js';
+import scheduler from '../lib/jobs.js';
 
 const router = express.Router();
 
-// POST /api/admin/sync-rss - Manual RSS sync trigger (Admin only)
+// POST /api/admin/sync-rss - Manual RSS sync trigger (Admin only). The sync
+// runs in the background as an rss_sync job run.
 router.post('/sync-rss', verifyAdmin, async (req, res) => {
   try {
     console.log('🔄 Manual RSS sync triggered by admin');
     
-    // Call the RSS sync endpoint internally
-    const syncModule = await import('./rss-sync.js');
+    const run = await scheduler.runNow('rss_sync', { triggeredBy: req.user?.id || null });
     
-    // Create a mock request/response for the RSS sync
-    const mockReq = {
-      headers: {
-        'x-cron-secret': process.env.JWT_SECRET // Use JWT secret as cron secret
-      },
-      method: 'POST'
-    };
-    
-    const mockRes = {
-      status: (code) => ({
-        json: (data) => {
-          res.status(code).json({
-            success: true,
-            message: 'Manual RSS sync completed',
-            trigger: 'admin',
-            ...data
-          });
-        }
-      })
-    };
-    
-    // Trigger the sync
-    const syncHandler = syncModule.default.stack.find(layer => 
-      layer.route && layer.route.methods.post
-    ).route.stack[0].handle;
-    
-    await syncHandler(mockReq, mockRes);
+    res.status(202).json({
+      success: true,
+      message: 'Manual RSS sync started',
+      trigger: 'admin',
+      run
+    });
     
   } catch (error) {
+    if (error.message === 'Job is already running') {
+      return res.status(409).json({
+        success: false,
+        error: 'RSS sync is already running',
+        trigger: 'admin'
+      });
+    }
+
     console.error('Manual RSS sync error:', error);
     
     res.status(500).json({
@@ -59,36 +47,54 @@ router.get('/sync-status', verifyAdmin, async (req, res) => {
     
     // Get last sync log
     const lastSync = await query(`
-      SELECT created_at, details 
+      SELECT created_at, new_values 
       FROM activity_logs 
       WHERE action = 'rss_sync' 
       ORDER BY created_at DESC 
       LIMIT 1
     `);
     
-    // Get shows with RSS URLs
+    // Get shows with RSS URLs and their sync state
     const showsWithRSS = await query(`
-      SELECT id, name, rss_url, updated_at
-      FROM shows 
-      WHERE rss_url IS NOT NULL 
-      AND rss_url != '' 
-      AND is_active = TRUE
+      SELECT s.id, s.name, s.rss_url, s.updated_at,
+             st.feed_url as sync_feed_url, st.etag, st.last_modified, st.last_http_status,
+             st.last_checked_at, st.last_success_at, st.last_error, st.last_error_at,
+             st.consecutive_failures, st.next_due_at
+      FROM shows s
+      LEFT JOIN show_sync_state st ON st.show_id = s.id
+      WHERE s.rss_url IS NOT NULL 
+      AND s.rss_url != '' 
+      AND s.is_active = TRUE
+      ORDER BY st.consecutive_failures DESC, s.name
     `);
     
+    const feeds = showsWithRSS.map(show => ({
+      id: show.id,
+      name: show.name,
+      rssUrl: show.rss_url,
+      status: getFeedStatus(show),
+      lastCheckedAt: show.last_checked_at,
+      lastSuccessAt: show.last_success_at,
+      lastHttpStatus: show.last_http_status,
+      lastError: show.last_error,
+      lastErrorAt: show.last_error_at,
+      consecutiveFailures: show.consecutive_failures || 0,
+      nextDueAt: show.next_due_at,
+      conditionalFetch: Boolean(show.sync_feed_url === show.rss_url && (show.etag || show.last_modified))
+    }));
+    
+    const syncJob = await scheduler.getJob('rss_sync');
+    
     res.json({
       success: true,
       lastSync: lastSync.length > 0 ? {
         date: lastSync[0].created_at,
-        details: JSON.parse(lastSync[0].details || '{}')
+        details: lastSync[0].new_values || {}
       } : null,
-      rssFeedsCount: showsWithRSS.length,
-      showsWithRSS: showsWithRSS.map(show => ({
-        id: show.id,
-        name: show.name,
-        rssUrl: show.rss_url,
-        lastUpdated: show.updated_at
-      })),
-      nextScheduledSync: getNextMondaySync()
+      rssFeedsCount: feeds.length,
+      failingFeedsCount: feeds.filter(feed => feed.status === 'failing').length,
+      feeds,
+      nextScheduledSync: syncJob && syncJob.is_enabled ? syncJob.next_run_at : null
     });
     
   } catch (error) {
@@ -100,23 +106,11 @@ router.get('/sync-status', verifyAdmin, async (req, res) => {
   }
 });
 
-// Helper function to calculate next Monday 6 AM UTC
-function getNextMondaySync() {
-  const now = new Date();
-  const nextMonday = new Date(now);
-  
-  // Calculate days until next Monday
-  const daysUntilMonday = (1 + 7 - now.getUTCDay()) % 7;
-  if (daysUntilMonday === 0 && now.getUTCHours() < 6) {
-    // If it's Monday and before 6 AM, sync is today
-    nextMonday.setUTCHours(6, 0, 0, 0);
-  } else {
-    // Otherwise, next Monday
-    nextMonday.setUTCDate(now.getUTCDate() + (daysUntilMonday || 7));
-    nextMonday.setUTCHours(6, 0, 0, 0);
-  }
-  
-  return nextMonday.toISOString();
+// never_synced: no attempt yet (or the RSS URL changed since the last one)
+// failing: the most recent attempts failed and the feed is backing off
+function getFeedStatus(show) {
+  if (!show.last_checked_at || show.sync_feed_url !== show.rss_url) return 'never_synced';
+  return show.consecutive_failures > 0 ? 'failing' : 'ok';
 }
 
 export default router;
\ No newline at end of file
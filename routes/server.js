@@ -5,6 +5,7 @@ import helmet from 'helmet';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { query } from './lib/mysql.js';
+import RSSManager from './lib/rss-utility.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -123,7 +124,7 @@ app.get('/api/rss/:showSlug', async (req, res) => {
     );
     
     // Generate RSS feed
-    const rss = generateRSSFeed(show, episodes);
+    const rss = RSSManager.buildFeed(show, episodes);
     
     res.set('Content-Type', 'application/rss+xml; charset=utf-8');
     res.send(rss);
@@ -133,56 +134,6 @@ app.get('/api/rss/:showSlug', async (req, res) => {
   }
 });
 
-// Basic RSS feed generator
-function generateRSSFeed(show, episodes) {
-  const baseUrl = process.env.APP_URL || `http://localhost:${PORT}`;
-  
-  let rss = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
-  <channel>
-    <title>${escapeXml(show.name)}</title>
-    <description>${escapeXml(show.description || 'Podcast episodes')}</description>
-    <link>${baseUrl}</link>
-    <language>en-us</language>
-    <pubDate>${new Date().toUTCString()}</pubDate>
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
-    <itunes:author>${escapeXml(show.name)}</itunes:author>
-    <itunes:summary>${escapeXml(show.description || 'Podcast episodes')}</itunes:summary>
-    <itunes:category text="Technology"/>
-    ${show.image_url ? `<itunes:image href="${show.image_url}"/>` : ''}
-    <itunes:explicit>false</itunes:explicit>
-`;
-
-  episodes.forEach(episode => {
-    rss += `
-    <item>
-      <title>${escapeXml(episode.title)}</title>
-      <description>${escapeXml(episode.description || '')}</description>
-      <pubDate>${new Date(episode.publish_date).toUTCString()}</pubDate>
-      <guid>${baseUrl}/episode/${episode.id}</guid>
-      ${episode.audio_url ? `<enclosure url="${episode.audio_url}" type="audio/mpeg"/>` : ''}
-      <itunes:duration>${episode.duration || '00:00'}</itunes:duration>
-      <itunes:explicit>false</itunes:explicit>
-    </item>`;
-  });
-
-  rss += `
-  </channel>
-</rss>`;
-
-  return rss;
-}
-
-function escapeXml(unsafe) {
-  if (!unsafe) return '';
-  return unsafe.toString()
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;");
-}
-
 // Admin route
 app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, 'admin.html'));
@@ -42,8 +42,10 @@ class MigrationRunner {
   async getMigrationFiles() {
     try {
       const files = await fs.readdir(this.migrationsPath);
+      // Only timestamped migrations run; their .rollback.sql files are read
+      // by rollbackMigration(), and other .sql files are ad-hoc scripts
       return files
-        .filter(file => file.endsWith('.sql'))
+        .filter(file => /^\d{14}_.+\.sql$/.test(file) && !file.endsWith('.rollback.sql'))
         .sort(); // Sort alphabetically for consistent order
     } catch (error) {
       // Migrations directory doesn't exist
@@ -78,10 +80,7 @@ class MigrationRunner {
       await this.connection.beginTransaction();
       
       // Execute migration SQL
-      const statements = migrationSQL
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+      const statements = this.splitStatements(migrationSQL);
       
       for (const statement of statements) {
         if (statement.trim()) {
@@ -112,6 +111,18 @@ class MigrationRunner {
     }
   }
 
+  // Split a migration file into statements, dropping comment lines so a
+  // statement preceded by a comment is not skipped along with it
+  splitStatements(sql) {
+    return sql
+      .split('\n')
+      .filter(line => !line.trim().startsWith('--'))
+      .join('\n')
+      .split(';')
+      .map(stmt => stmt.trim())
+      .filter(stmt => stmt.length > 0);
+  }
+
   async runMigrations() {
     const pendingMigrations = await this.getPendingMigrations();
     
@@ -175,10 +186,7 @@ class MigrationRunner {
       await this.connection.beginTransaction();
       
       // Execute rollback SQL
-      const statements = rollbackSQL
-        .split(';')
-        .map(stmt => stmt.trim())
-        .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+      const statements = this.splitStatements(rollbackSQL);
       
       for (const statement of statements) {
         if (statement.trim()) {
@@ -25,11 +25,12 @@ async function verifyDatabase() {
     const requiredTables = [
       'users', 'user_preferences', 'user_2fa', 'user_sessions',
       'roles', 'permissions', 'role_permissions',
-      'shows', 'episodes', 'tags', 'episode_tags',
-      'file_uploads', 'analytics_events', 'listening_history',
+      'shows', 'episodes', 'tags', 'episode_tags', 'episode_transcripts', 'show_sync_state',
+      'file_uploads', 'analytics_events', 'listening_history', 'download_requests', 'episode_downloads',
+      'analytics_hourly', 'analytics_daily', 'analytics_platforms_daily', 'analytics_exports', 'analytics_salts',
       'show_subscriptions', 'email_subscribers',
       'comments', 'episode_ratings', 'social_shares',
-      'system_settings', 'activity_logs'
+      'system_settings', 'activity_logs', 'scheduled_jobs', 'job_runs'
     ];
 
     const [tables] = await connection.execute('SHOW TABLES');
@@ -54,7 +55,10 @@ async function verifyDatabase() {
       { table: 'episodes', index: 'idx_show_id' },
       { table: 'analytics_events', index: 'idx_episode_id' },
       { table: 'shows', index: 'idx_slug' },
-      { table: 'episodes', index: 'unique_show_slug' }
+      { table: 'episodes', index: 'unique_show_slug' },
+      { table: 'shows', index: 'idx_search' },
+      { table: 'episodes', index: 'idx_search' },
+      { table: 'tags', index: 'idx_search' }
     ];
 
     for (const { table, index } of criticalIndexes) {
@@ -9,6 +9,12 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, req.ip must come from X-Forwarded-For so download
+// and listener analytics see the client rather than the proxy
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', true);
+}
+
 console.log('🚀 Starting CastBuzz server...');
 console.log('📂 Working directory:', process.cwd());
 console.log('📊 Environment:', process.env.NODE_ENV || 'development');
@@ -125,6 +131,34 @@ try {
     }
   }
   
+  // Mounted ahead of /api/episodes so the nested paths reach these routers
+  if (fs.existsSync('./api/chapters.js')) {
+    try {
+      app.use('/api/episodes/:episodeId/chapters', require('./api/chapters'));
+      console.log('✅ Chapter routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Chapter routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/transcripts.js')) {
+    try {
+      app.use('/api/episodes/:episodeId/transcript', require('./api/transcripts'));
+      console.log('✅ Transcript routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Transcript routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/comments.js')) {
+    try {
+      app.use('/api/episodes/:episodeId/comments', require('./api/comments'));
+      console.log('✅ Comment routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Comment routes failed to load:', error.message);
+    }
+  }
+  
   if (fs.existsSync('./api/episodes.js')) {
     try {
       app.use('/api/episodes', require('./api/episodes'));
@@ -143,6 +177,60 @@ try {
     }
   }
   
+  if (fs.existsSync('./api/rss.js')) {
+    try {
+      app.use('/api/rss', require('./api/rss'));
+      console.log('✅ RSS routes loaded');
+    } catch (error) {
+      console.warn('⚠️ RSS routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/downloads.js')) {
+    try {
+      app.use('/api/downloads', require('./api/downloads'));
+      console.log('✅ Download tracking routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Download tracking routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/tags.js')) {
+    try {
+      app.use('/api/tags', require('./api/tags'));
+      console.log('✅ Tag routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Tag routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/search.js')) {
+    try {
+      app.use('/api/search', require('./api/search'));
+      console.log('✅ Search routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Search routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/jobs.js')) {
+    try {
+      app.use('/api/jobs', require('./api/jobs'));
+      console.log('✅ Job routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Job routes failed to load:', error.message);
+    }
+  }
+  
+  if (fs.existsSync('./api/moderation.js')) {
+    try {
+      app.use('/api/moderation', require('./api/moderation'));
+      console.log('✅ Moderation routes loaded');
+    } catch (error) {
+      console.warn('⚠️ Moderation routes failed to load:', error.message);
+    }
+  }
+  
 } catch (error) {
   console.warn('⚠️ Some API routes failed to load:', error.message);
 }
@@ -405,8 +493,26 @@ const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`📊 Admin panel: http://0.0.0.0:${PORT}/admin`);
   console.log(`🌐 Home page: http://0.0.0.0:${PORT}`);
   console.log('📋 Server ready to receive requests!');
+
+  startScheduler();
 });
 
+// Background jobs need the database, so a missing configuration only disables them
+function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === 'false' || !process.env.DB_HOST) {
+    console.log('⏸️ Background job scheduler disabled');
+    return;
+  }
+
+  try {
+    require('./lib/jobs').start().catch((error) => {
+      console.warn('⚠️ Background job scheduler failed to start:', error.message);
+    });
+  } catch (error) {
+    console.warn('⚠️ Background job scheduler failed to load:', error.message);
+  }
+}
+
 // Handle server startup errors
 server.on('error', (error) => {
   if (error.code === 'EADDRINUSE') {
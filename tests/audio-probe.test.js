@@ -0,0 +1,182 @@
+// tests/audio-probe.test.js
+// Header parsing for uploaded audio, using small synthetic files
+
+const { probeAudio, matchesDeclaredType, readId3Chapters } = require('../lib/audio-probe');
+
+// MPEG-1 Layer III, 128 kbps, 44.1 kHz, joint stereo: 417-byte frames
+const MP3_FRAME_HEADER = [0xff, 0xfb, 0x90, 0x64];
+const MP3_FRAME_LENGTH = 417;
+
+function mp3Frame(payload = Buffer.alloc(0)) {
+    const frame = Buffer.alloc(MP3_FRAME_LENGTH);
+    Buffer.from(MP3_FRAME_HEADER).copy(frame, 0);
+    payload.copy(frame, 4);
+    return frame;
+}
+
+function id3Tag(size) {
+    const header = Buffer.from([0x49, 0x44, 0x33, 3, 0, 0, 0, 0, (size >> 7) & 0x7f, size & 0x7f]);
+    return Buffer.concat([header, Buffer.alloc(size)]);
+}
+
+function syncsafe(size) {
+    return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+// ID3v2.4 frame with a syncsafe size
+function id3Frame(id, data) {
+    return Buffer.concat([Buffer.from(id, 'latin1'), syncsafe(data.length), Buffer.alloc(2), data]);
+}
+
+function chapFrame(elementId, startMs, endMs, title, ...subframes) {
+    const times = Buffer.alloc(16, 0xff);
+    times.writeUInt32BE(startMs, 0);
+    times.writeUInt32BE(endMs, 4);
+    const tit2 = id3Frame('TIT2', Buffer.concat([Buffer.from([3]), Buffer.from(title, 'utf8')]));
+    return id3Frame('CHAP', Buffer.concat([Buffer.from(`${elementId}\u0000`, 'latin1'), times, tit2, ...subframes]));
+}
+
+function box(type, ...children) {
+    const payload = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + payload.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, payload]);
+}
+
+function m4a({ seconds, withVideo = false }) {
+    const mvhd = Buffer.alloc(100);
+    mvhd.writeUInt32BE(1000, 12);
+    mvhd.writeUInt32BE(seconds * 1000, 16);
+
+    const handler = (type) => {
+        const hdlr = Buffer.alloc(24);
+        hdlr.write(type, 8, 'latin1');
+        return box('hdlr', hdlr);
+    };
+
+    const sampleEntry = Buffer.alloc(36);
+    sampleEntry.writeUInt16BE(1, 6);
+    sampleEntry.writeUInt16BE(2, 16);
+    sampleEntry.writeUInt32BE(44100 << 16 >>> 0, 24);
+    const stsd = Buffer.concat([Buffer.from([0, 0, 0, 0, 0, 0, 0, 1]), box('mp4a', sampleEntry)]);
+
+    const audioTrak = box('trak', box('mdia', handler('soun'), box('minf', box('stbl', box('stsd', stsd)))));
+    const videoTrak = box('trak', box('mdia', handler('vide')));
+
+    return Buffer.concat([
+        box('ftyp', Buffer.from('M4A \u0000\u0000\u0000\u0000', 'latin1')),
+        box('mdat', Buffer.alloc(2048)),
+        box('moov', box('mvhd', mvhd), audioTrak, ...(withVideo ? [videoTrak] : []))
+    ]);
+}
+
+function wav({ seconds }) {
+    const dataSize = 44100 * 4 * seconds;
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0, 'latin1');
+    header.writeUInt32LE(36 + dataSize, 4);
+    header.write('WAVEfmt ', 8, 'latin1');
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(2, 22);
+    header.writeUInt32LE(44100, 24);
+    header.writeUInt32LE(44100 * 4, 28);
+    header.writeUInt16LE(4, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36, 'latin1');
+    header.writeUInt32LE(dataSize, 40);
+    return Buffer.concat([header, Buffer.alloc(dataSize)]);
+}
+
+function bufferReader(buffer) {
+    return async (offset, length) => buffer.subarray(offset, offset + length);
+}
+
+function probeBuffer(buffer) {
+    return probeAudio(bufferReader(buffer), buffer.length);
+}
+
+describe('probeAudio', () => {
+    test('reads a constant-bitrate MP3 behind an ID3 tag', async () => {
+        const file = Buffer.concat([id3Tag(200), ...Array.from({ length: 40 }, () => mp3Frame())]);
+        const probe = await probeBuffer(file);
+
+        expect(probe).toMatchObject({ container: 'mp3', mimeType: 'audio/mpeg', codec: 'mp3', bitrate: 128000, sampleRate: 44100, channels: 2 });
+        expect(probe.duration).toBeCloseTo(40 * MP3_FRAME_LENGTH * 8 / 128000, 5);
+    });
+
+    test('takes the duration of a VBR MP3 from its Xing frame count', async () => {
+        const xing = Buffer.alloc(12);
+        xing.write('Xing', 0, 'latin1');
+        xing.writeUInt32BE(0x01, 4);
+        xing.writeUInt32BE(1000, 8);
+
+        // Stereo MPEG-1 side information is 32 bytes; the Xing header follows it
+        const file = Buffer.concat([mp3Frame(Buffer.concat([Buffer.alloc(32), xing])), mp3Frame(), mp3Frame()]);
+        const probe = await probeBuffer(file);
+
+        expect(probe.duration).toBeCloseTo(1000 * 1152 / 44100, 5);
+    });
+
+    test('reads M4A duration and audio track details with moov after mdat', async () => {
+        const probe = await probeBuffer(m4a({ seconds: 90.5 }));
+
+        expect(probe).toMatchObject({ container: 'mp4', mimeType: 'audio/mp4', codec: 'aac', duration: 90.5, sampleRate: 44100, channels: 2 });
+    });
+
+    test('reads PCM WAV duration from the data chunk', async () => {
+        const probe = await probeBuffer(wav({ seconds: 2 }));
+
+        expect(probe).toMatchObject({ container: 'wav', mimeType: 'audio/wav', codec: 'pcm', duration: 2, bitrate: 1411200 });
+    });
+
+    test('rejects data that is not audio', async () => {
+        await expect(probeBuffer(Buffer.from('%PDF-1.7 not audio at all'))).rejects.toThrow('Unrecognised audio format');
+    });
+});
+
+describe('matchesDeclaredType', () => {
+    test('accepts contents that match the declared type', async () => {
+        expect(matchesDeclaredType('audio/m4a', await probeBuffer(m4a({ seconds: 1 })))).toBe(true);
+        expect(matchesDeclaredType('audio/wav', await probeBuffer(wav({ seconds: 1 })))).toBe(true);
+    });
+
+    test('rejects contents of a different type', async () => {
+        expect(matchesDeclaredType('audio/mpeg', await probeBuffer(wav({ seconds: 1 })))).toBe(false);
+        expect(matchesDeclaredType('audio/m4a', await probeBuffer(m4a({ seconds: 1, withVideo: true })))).toBe(false);
+    });
+});
+
+describe('readId3Chapters', () => {
+    test('reads CHAP frames in table of contents order', async () => {
+        const wxxx = id3Frame('WXXX', Buffer.concat([Buffer.from([0, 0]), Buffer.from('https://example.com/notes', 'latin1')]));
+        const ctoc = id3Frame('CTOC', Buffer.concat([
+            Buffer.from('toc\u0000', 'latin1'),
+            Buffer.from([0x03, 3]),
+            Buffer.from('intro\u0000main\u0000outro\u0000', 'latin1')
+        ]));
+
+        // Frames stored out of order; the CTOC decides the sequence
+        const frames = Buffer.concat([
+            chapFrame('outro', 1500000, 1560000, 'Wrap-up — thanks'),
+            chapFrame('main', 30000, 1500000, 'Interview', wxxx),
+            chapFrame('intro', 0, 30000, 'Cold open'),
+            ctoc,
+            Buffer.alloc(64)
+        ]);
+
+        const tag = Buffer.concat([Buffer.from([0x49, 0x44, 0x33, 4, 0, 0]), syncsafe(frames.length), frames]);
+        const file = Buffer.concat([tag, mp3Frame(), mp3Frame()]);
+
+        expect(await readId3Chapters(bufferReader(file), file.length)).toEqual([
+            { start_time: 0, end_time: 30, title: 'Cold open' },
+            { start_time: 30, end_time: 1500, title: 'Interview', url: 'https://example.com/notes' },
+            { start_time: 1500, end_time: 1560, title: 'Wrap-up — thanks' }
+        ]);
+    });
+
+    test('returns no chapters for files without an ID3 tag', async () => {
+        expect(await readId3Chapters(bufferReader(wav({ seconds: 1 })), 44 + 44100 * 4)).toEqual([]);
+    });
+});
@@ -0,0 +1,59 @@
+// tests/comments.test.js
+// Comment threads, visible counts and per-show comment settings
+
+const { resolveCommentSettings, buildThreads, countVisible } = require('../lib/comments');
+
+const comment = (id, parent_id, minute) => ({ id, parent_id, created_at: new Date(Date.UTC(2026, 0, 1, 12, minute)) });
+
+describe('resolveCommentSettings', () => {
+    test('uses the site settings when the show has none', () => {
+        expect(resolveCommentSettings({ comments_enabled: 'true', comments_require_approval: 'false' }, {
+            comments_enabled: null,
+            comments_require_approval: null
+        })).toEqual({ enabled: true, requireApproval: false });
+    });
+
+    test("lets a show's own settings win either way", () => {
+        expect(resolveCommentSettings({ comments_enabled: 'true', comments_require_approval: 'true' }, {
+            comments_enabled: 0,
+            comments_require_approval: 0
+        })).toEqual({ enabled: false, requireApproval: false });
+        expect(resolveCommentSettings({ comments_enabled: 'false', comments_require_approval: 'false' }, {
+            comments_enabled: 1,
+            comments_require_approval: 1
+        })).toEqual({ enabled: true, requireApproval: true });
+    });
+
+    test('defaults to comments on, held for approval', () => {
+        expect(resolveCommentSettings()).toEqual({ enabled: true, requireApproval: true });
+    });
+});
+
+describe('buildThreads', () => {
+    test('nests replies under their parents, oldest first', () => {
+        const threads = buildThreads([comment(4, 1, 9), comment(2, null, 5), comment(3, 1, 3), comment(1, null, 1), comment(5, 3, 4)]);
+
+        expect(threads.map(thread => thread.id)).toEqual([1, 2]);
+        expect(threads[0].replies.map(reply => reply.id)).toEqual([3, 4]);
+        expect(threads[0].replies[0].replies.map(reply => reply.id)).toEqual([5]);
+        expect(threads[1].replies).toEqual([]);
+    });
+
+    test('puts the newest top-level comment first on request', () => {
+        const threads = buildThreads([comment(1, null, 1), comment(2, null, 5), comment(3, 1, 6)], { newestFirst: true });
+        expect(threads.map(thread => thread.id)).toEqual([2, 1]);
+        expect(threads[1].replies.map(reply => reply.id)).toEqual([3]);
+    });
+
+    test('drops replies whose parent is hidden, with everything below them', () => {
+        const threads = buildThreads([comment(1, null, 1), comment(3, 2, 3), comment(4, 3, 4)]);
+        expect(threads).toEqual([{ ...comment(1, null, 1), replies: [] }]);
+    });
+});
+
+describe('countVisible', () => {
+    test('counts comments reachable from a top-level comment', () => {
+        expect(countVisible([comment(1, null, 1), comment(2, 1, 2), comment(3, 2, 3), comment(5, 4, 5)])).toBe(3);
+        expect(countVisible([])).toBe(0);
+    });
+});
@@ -0,0 +1,38 @@
+// tests/download-filter.test.js
+// Byte ranges and bot / pre-fetch filtering for download requests
+
+const { parseRange, classifyRequest } = require('../lib/download-filter');
+
+describe('parseRange', () => {
+    test('reads closed, open and suffix ranges', () => {
+        expect(parseRange('bytes=0-1')).toEqual({ start: 0, end: 1, bytes: 2 });
+        expect(parseRange('bytes=1000-', 5000)).toEqual({ start: 1000, end: 4999, bytes: 4000 });
+        expect(parseRange('bytes=-500', 5000)).toEqual({ start: 4500, end: 4999, bytes: 500 });
+        expect(parseRange('bytes=0-99999', 5000)).toEqual({ start: 0, end: 4999, bytes: 5000 });
+    });
+
+    test('leaves open ranges unsized without a file size and ignores nonsense', () => {
+        expect(parseRange('bytes=1000-')).toEqual({ start: 1000, end: null, bytes: null });
+        expect(parseRange(undefined)).toBeNull();
+        expect(parseRange('bytes=500-100')).toBeNull();
+        expect(parseRange('items=0-10')).toBeNull();
+    });
+});
+
+describe('classifyRequest', () => {
+    test('counts podcast apps and browsers', () => {
+        expect(classifyRequest({ userAgent: 'AppleCoreMedia/1.0.0.21A329 (iPhone; U; CPU OS 17_0 like Mac OS X; en_us)' })).toBeNull();
+        expect(classifyRequest({ userAgent: 'Overcast/3.0 (+http://overcast.fm/; iOS podcast app)' })).toBeNull();
+        // Android players that only send their HTTP stack's agent
+        expect(classifyRequest({ userAgent: 'okhttp/4.12.0' })).toBeNull();
+        expect(classifyRequest({ userAgent: 'Java/17.0.2' })).toBeNull();
+    });
+
+    test('excludes bots, link previews and speculative loads', () => {
+        expect(classifyRequest({ userAgent: 'Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)' })).toBe('bot');
+        expect(classifyRequest({ userAgent: 'curl/8.4.0' })).toBe('bot');
+        expect(classifyRequest({ userAgent: '' })).toBe('bot');
+        expect(classifyRequest({ userAgent: 'Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)' })).toBe('prefetch');
+        expect(classifyRequest({ userAgent: 'Mozilla/5.0 Chrome/120.0.0.0', purpose: 'prefetch' })).toBe('prefetch');
+    });
+});
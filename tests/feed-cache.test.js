@@ -0,0 +1,49 @@
+// tests/feed-cache.test.js
+// Rendered feed cache: versions, TTL and invalidation
+
+const { FeedCache } = require('../lib/feed-cache');
+
+const lastModified = new Date('2026-01-05T08:00:00Z');
+
+describe('FeedCache', () => {
+    test('serves a cached page while the show is at the version it was rendered at', () => {
+        const cache = new FeedCache(60000);
+        cache.set(1, 'morning-brief', 1, '<rss/>', lastModified, '1:3:5');
+
+        expect(cache.getBySlug('morning-brief', 1, '1:3:5')).toMatchObject({ xml: '<rss/>' });
+        expect(cache.getBySlug('morning-brief', 2, '1:3:5')).toBeNull();
+    });
+
+    test('drops a page once the database reports a newer version', () => {
+        const cache = new FeedCache(60000);
+        cache.set(1, 'morning-brief', 1, '<rss/>', lastModified, '1:3:5');
+
+        expect(cache.getBySlug('morning-brief', 1, '1:4:6')).toBeNull();
+        expect(cache.getBySlug('morning-brief', 1, '1:3:5')).toBeNull();
+    });
+
+    test('drops pages older than the TTL', () => {
+        const cache = new FeedCache(1000);
+        cache.set(1, 'morning-brief', 1, '<rss/>', lastModified, '1:3:5');
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 1001);
+        try {
+            expect(cache.getBySlug('morning-brief', 1, '1:3:5')).toBeNull();
+        } finally {
+            Date.now.mockRestore();
+        }
+    });
+
+    test('invalidate drops every page of the show and moves Last-Modified forward', () => {
+        const cache = new FeedCache(60000);
+        cache.set(1, 'morning-brief', 1, '<rss/>', lastModified, '1:3:5');
+        cache.set(1, 'morning-brief', 2, '<rss/>', lastModified, '1:3:5');
+
+        cache.invalidate(1);
+
+        expect(cache.getBySlug('morning-brief', 1, '1:3:5')).toBeNull();
+        expect(cache.getBySlug('morning-brief', 2, '1:3:5')).toBeNull();
+        expect(cache.createEntry(1, '<rss/>', lastModified).lastModified.getTime())
+            .toBeGreaterThan(lastModified.getTime());
+    });
+});
@@ -0,0 +1,38 @@
+// tests/geoip.test.js
+// Mapping MMDB records to the analytics geo columns, and running without a database
+
+const config = require('../config/app.config');
+const { toLocation, lookupIp } = require('../lib/geoip');
+
+describe('toLocation', () => {
+    test('reads country, first subdivision and city from a City record', () => {
+        expect(toLocation({
+            city: { names: { en: 'Portland', de: 'Portland' } },
+            country: { iso_code: 'US', names: { en: 'United States' } },
+            subdivisions: [{ iso_code: 'OR', names: { en: 'Oregon' } }, { names: { en: 'Multnomah' } }]
+        })).toEqual({ country: 'US', region: 'Oregon', city: 'Portland' });
+    });
+
+    test('falls back to the registered country and leaves the rest empty', () => {
+        expect(toLocation({ registered_country: { iso_code: 'DE' } })).toEqual({ country: 'DE', region: null, city: null });
+        expect(toLocation({ city: { names: { ja: '東京' } }, country: { iso_code: 'JP' } }))
+            .toEqual({ country: 'JP', region: null, city: '東京' });
+    });
+
+    test('returns an empty location for addresses the database does not know', () => {
+        expect(toLocation(null)).toEqual({ country: null, region: null, city: null });
+    });
+});
+
+describe('lookupIp', () => {
+    test('returns empty locations when no database is installed', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        config.analytics.geoipDatabase = `${__dirname}/missing.mmdb`;
+
+        await expect(lookupIp('203.0.113.77')).resolves.toEqual({ country: null, region: null, city: null });
+        await expect(lookupIp('198.51.100.1')).resolves.toEqual({ country: null, region: null, city: null });
+        expect(warn).toHaveBeenCalledTimes(1);
+
+        warn.mockRestore();
+    });
+});
@@ -0,0 +1,46 @@
+// tests/highlight.test.js
+// Search term extraction and highlighted snippets
+
+const { extractTerms, highlight, makeSnippet } = require('../lib/highlight');
+
+describe('extractTerms', () => {
+    test('splits a natural-language query into words', () => {
+        expect(extractTerms('black holes, a story').map(term => term.text)).toEqual(['black', 'holes', 'story']);
+    });
+
+    test('understands boolean operators, phrases and prefixes', () => {
+        expect(extractTerms('+"event horizon" -wormhole astro* ~maybe', 'boolean')).toEqual([
+            { text: 'event horizon', prefix: false },
+            { text: 'astro', prefix: true },
+            { text: 'maybe', prefix: false }
+        ]);
+    });
+});
+
+describe('highlight', () => {
+    test('marks whole words and escapes HTML', () => {
+        const terms = extractTerms('star');
+        expect(highlight('Stars & <b>star</b> starlight', terms)).toBe('Stars &amp; &lt;b&gt;<mark>star</mark>&lt;/b&gt; starlight');
+    });
+
+    test('marks prefix matches in boolean mode', () => {
+        expect(highlight('Astronomy for astronauts', extractTerms('astro*', 'boolean')))
+            .toBe('<mark>Astronomy</mark> for <mark>astronauts</mark>');
+    });
+});
+
+describe('makeSnippet', () => {
+    test('centres the snippet on the first match and strips markup', () => {
+        const text = `<p>${'Lorem ipsum dolor sit amet. '.repeat(20)}Then the neutron star collapsed. ${'More filler text here. '.repeat(20)}</p>`;
+        const snippet = makeSnippet(text, extractTerms('neutron'));
+
+        expect(snippet.startsWith('…')).toBe(true);
+        expect(snippet.endsWith('…')).toBe(true);
+        expect(snippet).toContain('<mark>neutron</mark> star collapsed');
+        expect(snippet).not.toContain('<p>');
+    });
+
+    test('returns the start of the text when nothing matches', () => {
+        expect(makeSnippet('Short description.', extractTerms('missing'))).toBe('Short description.');
+    });
+});
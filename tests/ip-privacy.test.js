@@ -0,0 +1,37 @@
+// tests/ip-privacy.test.js
+// IP address truncation and salted hashing for analytics
+
+const { truncateIp, hashIp, anonymizeIp } = require('../lib/ip-privacy');
+
+describe('truncateIp', () => {
+    test('drops the host part of IPv4 and IPv6 addresses', () => {
+        expect(truncateIp('203.0.113.77')).toBe('203.0.113.0');
+        expect(truncateIp('::ffff:198.51.100.23')).toBe('198.51.100.0');
+        expect(truncateIp('2001:db8:85a3::8a2e:370:7334')).toBe('2001:db8:85a3::');
+        expect(truncateIp('2001:0DB8:0000:0001::1')).toBe('2001:db8:0::');
+    });
+
+    test('returns null for anything that is not an address', () => {
+        expect(truncateIp('unknown')).toBeNull();
+        expect(truncateIp(undefined)).toBeNull();
+    });
+});
+
+describe('hashIp', () => {
+    test('is stable for a salt and changes with it', () => {
+        const hash = hashIp('203.0.113.77', 'monday');
+
+        expect(hash).toMatch(/^h:[0-9a-f]{40}$/);
+        expect(hashIp('203.0.113.77', 'monday')).toBe(hash);
+        expect(hashIp('::ffff:203.0.113.77', 'monday')).toBe(hash);
+        expect(hashIp('203.0.113.77', 'tuesday')).not.toBe(hash);
+        expect(hashIp('203.0.113.78', 'monday')).not.toBe(hash);
+    });
+});
+
+describe('anonymizeIp', () => {
+    test('hashes unless asked to truncate', () => {
+        expect(anonymizeIp('203.0.113.77', { method: 'truncate' })).toBe('203.0.113.0');
+        expect(anonymizeIp('203.0.113.77', { method: 'hash', salt: 'monday' })).toBe(hashIp('203.0.113.77', 'monday'));
+    });
+});
@@ -0,0 +1,55 @@
+// tests/podcast-user-agents.test.js
+// Podcast app, device, OS and bot detection against the bundled database
+
+const bundled = require('../data/podcast-user-agents.json');
+const { compileDatabase, classifyUserAgent } = require('../lib/podcast-user-agents');
+
+describe('classifyUserAgent', () => {
+    test('classifies every example in the bundled database as its own entry', () => {
+        const database = compileDatabase(bundled);
+
+        for (const entry of bundled) {
+            for (const example of entry.examples) {
+                const client = classifyUserAgent(example, database);
+                expect({ example, app: client.app, bot: client.bot })
+                    .toEqual({ example, app: entry.app || null, bot: entry.bot === true });
+            }
+        }
+    });
+
+    test('recognises podcast apps and the device they run on', () => {
+        expect(classifyUserAgent('Overcast/3.0 (+http://overcast.fm/; iOS podcast app)'))
+            .toEqual({ app: 'Overcast', device_type: 'mobile', browser: null, os: 'iOS', bot: false });
+        expect(classifyUserAgent('AppleCoreMedia/1.0.0.21B91 (iPad; U; CPU OS 17_1_1 like Mac OS X; en_us)'))
+            .toMatchObject({ app: 'Apple Podcasts', device_type: 'tablet', bot: false });
+        expect(classifyUserAgent('AlexaMediaPlayer/2.1.4676.0 (Linux;Android 5.1.1) ExoPlayerLib/1.5.9'))
+            .toMatchObject({ app: 'Alexa', device_type: 'smart_speaker', os: 'Alexa' });
+    });
+
+    test('keeps the OS version from the generic parser when the families agree', () => {
+        expect(classifyUserAgent('Pocket Casts/7.50 (Android 14)').os).toBe('Android 14');
+    });
+
+    test('flags feed crawlers and search engines as bots', () => {
+        expect(classifyUserAgent('iTMS').bot).toBe(true);
+        expect(classifyUserAgent('Mozilla/5.0 (compatible; Googlebot/2.1; +http://www.google.com/bot.html)').bot).toBe(true);
+    });
+
+    test('falls back to the generic parser for browsers and unknown clients', () => {
+        expect(classifyUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'))
+            .toEqual({ app: null, device_type: 'desktop', browser: 'Chrome 120', os: 'Windows 10', bot: false });
+    });
+
+    test('applies the download filter\'s bot rules to clients not in the database', () => {
+        expect(classifyUserAgent('curl/8.4.0').bot).toBe(true);
+        expect(classifyUserAgent('Slackbot-LinkExpanding 1.0 (+https://api.slack.com/robots)').bot).toBe(true);
+        expect(classifyUserAgent(undefined))
+            .toEqual({ app: null, device_type: 'unknown', browser: null, os: null, bot: true });
+    });
+});
+
+describe('compileDatabase', () => {
+    test('rejects anything but a list of entries', () => {
+        expect(() => compileDatabase({ user_agents: [] })).toThrow('User agent database must be a list of entries');
+    });
+});
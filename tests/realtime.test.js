@@ -0,0 +1,40 @@
+// tests/realtime.test.js
+// Sliding window behind the realtime analytics stream
+
+const { RealtimeWindow } = require('../lib/realtime');
+
+const event = (eventType, listener, time, episodeId = 1) => ({
+    eventType, listener, time, episodeId, showId: 3, episodeTitle: `Episode ${episodeId}`
+});
+
+describe('RealtimeWindow', () => {
+    test('counts listeners who are still playing', () => {
+        const window = new RealtimeWindow();
+        const now = 1000000;
+
+        window.record([
+            event('play', 's1', now - 10000),
+            event('heartbeat', 's2', now - 20000),
+            event('play', 's3', now - 5000),
+            event('pause', 's3', now - 1000),
+            event('heartbeat', 's4', now - 120000, 2)
+        ], now);
+
+        const snapshot = window.snapshot(now);
+        expect(snapshot.active_listeners).toBe(2);
+        expect(snapshot.episodes).toEqual([{ episode_id: 1, show_id: 3, title: 'Episode 1', listeners: 2 }]);
+        expect(snapshot.top_episodes.map(episode => [episode.episode_id, episode.listeners, episode.plays]))
+            .toEqual([[1, 3, 2], [2, 1, 0]]);
+    });
+
+    test('emits a tick per event and forgets events older than the window', () => {
+        const window = new RealtimeWindow({ windowMs: 60000 });
+        const ticks = [];
+        window.on('tick', tick => ticks.push(tick));
+
+        window.record([event('play', 's1', 0)], 0);
+        expect(ticks).toEqual([expect.objectContaining({ event_type: 'play', episode_id: 1, episode_title: 'Episode 1' })]);
+
+        expect(window.snapshot(61000).top_episodes).toEqual([]);
+    });
+});
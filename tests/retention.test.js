@@ -0,0 +1,86 @@
+// tests/retention.test.js
+// Retention curves rebuilt from player events
+
+const { buildRetention, buildRetentionFromRows } = require('../lib/retention');
+
+const listeners = entries => new Map(entries);
+
+describe('buildRetention', () => {
+    test('counts who heard each bucket and where the others left', () => {
+        const retention = buildRetention(listeners([
+            ['s1', [
+                { event_type: 'play', position: 0 },
+                { event_type: 'heartbeat', position: 30 },
+                { event_type: 'heartbeat', position: 60 },
+                { event_type: 'heartbeat', position: 90 },
+                { event_type: 'complete', position: 120 }
+            ]],
+            ['s2', [
+                { event_type: 'play', position: 0 },
+                { event_type: 'heartbeat', position: 30 },
+                { event_type: 'pause', position: 45 }
+            ]]
+        ]), { duration: 120, bucketSize: 30 });
+
+        expect(retention.listeners).toBe(2);
+        expect(retention.curve.map(point => point.listeners)).toEqual([2, 2, 1, 1]);
+        expect(retention.curve[2].percent).toBe(50);
+        expect(retention.completion_rate).toBe(50);
+        expect(retention.average_consumption).toEqual({ seconds: 83, percent: 68.8 });
+        expect(retention.drop_off_hot_spots).toEqual([{ start: 30, end: 60, listeners: 1, percent: 50 }]);
+    });
+
+    test('does not count skipped regions as heard and reports them', () => {
+        const retention = buildRetention(listeners([
+            ['u7', [
+                { event_type: 'play', position: 0 },
+                { event_type: 'skip', from_position: 20, position: 95 },
+                { event_type: 'heartbeat', position: 120 }
+            ]]
+        ]), { duration: 120, bucketSize: 30 });
+
+        expect(retention.curve.map(point => point.listeners)).toEqual([1, 0, 0, 1]);
+        expect(retention.most_skipped.map(region => region.start)).toEqual([0, 30, 60, 90]);
+        expect(retention.completion_rate).toBe(100);
+    });
+
+    test('widens buckets for long episodes', () => {
+        const retention = buildRetention(new Map(), { duration: 36000, bucketSize: 5 });
+
+        expect(retention.bucket_seconds).toBe(36);
+        expect(retention.curve).toHaveLength(1000);
+        expect(retention.listeners).toBe(0);
+    });
+});
+
+describe('buildRetentionFromRows', () => {
+    test('gives the same result from rows streamed in listener order', async () => {
+        const byListener = listeners([
+            ['s1', [
+                { event_type: 'play', position: 0 },
+                { event_type: 'heartbeat', position: 30 },
+                { event_type: 'skip', position: 90, from_position: 40 },
+                { event_type: 'complete', position: 120 }
+            ]],
+            ['s2', [
+                { event_type: 'play', position: 0 },
+                { event_type: 'pause', position: 20 }
+            ]],
+            ['s3', [
+                { event_type: 'heartbeat', position: 50 }
+            ]]
+        ]);
+
+        async function* rows() {
+            for (const [listener, events] of byListener) {
+                for (const event of events) yield { listener, ...event };
+            }
+        }
+
+        const options = { duration: 120, bucketSize: 30 };
+        const streamed = await buildRetentionFromRows(rows(), options);
+
+        expect(streamed).toEqual(buildRetention(byListener, options));
+        expect(streamed.listeners).toBe(2);
+    });
+});
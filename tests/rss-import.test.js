@@ -0,0 +1,144 @@
+// tests/rss-import.test.js
+// Feed parsing and the re-sync diff under each sync_update_policy
+
+const { parseRSSFeed, toEpisodeColumns, toSnapshot, diffEpisode } = require('../lib/rss-import');
+
+const feed = items => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd">
+<channel><title>Show</title>${items}</channel>
+</rss>`;
+
+const item = `<item>
+    <title>Episode &amp; One</title>
+    <guid isPermaLink="false">ep-1</guid>
+    <description><![CDATA[<p>First <b>episode</b></p>]]></description>
+    <enclosure url=" https://cdn.example.com/ep1.mp3 " length="12345" type="audio/mpeg"/>
+    <pubDate>Mon, 05 Jan 2026 10:00:00 GMT</pubDate>
+    <itunes:duration>1:02:03</itunes:duration>
+    <itunes:season>2</itunes:season>
+    <itunes:episode>7</itunes:episode>
+    <itunes:episodeType>Bonus</itunes:episodeType>
+    <itunes:explicit>yes</itunes:explicit>
+    <itunes:image href="https://cdn.example.com/ep1.jpg"/>
+</item>`;
+
+describe('parseRSSFeed', () => {
+    test('reads a single item, which the parser would otherwise not put in a list', () => {
+        expect(parseRSSFeed(feed(item))).toEqual([{
+            guid: 'ep-1',
+            title: 'Episode & One',
+            description: 'First episode',
+            audioUrl: 'https://cdn.example.com/ep1.mp3',
+            fileSize: 12345,
+            mimeType: 'audio/mpeg',
+            imageUrl: 'https://cdn.example.com/ep1.jpg',
+            pubDate: new Date('2026-01-05T10:00:00Z'),
+            duration: '01:02:03',
+            durationSeconds: 3723,
+            season: 2,
+            episodeNumber: 7,
+            episodeType: 'bonus',
+            explicit: true
+        }]);
+    });
+
+    test('leaves the GUID empty when the item has none, and defaults missing fields', () => {
+        const [episode] = parseRSSFeed(feed('<item><title>No guid</title><enclosure url="https://cdn.example.com/a.mp3"/></item>'));
+
+        expect(episode).toMatchObject({
+            guid: null,
+            fileSize: null,
+            mimeType: null,
+            pubDate: null,
+            duration: '00:00',
+            durationSeconds: null,
+            episodeType: 'full',
+            explicit: false
+        });
+    });
+
+    test('strips markup that was escaped once or twice instead of turning it into tags', () => {
+        const [episode] = parseRSSFeed(feed(`<item>
+            <title>Escaped</title>
+            <description>&lt;p&gt;Hi&lt;/p&gt; &amp;lt;script&amp;gt;alert(1)&amp;lt;/script&amp;gt; bye</description>
+            <enclosure url="https://cdn.example.com/a.mp3"/>
+        </item>`));
+
+        expect(episode.description).toBe('Hi alert(1) bye');
+    });
+
+    test('skips items without a title or audio and keeps feed order', () => {
+        const episodes = parseRSSFeed(feed(`
+            <item><title>Blog post</title></item>
+            <item><enclosure url="https://cdn.example.com/untitled.mp3"/></item>
+            <item><title>B</title><enclosure url="https://cdn.example.com/b.mp3"/><itunes:duration>95</itunes:duration></item>
+            <item><title>A</title><enclosure url="https://cdn.example.com/a.mp3"/></item>
+        `));
+
+        expect(episodes.map(episode => episode.title)).toEqual(['B', 'A']);
+        expect(episodes[0].duration).toBe('00:01:35');
+    });
+
+    test('returns no episodes for an empty channel and rejects anything but RSS', () => {
+        expect(parseRSSFeed(feed(''))).toEqual([]);
+        expect(() => parseRSSFeed('<feed xmlns="http://www.w3.org/2005/Atom"></feed>'))
+            .toThrow('Not an RSS feed: missing <rss><channel>');
+    });
+});
+
+describe('diffEpisode', () => {
+    const [episodeData] = parseRSSFeed(feed(item));
+    const imported = toEpisodeColumns(episodeData);
+    const snapshot = JSON.stringify(toSnapshot(imported));
+
+    // The stored row as the last import wrote it, with a title changed since
+    const stored = (title, syncSnapshot = snapshot) => ({
+        ...imported,
+        explicit: 1,
+        title,
+        sync_snapshot: syncSnapshot
+    });
+
+    test('changes nothing when the feed item matches the stored episode', () => {
+        const { newValues, skipped } = diffEpisode(stored('Episode & One'), episodeData, 'preserve_local');
+        expect(newValues).toEqual({});
+        expect(skipped).toEqual([]);
+    });
+
+    test('keeps local edits with preserve_local and reports them as skipped', () => {
+        const { newValues, skipped } = diffEpisode(stored('Edited in CastBuzz'), episodeData, 'preserve_local');
+        expect(newValues).toEqual({});
+        expect(skipped).toEqual(['title']);
+    });
+
+    test('overwrites local edits with overwrite', () => {
+        const { oldValues, newValues, skipped } = diffEpisode(stored('Edited in CastBuzz'), episodeData, 'overwrite');
+        expect(oldValues).toEqual({ title: 'Edited in CastBuzz' });
+        expect(newValues).toEqual({ title: 'Episode & One' });
+        expect(skipped).toEqual([]);
+    });
+
+    test('applies changes made in the feed under either policy', () => {
+        const changedFeed = { ...episodeData, title: 'Renamed in the feed' };
+
+        for (const policy of ['preserve_local', 'overwrite']) {
+            const { newValues, snapshot: next } = diffEpisode(stored('Episode & One'), changedFeed, policy);
+            expect(newValues).toEqual({ title: 'Renamed in the feed' });
+            expect(next.title).toBe('Renamed in the feed');
+        }
+    });
+
+    test('treats episodes imported before snapshots as unedited', () => {
+        const { newValues, skipped } = diffEpisode(stored('Old title', null), episodeData, 'preserve_local');
+        expect(newValues).toEqual({ title: 'Episode & One' });
+        expect(skipped).toEqual([]);
+    });
+
+    test('leaves fields the feed does not set alone', () => {
+        const sparse = { ...episodeData, imageUrl: null, season: null };
+        const { newValues, snapshot: next } = diffEpisode({ ...stored('Episode & One'), image_url: 'https://example.com/local.jpg', season: 9 }, sparse, 'overwrite');
+
+        expect(newValues).toEqual({});
+        expect(next.season).toBe('2');
+    });
+});
@@ -0,0 +1,157 @@
+// tests/rss-utility.test.js
+// Snapshot tests pinning the XML produced by the shared feed builder
+
+process.env.APP_URL = 'https://castbuzz.test';
+process.env.ADMIN_EMAIL = 'admin@castbuzz.test';
+
+const RSSManager = require('../lib/rss-utility');
+const config = require('../config/app.config');
+
+// Show with only the columns a freshly created show is guaranteed to have
+const minimalShow = {
+    id: 1,
+    name: 'Morning Brief',
+    slug: 'morning-brief',
+    description: null,
+    image_url: null,
+    updated_at: '2026-01-05T08:00:00Z'
+};
+
+const fullShow = {
+    id: 2,
+    name: 'Deep Dive & Friends',
+    slug: 'deep-dive-friends',
+    description: 'Long-form conversations about <b>science</b> & society.',
+    image_url: 'https://cdn.castbuzz.test/shows/deep-dive.jpg',
+    category: 'Science > Astronomy',
+    explicit: true,
+    language: 'en-gb',
+    author: 'Deep Dive Media',
+    owner_name: 'Ada Host',
+    owner_email: 'ada@deepdive.test',
+    copyright: '© 2026 Deep Dive Media',
+    podcast_guid: '917393e3-1b1e-5cef-ace4-edaa54e1f810',
+    podcast_locked: true,
+    funding_url: 'https://deepdive.test/support',
+    funding_message: 'Become a member',
+    persons: [
+        { name: 'Ada Host', role: 'host', img: 'https://deepdive.test/ada.jpg' },
+        { name: 'Guest "Quoted" Person', role: 'guest', href: 'https://guest.test' }
+    ]
+};
+
+const fullEpisodes = [
+    {
+        id: 21,
+        slug: 'black-holes',
+        title: 'Black Holes <Explained>',
+        description: 'Where does the light go?\nWe find out.',
+        audio_url: 'https://cdn.castbuzz.test/audio/black-holes.m4a',
+        image_url: 'https://cdn.castbuzz.test/episodes/black-holes.jpg',
+        duration: 3725,
+        file_size: 48213504,
+        explicit: true,
+        season: 2,
+        episode_number: 7,
+        transcript_url: 'https://cdn.castbuzz.test/transcripts/black-holes.vtt',
+        chapter_marks: [{ start_time: '00:00', title: 'Intro' }, { start_time: '05:30', title: 'Event horizons' }],
+        soundbites: [{ start_time: 120, duration: 45, title: 'Spaghettification' }],
+        publish_date: new Date('2026-01-04T10:00:00Z')
+    },
+    {
+        id: 20,
+        slug: 'pilot',
+        title: 'Pilot',
+        description: null,
+        audio_url: 'https://cdn.castbuzz.test/audio/pilot.mp3',
+        duration: '42:10',
+        publish_date: new Date('2025-12-28T10:00:00Z')
+    }
+];
+
+describe('RSSManager.buildFeed', () => {
+    beforeAll(() => {
+        jest.useFakeTimers({ now: new Date('2026-01-06T12:00:00Z') });
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    test('renders a show with no optional metadata and no episodes', () => {
+        expect(RSSManager.buildFeed(minimalShow, [])).toMatchSnapshot();
+    });
+
+    test('renders a fully described show with Podcasting 2.0 episodes', () => {
+        expect(RSSManager.buildFeed(fullShow, fullEpisodes)).toMatchSnapshot();
+    });
+
+    test('renders a private feed page with RFC 5005 paging links', () => {
+        const feedUrl = `https://castbuzz.test/api/rss/deep-dive-friends/private/${'a'.repeat(64)}`;
+
+        expect(RSSManager.buildFeed(fullShow, fullEpisodes.slice(1), {
+            feedUrl: `${feedUrl}?page=2`,
+            pages: {
+                first: feedUrl,
+                previous: feedUrl,
+                next: `${feedUrl}?page=3`,
+                last: `${feedUrl}?page=3`
+            },
+            isPrivate: true,
+            feedToken: 'a'.repeat(64)
+        })).toMatchSnapshot();
+    });
+
+    test('passes a private feed\'s token on to chapter and transcript links', () => {
+        const token = 'a'.repeat(64);
+        const premium = { ...fullEpisodes[0], access_level: 'premium', transcript_language: 'en' };
+        const xml = RSSManager.buildFeed(fullShow, [premium], { isPrivate: true, feedToken: token });
+
+        expect(xml).toContain(`url="https://castbuzz.test/api/rss/deep-dive-friends/black-holes/chapters.json?token=${token}"`);
+        expect(xml).toContain(`url="https://castbuzz.test/api/rss/deep-dive-friends/black-holes/transcript.vtt?token=${token}"`);
+        expect(RSSManager.buildFeed(fullShow, [premium])).not.toContain('?token=');
+    });
+
+    test('sets the enclosure MIME type and length for every episode', () => {
+        const xml = RSSManager.buildFeed(fullShow, fullEpisodes);
+
+        expect(xml).toContain('<enclosure url="https://castbuzz.test/api/downloads/21/black-holes.m4a" length="48213504" type="audio/mp4"/>');
+        expect(xml).toContain('<enclosure url="https://castbuzz.test/api/downloads/20/pilot.mp3" length="0" type="audio/mpeg"/>');
+    });
+
+    test('links enclosures straight to the audio when download tracking is off', () => {
+        config.analytics.trackDownloads = false;
+        try {
+            expect(RSSManager.buildFeed(fullShow, fullEpisodes))
+                .toContain('<enclosure url="https://cdn.castbuzz.test/audio/pilot.mp3" length="0" type="audio/mpeg"/>');
+        } finally {
+            config.analytics.trackDownloads = true;
+        }
+    });
+
+    test('links enclosures straight to the audio for feeds built from KV records', () => {
+        const kvEpisode = {
+            id: 'ep-1723456789',
+            slug: 'ep-1723456789',
+            title: 'From the KV store',
+            audio_url: 'https://castbuzz.test/audio/ep-1723456789.mp3',
+            publish_date: new Date('2026-01-02T10:00:00Z')
+        };
+        const xml = RSSManager.buildFeed(minimalShow, [kvEpisode], { trackDownloads: false });
+
+        expect(xml).toContain('<enclosure url="https://castbuzz.test/audio/ep-1723456789.mp3" length="0" type="audio/mpeg"/>');
+        expect(xml).not.toContain('/api/downloads/');
+    });
+
+    test('lists episode tags as categories and iTunes keywords', () => {
+        const tagged = { ...fullEpisodes[1], tags: ['Space', 'Astronomy'] };
+        const item = RSSManager.buildFeed(fullShow, [tagged]).split('<item>')[1];
+
+        expect(item).toMatch(/<category><!\[CDATA\[Astronomy\]\]><\/category>\s*<category><!\[CDATA\[Space\]\]><\/category>/);
+        expect(item).toContain('<itunes:keywords>Astronomy,Space</itunes:keywords>');
+    });
+
+    test('is deterministic for the same input', () => {
+        expect(RSSManager.buildFeed(fullShow, fullEpisodes)).toBe(RSSManager.buildFeed(fullShow, fullEpisodes));
+    });
+});
@@ -0,0 +1,102 @@
+// tests/transcript.test.js
+// Parsing and converting SRT, WebVTT and JSON transcripts
+
+const { detectFormat, parseTranscript, renderTranscript, toPlainText } = require('../lib/transcript');
+
+const SRT = `1
+00:00:01,000 --> 00:00:04,500
+Welcome back to the show.
+
+2
+00:00:04,500 --> 00:01:02,250
+Today we're talking about
+black holes & neutron stars.
+`;
+
+const VTT = `WEBVTT
+
+NOTE exported from the editor
+
+intro
+00:01.000 --> 00:04.500 align:start
+<v Ada>Welcome back to the <b>show</b>.</v>
+
+01:02.250 --> 1:01:03.000
+<v.host Grace>Black holes &amp; neutron stars.
+`;
+
+describe('parseTranscript', () => {
+    test('reads SRT cues, keeping multi-line text', () => {
+        expect(parseTranscript(SRT, 'srt')).toEqual([
+            { start_time: 1, end_time: 4.5, speaker: null, body: 'Welcome back to the show.' },
+            { start_time: 4.5, end_time: 62.25, speaker: null, body: "Today we're talking about\nblack holes & neutron stars." }
+        ]);
+    });
+
+    test('reads WebVTT cues with identifiers, settings, voices and markup', () => {
+        expect(parseTranscript(VTT, 'vtt')).toEqual([
+            { start_time: 1, end_time: 4.5, speaker: 'Ada', body: 'Welcome back to the show.' },
+            { start_time: 62.25, end_time: 3663, speaker: 'Grace', body: 'Black holes & neutron stars.' }
+        ]);
+    });
+
+    test('reads Podcasting 2.0 JSON segments in start-time order', () => {
+        const json = JSON.stringify({
+            version: '1.0.0',
+            segments: [
+                { speaker: 'Grace', startTime: 5, endTime: 7.5, body: 'Second' },
+                { startTime: 0, endTime: 5, body: 'First' }
+            ]
+        });
+
+        expect(parseTranscript(json, 'json').map(segment => segment.body)).toEqual(['First', 'Second']);
+    });
+
+    test('rejects malformed transcripts with the cue at fault', () => {
+        expect(() => parseTranscript('1\n00:00:01 --> 00:00:02\nHi\n', 'srt')).toThrow('Invalid transcript: cue 1 has no valid timing line');
+        expect(() => parseTranscript('00:00.000 --> 00:01.000\nHi\n', 'vtt')).toThrow('must start with "WEBVTT"');
+        expect(() => parseTranscript('1\n00:00:05,000 --> 00:00:02,000\nHi\n', 'srt')).toThrow('cue 1 ends before it starts');
+        expect(() => parseTranscript('{"segments": [{"startTime": 0, "body": "Hi"}]}', 'json')).toThrow('segment 1 needs numeric startTime and endTime');
+        expect(() => parseTranscript('WEBVTT\n', 'vtt')).toThrow('Invalid transcript: no cues found');
+    });
+});
+
+describe('renderTranscript', () => {
+    const segments = parseTranscript(VTT, 'vtt');
+
+    test('writes SRT with comma milliseconds and sequence numbers', () => {
+        expect(renderTranscript(segments, 'srt')).toBe(
+            '1\n00:00:01,000 --> 00:00:04,500\nWelcome back to the show.\n\n' +
+            '2\n00:01:02,250 --> 01:01:03,000\nBlack holes & neutron stars.\n'
+        );
+    });
+
+    test('writes WebVTT with voice tags and escaped text', () => {
+        expect(renderTranscript(segments, 'vtt')).toBe(
+            'WEBVTT\n\n' +
+            '00:00:01.000 --> 00:00:04.500\n<v Ada>Welcome back to the show.\n\n' +
+            '00:01:02.250 --> 01:01:03.000\n<v Grace>Black holes &amp; neutron stars.\n'
+        );
+    });
+
+    test('round-trips through every format', () => {
+        for (const format of ['srt', 'vtt', 'json']) {
+            const reparsed = parseTranscript(renderTranscript(segments, format), format);
+            expect(reparsed.map(({ start_time, end_time, body }) => ({ start_time, end_time, body })))
+                .toEqual(segments.map(({ start_time, end_time, body }) => ({ start_time, end_time, body })));
+        }
+    });
+});
+
+describe('helpers', () => {
+    test('detects the format of an upload', () => {
+        expect(detectFormat(SRT)).toBe('srt');
+        expect(detectFormat(`\uFEFF${VTT}`)).toBe('vtt');
+        expect(detectFormat('{"segments": []}')).toBe('json');
+        expect(detectFormat('just some words')).toBeNull();
+    });
+
+    test('keeps only spoken text for the search index', () => {
+        expect(toPlainText(parseTranscript(SRT, 'srt'))).toBe("Welcome back to the show.\nToday we're talking about\nblack holes & neutron stars.");
+    });
+});
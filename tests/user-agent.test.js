@@ -0,0 +1,25 @@
+// tests/user-agent.test.js
+// Device, browser and OS detection for analytics events
+
+const { parseUserAgent } = require('../lib/user-agent');
+
+describe('parseUserAgent', () => {
+    test('recognises desktop browsers', () => {
+        expect(parseUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36 Edg/120.0.2210.91'))
+            .toEqual({ device_type: 'desktop', browser: 'Edge 120', os: 'Windows 10' });
+        expect(parseUserAgent('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.1 Safari/605.1.15'))
+            .toEqual({ device_type: 'desktop', browser: 'Safari 17', os: 'macOS 10' });
+    });
+
+    test('tells phones from tablets', () => {
+        expect(parseUserAgent('Mozilla/5.0 (iPhone; CPU iPhone OS 17_1 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) CriOS/119.0.6045.169 Mobile/15E148 Safari/604.1'))
+            .toEqual({ device_type: 'mobile', browser: 'Chrome 119', os: 'iOS 17' });
+        expect(parseUserAgent('Mozilla/5.0 (Linux; Android 13; SM-X700) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/119.0.0.0 Safari/537.36'))
+            .toEqual({ device_type: 'tablet', browser: 'Chrome 119', os: 'Android 13' });
+    });
+
+    test('falls back to unknown', () => {
+        expect(parseUserAgent(undefined)).toEqual({ device_type: 'unknown', browser: null, os: null });
+        expect(parseUserAgent('curl/8.4.0')).toEqual({ device_type: 'unknown', browser: null, os: null });
+    });
+});